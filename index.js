@@ -3,25 +3,59 @@ const bodyParser = require('body-parser');
 const axios = require('axios');
 const dotenv = require('dotenv');
 const cors = require('cors');
-const PDFDocument = require('pdfkit');
-const OpenAI = require('openai');
 const fs = require('fs');
 const path = require('path');
 const multer = require('multer');
 const https = require('https');
-const sizeOf = require('image-size');
-const { PassThrough } = require('stream');
 const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
 const { v4: uuidv4 } = require('uuid');
-const FormData = require('form-data');
+const { createStoryStore } = require('./lib/storyStore');
+const { createJobQueue } = require('./lib/jobQueue');
+const { createProviders } = require('./lib/providers');
+const { createAssetStore } = require('./lib/assetStore');
+const { createKeyStore } = require('./lib/apiKeys');
+const { addToReport, createModeration, rejectionError } = require('./lib/moderation');
+const {
+  AGE_BANDS,
+  READING_LEVELS,
+  analyzeStory,
+  readingGuidance,
+  resolveReadingTarget,
+  simplifyChapters: simplifyStoryChapters
+} = require('./lib/readability');
+const { GROUP_FIELDS, createUsageLedger, emptyTotals, meterNarration, meterProviders } = require('./lib/usage');
+const { languageInstruction, listLanguages, resolveLanguage } = require('./lib/languages');
+const { getFontLibrary } = require('./lib/fonts');
+const { createNarration } = require('./lib/narration');
+const { createOcr } = require('./lib/ocr');
+const { MAX_CHAPTERS, cleanText, splitChapters } = require('./lib/textImport');
+const { readInWorker } = require('./lib/importers');
+const { createPublishing } = require('./lib/publishing');
+const { buildViewerPage, embedSnippet } = require('./lib/viewer');
+const { createPreviewStore, loadPreviewConfig } = require('./lib/previewStore');
+const { createStorage } = require('./lib/storage');
+const { normalizeUploadedImage, sniffImageType } = require('./lib/imageUpload');
+const { createRemoteImages } = require('./lib/remoteImages');
+const {
+  extractJson,
+  getChapters,
+  getStoryText,
+  normalizeStoryData,
+  toResponseStoryData,
+  validateStory
+} = require('./lib/storySchema');
+const { exporters, getExporter } = require('./lib/exporters');
+const { diffRevisions } = require('./lib/storyDiff');
+const { BIBLE_PROMPT, buildImagePrompt, normalizeBible } = require('./lib/storyBible');
+const { slugify } = require('./lib/exporters/common');
+const { LAYOUTS, TRIM_SIZES, listThemes, loadThemesFromFile, renderStoryPdf, validatePdfOptions } = require('./lib/pdfRenderer');
 
 const app = express();
-const port = 4000;
+const port = Number(process.env.PORT) || 4000;
 const router = express.Router();
 const MAX_RETRIES = 5;
-
-const pdfPreviews = new Map();
+const MAX_STORY_CORRECTIONS = 2;
 
 const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
 
@@ -34,19 +68,343 @@ app.use(cors());
 app.use(bodyParser.json());
 dotenv.config();
 
+// Behind a load balancer (e.g. Vercel) set TRUST_PROXY so rate limits see client IPs
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
+
+// Every model call is recorded with its tokens and estimated cost (see lib/usage)
+const usageLedger = createUsageLedger();
+
+// Text and image models, chosen with AI_PROVIDER / AI_BASE_URL (see lib/providers)
+const ai = meterProviders(createProviders(), usageLedger);
+
+// Read-aloud versions of the chapters, chosen with NARRATION_PROVIDER (see lib/narration)
+const narration = meterNarration(createNarration(), usageLedger);
+
+// Reads photographed pages for the scan import, chosen with OCR_ENGINE (see lib/ocr)
+const ocr = createOcr();
+
+// Child-safety checks on prompts, uploads, chapters and image prompts, see
+// lib/moderation for the providers and MODERATION_* settings
+const moderation = createModeration();
+
+// Flipbooks made from our PDFs, chosen with PUBLISHER (see lib/publishing).
+// Publications are stored and checked on in the background until ready.
+const publishing = createPublishing();
+
+const storyStore = createStoryStore();
+// Illustrations are copied here as soon as they exist, because provider
+// URLs (DALL·E's in particular) expire after a few hours
+const assetStore = createAssetStore({ baseUrl: process.env.PUBLIC_BASE_URL || `http://localhost:${port}` });
+// Image URLs from clients are only fetched from the providers' hosts (see
+// lib/remoteImages for the IMAGE_URL_* settings)
+const remoteImages = createRemoteImages();
+
+// Where links we hand out point: PUBLIC_BASE_URL, else the host the request came to
+const publicBaseUrl = (req) => (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+
+// Uploads and PDF previews, each with a quota and a garbage collector (see
+// lib/storage for the STORAGE_* settings)
+const storage = createStorage();
+
+// Rendered PDF previews behind signed, expiring links (see lib/previewStore
+// for the PREVIEW_* settings). Storage removes the expired ones.
+const previewStore = createPreviewStore({ ...loadPreviewConfig(), dir: storage.dir('previews') });
+storage.setCollector('previews', () => previewStore.cleanup());
+storage.start();
+
+// Extra PDF themes, see lib/pdfRenderer.js for the format
+if (process.env.PDF_THEMES_FILE) {
+  loadThemesFromFile(process.env.PDF_THEMES_FILE);
+}
+// Calls made by a job are charged to whoever started it and added up on job.usage
+const jobQueue = createJobQueue({
+  maxConcurrent: Number(process.env.JOB_CONCURRENCY) || 2,
+  wrap: (job, run) => {
+    job.usage = job.usage || emptyTotals();
+    return usageLedger.track({ ...job.context, jobId: job.id, totals: job.usage }, run);
+  }
+});
+// A failed job keeps its uploads for a retry; once it expires unretried
+// they are given back to storage
+jobQueue.events.on('remove', (job) => {
+  [job.input.imageFilePath, ...(job.input.filePaths || [])].filter(Boolean).forEach(filePath => {
+    storage.releaseUpload(filePath).catch(error => {
+      console.error('Error removing upload:', error.message || error);
+    });
+  });
+});
+
+// API keys and daily quotas (see lib/apiKeys). AUTH_DISABLED=true turns
+// authentication off for local development.
+const keyStore = createKeyStore();
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+if (!AUTH_DISABLED && keyStore.list().length === 0) {
+  console.warn('No API keys exist yet: set ADMIN_API_KEY to issue the first ones.');
+}
+
+// Routes a browser opens directly (GET only), without a way to send a key.
+// Preview links are signed instead.
+const PUBLIC_API_ROUTES = [/^\/pdf-preview\//];
+
+// Accepts `Authorization: Bearer <key>` or `X-API-Key: <key>`. EventSource
+// cannot set headers, so job event streams also take ?api_key=.
+const authenticate = (req, res, next) => {
+  if (AUTH_DISABLED || (req.method === 'GET' && PUBLIC_API_ROUTES.some(pattern => pattern.test(req.path)))) {
+    return next();
+  }
+
+  const authorization = req.get('Authorization') || '';
+  const token = authorization.startsWith('Bearer ')
+    ? authorization.slice(7).trim()
+    : req.get('X-API-Key') || (req.method === 'GET' && req.path.endsWith('/events') ? req.query.api_key : null);
+
+  const key = keyStore.authenticate(token);
+  if (!key) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'A valid API key is required' });
+  }
+  req.apiKey = key;
+  next();
+};
+
+const requireAdmin = (req, res, next) => {
+  if (AUTH_DISABLED || (req.apiKey && req.apiKey.role === 'admin')) {
+    return next();
+  }
+  res.status(403).json({ error: 'This needs an admin API key' });
+};
+
+// Rate limits count per API key (per IP when authentication is off)
+const RATE_LIMIT_WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS) || 60000;
+
+const createLimiter = (limit, message) => rateLimit({
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  limit,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  keyGenerator: (req) => (req.apiKey ? req.apiKey.id : req.ip),
+  message: { error: message }
+});
+
+const apiLimiter = createLimiter(Number(process.env.RATE_LIMIT_API) || 300, 'Too many requests, please slow down.');
+const generationLimiter = createLimiter(Number(process.env.RATE_LIMIT_GENERATION) || 10, 'Too many generation requests, please slow down.');
+const renderLimiter = createLimiter(Number(process.env.RATE_LIMIT_RENDER) || 30, 'Too many render requests, please slow down.');
+
+const keyIdOf = (req) => (req.apiKey ? req.apiKey.id : null);
+
+// Stories and jobs belong to the key that made them; admin keys reach everyone's
+const canAccess = (req, record) => AUTH_DISABLED || req.apiKey.role === 'admin' || record.keyId === req.apiKey.id;
+
+// Route pattern of a request for the usage report: ids become :id
+const endpointOf = (req) => `${req.method} ${req.baseUrl}${req.path}`
+  .replace(/\/[0-9a-f]{8}-[0-9a-f-]{27,}(?=\/|$)/gi, '/:id')
+  .replace(/\/\d+(?=\/|$)/g, '/:n')
+  .replace(/\/+$/, '');
+
+const usageContextOf = (req) => ({
+  keyId: keyIdOf(req),
+  user: req.apiKey ? req.apiKey.name : 'anonymous',
+  endpoint: endpointOf(req)
+});
+
+// Model calls made while handling a request are attributed to it
+const trackUsage = (req, res, next) => {
+  usageLedger.track({ ...usageContextOf(req), totals: emptyTotals() }, next);
+};
+
+app.use('/api', authenticate, apiLimiter, trackUsage);
+
+// Uploads are removed once the response is sent, however the request ended,
+// unless a job took them over (storage.keepUpload)
+app.use(storage.scopeUploads());
+
+const sendQuotaError = (res, error) => res.status(429).json({
+  error: error.message,
+  metric: error.metric,
+  limit: error.limit,
+  used: error.used,
+  resetAt: error.resetAt
+});
+
+// Rejects a request up front when the key's quota cannot cover it.
+// amounts: { stories, images, pdfs } or a function of the request.
+const requireQuota = (amounts) => (req, res, next) => {
+  const needed = typeof amounts === 'function' ? amounts(req) : amounts;
+  try {
+    Object.entries(needed).forEach(([metric, amount]) => keyStore.check(keyIdOf(req), metric, amount));
+    next();
+  } catch (error) {
+    sendQuotaError(res, error);
+  }
+};
 
-const apiKey = process.env.API_KEY;
-const openai = new OpenAI({ apiKey });
+// Charges one unit of quota for a piece of work and gives it back if the
+// work fails. Inside a job this runs in a step, so a retry never charges a
+// step that already succeeded.
+const withQuota = async (keyId, metric, fn) => {
+  await keyStore.consume(keyId, metric);
+  try {
+    return await fn();
+  } catch (error) {
+    await keyStore.refund(keyId, metric);
+    throw error;
+  }
+};
 
-const FLIPBOOK_API_URL = 'https://api-tc.is.flippingbook.com/api/v1/fbonline/publication/';
-const FLIPBOOK_API_KEY = process.env.FLIPBOOK_API;
+// Our own assets, or URLs lib/remoteImages would fetch; empty entries are
+// chapters without a picture
+const checkImageUrl = (url) => {
+  const reason = url && !assetStore.isAssetUrl(url) ? remoteImages.check(url) : null;
+  if (reason) {
+    throw new Error(reason);
+  }
+  return true;
+};
 
 const validateInput = [
   body('storyData').isObject().notEmpty(),
   body('imageUrls').isArray().notEmpty(),
-  body('storyName').isString().notEmpty().trim()
+  body('imageUrls.*').custom(checkImageUrl),
+  body('storyName').isString().notEmpty().trim(),
+  body('moderation').not().exists().withMessage('The moderation report is set by the server'),
+  body('narration').not().exists().withMessage('Narration is recorded by the server'),
+  body('language').optional({ values: 'null' }).custom(value => {
+    resolveLanguage(value);
+    return true;
+  }),
+  body('translations').optional().isObject()
+];
+
+const validateStoryPatch = [
+  body('storyData').optional().isObject(),
+  body('imageUrls').optional().isArray(),
+  body('imageUrls.*').custom(checkImageUrl),
+  body('storyName').optional().isString().trim(),
+  body('summary').optional().isString(),
+  body('bible').optional().isObject(),
+  body('moderation').not().exists().withMessage('The moderation report is set by the server'),
+  body('narration').not().exists().withMessage('Narration is recorded by the server'),
+  body('readingTarget').optional({ values: 'null' }).isObject().custom(value => {
+    resolveReadingTarget(value);
+    return true;
+  }),
+  body('language').optional({ values: 'null' }).custom(value => {
+    resolveLanguage(value);
+    return true;
+  }),
+  body('translations').optional().isObject()
 ];
 
+// Reads ageBand / readingLevel from the body into req.readingTarget (null
+// when neither is given), see lib/readability
+const checkReadingTarget = (req, res, next) => {
+  try {
+    req.readingTarget = resolveReadingTarget(req.body);
+    next();
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Reads `language` (a code or English name) from the body into
+// req.language, null when none is given; see lib/languages
+const checkLanguage = (req, res, next) => {
+  try {
+    req.language = resolveLanguage(req.body.language);
+    next();
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+};
+
+// Look, print and language settings the PDF routes pass through to the renderer
+const PDF_OPTIONS = ['theme', 'layout', 'trimSize', 'bleed', 'cropMarks', 'chaptersOnRight', 'language', 'bilingual', 'translation'];
+
+const pickPdfOptions = (input) => {
+  const options = {};
+  PDF_OPTIONS.forEach(key => {
+    if (input[key] !== undefined) {
+      options[key] = input[key];
+    }
+  });
+  return options;
+};
+
+const checkPdfOptions = (req, res, next) => {
+  const problem = validatePdfOptions(pickPdfOptions(req.body));
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+  next();
+};
+
+// `translation: '<language>'` on a stored story renders its translation in
+// place of the original, or beside it with `bilingual: true`
+const selectTranslation = (req, res, next) => {
+  const { translation, bilingual } = req.body;
+  if (!translation || typeof translation !== 'string') {
+    return next();
+  }
+
+  let language;
+  try {
+    language = resolveLanguage(translation);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  const stored = req.story && req.story.translations && req.story.translations[language.code];
+  if (!stored) {
+    return res.status(404).json({ error: `No ${language.name} translation of this story` });
+  }
+
+  req.body = bilingual
+    ? { ...req.body, translation: stored }
+    : { ...req.body, storyName: stored.storyName || req.body.storyName, storyData: stored.storyData, language: stored.language, translation: undefined, narration: undefined };
+  next();
+};
+
+// Who a story revision is credited to
+const revisionAuthor = (req) => req.get('X-Author') || (req.apiKey && req.apiKey.name) || 'anonymous';
+
+// Lets routes take a `storyId` instead of the whole story blob. Fields sent
+// in the body still win so clients can override a single value.
+const loadStory = async (req, res, next) => {
+  const { storyId } = req.body;
+  if (!storyId) {
+    return next();
+  }
+
+  try {
+    const story = await storyStore.get(storyId);
+    if (!story || !canAccess(req, story)) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+    req.story = story;
+    const stored = {
+      storyData: story.storyData,
+      imageUrls: story.imageUrls,
+      storyName: story.storyName,
+      summary: story.summary,
+      bible: story.bible,
+      language: story.language,
+      narration: story.narration
+    };
+    // Fields the story has no value for (e.g. the language of a story that
+    // was never translated) are left out so the routes' defaults apply
+    req.body = {
+      ...Object.fromEntries(Object.entries(stored).filter(([, value]) => value !== null && value !== undefined)),
+      ...req.body
+    };
+    next();
+  } catch (error) {
+    console.error('Error loading story:', error.message || error);
+    res.status(500).json({ error: 'Failed to load story' });
+  }
+};
+
 const makeRequestWithRetry = async (url, data, options, maxRetries = 3) => {
   for (let i = 0; i < maxRetries; i++) {
     try {
@@ -61,83 +419,213 @@ const makeRequestWithRetry = async (url, data, options, maxRetries = 3) => {
 
 
 // Configure multer for file uploads
-const upload = multer({ dest: 'uploads/' });
+const upload = multer({ dest: storage.dir('uploads') });
+
+// Multer's own errors answer 413 for a file over maxBytes and 400 for the
+// rest (too many files, unexpected fields) instead of a stack trace
+const handleUploadErrors = (middleware, { maxBytes } = {}) => (req, res, next) => middleware(req, res, (error) => {
+  if (!error) return next();
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({ error: maxBytes ? `The file is too large (at most ${Math.round((maxBytes / 1048576) * 10) / 10} MB)` : error.message });
+  }
+  res.status(400).json({ error: error.message });
+});
+
+// The first `length` bytes of an uploaded file, enough to tell its type
+const readFileHead = async (filePath, length = 8192) => {
+  const head = Buffer.alloc(length);
+  const handle = await fs.promises.open(filePath, 'r');
+  const { bytesRead } = await handle.read(head, 0, length, 0).finally(() => handle.close());
+  return head.subarray(0, bytesRead);
+};
+
+// Pictures are checked by their content, turned upright, scaled down to
+// maxDimension and stripped of EXIF/GPS metadata before anything reads
+// them (see lib/imageUpload). The vision model needs no more than 2048px.
+const MAX_IMAGE_BYTES = Number(process.env.IMAGE_MAX_BYTES) || 20 * 1024 * 1024;
+const VISION_MAX_DIMENSION = Number(process.env.VISION_MAX_DIMENSION) || 2048;
+const KEPT_IMAGE_MAX_DIMENSION = 4096;
+
+const imageUpload = (field, { maxDimension = VISION_MAX_DIMENSION } = {}) => [
+  handleUploadErrors(multer({ dest: storage.dir('uploads'), limits: { fileSize: MAX_IMAGE_BYTES, files: 1 } }).single(field), { maxBytes: MAX_IMAGE_BYTES }),
+  async (req, res, next) => {
+    if (!req.file) return next();
+    try {
+      await normalizeUploadedImage(req.file, { maxDimension });
+      next();
+    } catch (error) {
+      if (error.code === 'INVALID_IMAGE') {
+        return res.status(error.status).json({ error: error.message });
+      }
+      next(error);
+    }
+  }
+];
 
 const validateStoryPrompt = (prompt) => {
   const promptPattern = /tell me a story|write a story|create a story/i;
   return promptPattern.test(prompt);
 };
 
-const escapeJsonString = (str) => {
-  return str.replace(/[\u0000-\u001F\u007F-\u009F]/g, ''); // Remove control characters
-};
+const STORY_FORMAT = 'Format the response as JSON only, with no other text: {"chapters": [{"title": "Chapter name", "body": "Chapter text"}]}. List the chapters in reading order and separate paragraphs in a body with blank lines.';
 
-const makeChatRequest = async (message, numChapters, maxWordsPerChapter, retries = 0) => {
+// Retries chat calls that hit the provider's rate limit
+const chatWithRetry = async (options, retries = 0) => {
   try {
-    const response = await axios.post(
-      'https://api.openai.com/v1/chat/completions',
-      {
-        model: 'gpt-4',
-        messages: [
-          { role: 'system', content: `You are a story writer. Please write a creative story based on the following prompt. The story should be divided into ${numChapters} chapters, each with a unique name. Each chapter should not exceed ${maxWordsPerChapter} words. Format the response as JSON with keys: chapter1, chapter1Name, chapter2, chapter2Name, etc.` },
-          { role: 'user', content: message }
-        ],
-      },
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`,
-        },
-      }
-    );
-
-    let content = response.data.choices[0].message.content;
-
+    return await ai.chat(options);
+  } catch (error) {
+    if (error.response && error.response.status === 429 && retries < MAX_RETRIES) {
+      console.log(`Rate limited. Retrying in ${(retries + 1) * 1000} ms...`);
+      await delay((retries + 1) * 1000);
+      return chatWithRetry(options, retries + 1);
+    }
+    throw error;
+  }
+};
 
-    // Escape control characters
-    content = escapeJsonString(content);
+// Sends the conversation and checks the reply against the story schema.
+// Output that cannot be parsed or does not match the requested shape gets a
+// corrective re-prompt; only word-limit overruns are tolerated on the last
+// attempt.
+const requestStory = async (messages, { task, numChapters, maxWordsPerChapter }) => {
+  for (let attempt = 0; ; attempt++) {
+    const response = await chatWithRetry({
+      task,
+      messages,
+      context: { numChapters, maxWordsPerChapter }
+    });
 
-    // Try parsing JSON
+    let storyData = null;
+    let problems;
     try {
-      const storyData = JSON.parse(content);
-      return storyData;
+      storyData = normalizeStoryData(extractJson(response.content));
+      problems = validateStory(storyData, { numChapters, maxWordsPerChapter });
     } catch (parseError) {
-      console.error('Error parsing JSON:', parseError);
-      console.error('Content that caused the error:', content);
-      throw new Error('Failed to parse JSON response');
+      console.error('Error parsing JSON:', parseError.message);
+      console.error('Content that caused the error:', response.content);
+      problems = [{ type: 'structure', message: 'The response was not valid JSON.' }];
     }
-  } catch (error) {
-    if (error.response && error.response.status === 429 && retries < MAX_RETRIES) {
-      console.log(`Rate limited. Retrying in ${(retries + 1) * 1000} ms...`);
-      await delay((retries + 1) * 1000);
-      return makeChatRequest(message, numChapters, maxWordsPerChapter, retries + 1);
-    } else {
-      console.error('Error in makeChatRequest:', error.message || error);
-      throw error;
+
+    if (problems.length === 0) {
+      return storyData;
+    }
+
+    if (attempt >= MAX_STORY_CORRECTIONS) {
+      if (storyData && problems.every(problem => problem.type === 'limit')) {
+        console.warn('Accepting story over the word limit:', problems.map(problem => problem.message).join(' '));
+        return storyData;
+      }
+      throw new Error(`Story did not match the expected format: ${problems.map(problem => problem.message).join(' ')}`);
     }
+
+    console.log(`Story output invalid (attempt ${attempt + 1}), asking for a correction...`);
+    messages.push(
+      { role: 'assistant', content: response.content },
+      { role: 'user', content: `Your answer has these problems: ${problems.map(problem => problem.message).join(' ')} Please write it again and fix them. ${STORY_FORMAT}` }
+    );
   }
 };
 
-const summarizeStory = async (story) => {
+const makeChatRequest = async (message, numChapters, maxWordsPerChapter, readingTarget = null, language = null) => {
+  const audience = readingTarget ? ` ${readingGuidance(readingTarget)}` : '';
+  const writtenIn = language ? ` ${languageInstruction(language)}` : '';
   try {
-    const response = await axios.post(
-      'https://api.openai.com/v1/chat/completions',
+    return await requestStory([
+      { role: 'system', content: `You are a story writer. Please write a creative story based on the following prompt. The story should be divided into ${numChapters} chapters, each with a unique name. Each chapter should not exceed ${maxWordsPerChapter} words.${audience}${writtenIn} ${STORY_FORMAT}` },
+      { role: 'user', content: message }
+    ], { task: 'story', numChapters, maxWordsPerChapter });
+  } catch (error) {
+    console.error('Error in makeChatRequest:', error.message || error);
+    throw error;
+  }
+};
+
+// Rewrites chapter `index` (0-based) with the story summary and the chapters
+// either side of it as context, so it still fits the rest of the book
+const rewriteChapter = async ({ storyData, summary, index, instructions, maxWordsPerChapter, readingTarget, language }) => {
+  const chapters = getChapters(storyData);
+  const describeChapter = (label, i) => (chapters[i]
+    ? `${label} (Chapter ${i + 1}: ${chapters[i].title}):\n${chapters[i].body}`
+    : `${label}: none`);
+  const limit = maxWordsPerChapter ? ` The chapter should not exceed ${maxWordsPerChapter} words.` : '';
+  const audience = readingTarget ? ` ${readingGuidance(readingTarget)}` : '';
+  const writtenIn = language ? ` Write the chapter in ${language.name}.` : '';
+
+  try {
+    const result = await requestStory([
+      { role: 'system', content: `You are a story editor. Rewrite one chapter of an existing story so it still fits between the chapters around it. Keep the characters, names, tense and tone consistent and keep anything the other chapters depend on.${limit}${audience}${writtenIn} Return exactly one chapter. ${STORY_FORMAT}` },
       {
-        model: 'gpt-4o',
-        messages: [
-          { role: 'system', content: 'You are a summary generator. Summarize the following story.' },
-          { role: 'user', content: story }
-        ],
-      },
+        role: 'user',
+        content: [
+          `Story summary:\n${summary || 'Not available.'}`,
+          describeChapter('Previous chapter', index - 1),
+          describeChapter('Chapter to rewrite', index),
+          describeChapter('Next chapter', index + 1),
+          `Instructions: ${instructions || 'Rewrite the chapter with fresh wording, keeping the same events.'}`
+        ].join('\n\n')
+      }
+    ], { task: 'chapter', numChapters: 1, maxWordsPerChapter });
+
+    return result.chapters[0];
+  } catch (error) {
+    console.error('Error in rewriteChapter:', error.message || error);
+    throw error;
+  }
+};
+
+// Translates one chapter ({ title, body }), keeping its paragraph breaks.
+// The summary and the bible's character names keep the chapters consistent
+// with each other.
+const translateChapter = async (chapter, { language, summary, bible }) => {
+  const names = normalizeBible(bible).characters.map(character => character.name).filter(Boolean);
+  const keepNames = names.length > 0
+    ? ` Keep the names ${names.join(', ')} the same in every chapter, transliterated if ${language.name} uses another alphabet.`
+    : '';
+
+  try {
+    const result = await requestStory([
+      { role: 'system', content: `You are a translator of children's books. Translate the chapter, title included, into natural ${language.name} for young readers, keeping the meaning, the tone and the paragraph breaks.${keepNames} Return exactly one chapter. ${STORY_FORMAT}` },
       {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`,
-        },
+        role: 'user',
+        content: `Story summary:\n${summary || 'Not available.'}\n\nTranslate into ${language.name}:\n${JSON.stringify({ chapters: [{ title: chapter.title, body: chapter.body }] })}`
       }
-    );
+    ], { task: 'translate', numChapters: 1 });
+
+    return result.chapters[0];
+  } catch (error) {
+    console.error('Error in translateChapter:', error.message || error);
+    throw error;
+  }
+};
+
+const translateTitle = async (title, language) => {
+  if (!title) return '';
+  try {
+    const response = await chatWithRetry({
+      task: 'translate-title',
+      messages: [
+        { role: 'system', content: `You are a translator of children's books. Translate the book title into ${language.name}. Reply with the title only.` },
+        { role: 'user', content: title }
+      ]
+    });
+    return response.content.trim().replace(/^["'“«]+|["'”»]+$/g, '');
+  } catch (error) {
+    console.error('Error in translateTitle:', error.message || error);
+    throw error;
+  }
+};
+
+const summarizeStory = async (story) => {
+  try {
+    const response = await chatWithRetry({
+      task: 'summary',
+      messages: [
+        { role: 'system', content: 'You are a summary generator. Summarize the following story.' },
+        { role: 'user', content: story }
+      ]
+    });
 
-    const summary = response.data.choices[0].message.content;
+    const summary = response.content;
     return summary;
   } catch (error) {
     console.error('Error in summarizeStory:', error.message || error);
@@ -145,17 +633,167 @@ const summarizeStory = async (story) => {
   }
 };
 
-const generateImage = async (prompt) => {
+// Gives a title to every chapter that came without one (imported text);
+// the chapters' text is left as it is
+const nameChapters = async (storyData, language = null) => {
+  const chapters = getChapters(storyData);
+  const untitled = chapters.map((chapter, i) => i).filter(i => !chapters[i].title);
+  if (untitled.length === 0) {
+    return storyData;
+  }
+  const writtenIn = language ? ` in ${language.name}` : '';
+
+  try {
+    const response = await chatWithRetry({
+      task: 'chapter-titles',
+      messages: [
+        { role: 'system', content: `You are a children's book editor. Give each chapter below a short, fitting title${writtenIn}. Format the response as JSON only, with no other text: {"titles": ["Chapter title"]}, one title per chapter in the same order.` },
+        { role: 'user', content: JSON.stringify({ chapters: untitled.map(i => ({ body: chapters[i].body })) }) }
+      ]
+    });
+    const { titles = [] } = extractJson(response.content);
+    untitled.forEach((index, i) => {
+      chapters[index] = { ...chapters[index], title: String(titles[i] || '').trim() || `Chapter ${index + 1}` };
+    });
+    return { ...storyData, chapters };
+  } catch (error) {
+    console.error('Error in nameChapters:', error.message || error);
+    throw error;
+  }
+};
+
+// Character sheet and art style, so every illustration draws the same hero
+const extractStoryBible = async (storyData) => {
   try {
-    const response = await openai.images.generate({
-      model: "dall-e-3",
-      prompt,
-      n: 1,
-      size: "1024x1024",  // Ensure this size is valid
-      response_format: "url"
+    const response = await chatWithRetry({
+      task: 'bible',
+      messages: [
+        { role: 'system', content: BIBLE_PROMPT },
+        { role: 'user', content: getStoryText(storyData) }
+      ]
+    });
+
+    return normalizeBible(extractJson(response.content));
+  } catch (error) {
+    console.error('Error in extractStoryBible:', error.message || error);
+    throw error;
+  }
+};
+
+// Simplifies chapters above the reading target by asking the model for
+// easier versions (see lib/readability)
+const simplifyChapters = (storyData, readingTarget, { summary, maxWordsPerChapter, numbers, language } = {}) => simplifyStoryChapters(storyData, readingTarget, {
+  numbers,
+  language,
+  rewrite: ({ chapters, index, instructions }) => rewriteChapter({
+    storyData: { ...storyData, chapters },
+    summary,
+    index,
+    instructions,
+    maxWordsPerChapter,
+    readingTarget,
+    language
+  })
+});
+
+const sendRejection = (res, error) => res.status(422).json({ error: error.message, moderation: error.moderation });
+
+// Screens text a user typed (a prompt, instructions, an image description).
+// Input that fails is turned down rather than rewritten.
+const screenInput = async (text, where) => {
+  const check = await moderation.checkText(text, where);
+  check.action = check.flagged ? 'rejected' : 'passed';
+  if (check.flagged) {
+    throw rejectionError([check], moderation.policy);
+  }
+  return check;
+};
+
+const screenUpload = async (imageFilePath, mimeType) => {
+  const image = await fs.promises.readFile(imageFilePath);
+  const check = await moderation.checkImage(image, { stage: 'upload', target: 'uploaded image' }, mimeType);
+  check.action = check.flagged ? 'rejected' : 'passed';
+  if (check.flagged) {
+    throw rejectionError([check], moderation.policy);
+  }
+  return check;
+};
+
+const flaggedTerms = (check) => (check.matches ? ` (such as: ${Object.values(check.matches).flat().join(', ')})` : '');
+
+// Screens generated chapters (all, or only the given 1-based numbers). When
+// the policy allows it a flagged chapter is rewritten once for the age band
+// and checked again; anything still flagged rejects the story.
+// Resolves with { storyData, checks }.
+const moderateChapters = async (storyData, { summary, maxWordsPerChapter, numbers, language } = {}) => {
+  const chapters = getChapters(storyData);
+  const checks = [];
+
+  for (let i = 0; i < chapters.length; i++) {
+    if (numbers && !numbers.includes(i + 1)) continue;
+
+    const where = { stage: 'chapter', target: `chapter ${i + 1}` };
+    const check = await moderation.checkText(`${chapters[i].title}\n\n${chapters[i].body}`, where);
+    if (!check.flagged) {
+      checks.push({ ...check, action: 'passed' });
+      continue;
+    }
+
+    if (moderation.policy.action === 'rewrite') {
+      const rewritten = await rewriteChapter({
+        storyData: { ...storyData, chapters },
+        summary,
+        index: i,
+        instructions: `Rewrite this chapter so it suits children aged ${moderation.policy.ageRating}. Leave out anything involving ${check.categories.join(', ')}${flaggedTerms(check)} and keep the same events where you can.`,
+        maxWordsPerChapter,
+        language
+      });
+      const recheck = await moderation.checkText(`${rewritten.title}\n\n${rewritten.body}`, where);
+      if (!recheck.flagged) {
+        chapters[i] = rewritten;
+        checks.push({ ...check, action: 'rewritten' });
+        continue;
+      }
+    }
+    checks.push({ ...check, action: 'rejected' });
+  }
+
+  if (checks.some(check => check.action === 'rejected')) {
+    throw rejectionError(checks, moderation.policy);
+  }
+  return { storyData: { ...storyData, chapters }, checks };
+};
+
+// Screens the prompt an illustration is drawn from; a flagged prompt is
+// rewritten by the model once when the policy allows it.
+// Resolves with { prompt, checks }.
+const moderateImagePrompt = async (prompt, target) => {
+  const where = { stage: 'image-prompt', target };
+  const check = await moderation.checkText(prompt, where);
+  if (!check.flagged) {
+    return { prompt, checks: [{ ...check, action: 'passed' }] };
+  }
+
+  if (moderation.policy.action === 'rewrite') {
+    const response = await chatWithRetry({
+      task: 'moderation',
+      messages: [
+        { role: 'system', content: `You rewrite illustration prompts for a children's picture book for ages ${moderation.policy.ageRating}. Keep the scene, the characters and the art style but leave out anything involving ${check.categories.join(', ')}${flaggedTerms(check)}. Reply with the new prompt only.` },
+        { role: 'user', content: prompt }
+      ]
     });
+    const recheck = await moderation.checkText(response.content, where);
+    if (!recheck.flagged) {
+      return { prompt: response.content, checks: [{ ...check, action: 'rewritten' }] };
+    }
+  }
+  throw rejectionError([{ ...check, action: 'rejected' }], moderation.policy);
+};
 
-    return response.data[0].url; // Confirm this path based on actual API response
+const generateImage = async (prompt) => {
+  try {
+    const response = await ai.generateImage({ prompt });
+    return storeImageFromUrl(response.url);
   } catch (error) {
     console.error('Error in generateImage:', error.message || error);
     throw error;
@@ -193,659 +831,1866 @@ const generateStoryName = (summary) => {
   return name;
 };
 
-app.post('/api/chat', async (req, res) => {
-  const { message, numChapters, maxWordsPerChapter } = req.body;
+// Screens the image prompt and draws the picture; resolves with { url, checks }
+const drawIllustration = async (prompt, target, keyId) => {
+  const moderated = await moderateImagePrompt(prompt, target);
+  const url = await withQuota(keyId, 'images', () => generateImage(moderated.prompt));
+  return { url, checks: moderated.checks };
+};
+
+// Summarises each chapter (reusing summaries stored on it) and draws its
+// picture with the story bible. Each unit is a job step so a retry only
+// redoes what failed. Resolves with the chapters, now carrying their
+// summaries, the image URLs (null where a step failed), the moderation
+// checks of the image prompts and the first error.
+const illustrateChapters = async (step, storyData, bible, keyId) => {
+  const chapters = getChapters(storyData);
+
+  const results = await Promise.allSettled(
+    chapters.map(async (chapter, i) => {
+      const chapterSummary = chapter.summary || await step(`chapter${i + 1}.summary`, () => summarizeStory(chapter.body));
+      chapters[i] = { ...chapter, summary: chapterSummary };
+      return step(`chapter${i + 1}.image`, () => drawIllustration(buildImagePrompt(chapterSummary, bible), `chapter ${i + 1} image`, keyId));
+    })
+  );
+
+  const failed = results.find(result => result.status === 'rejected');
+  return {
+    storyData: { ...storyData, chapters },
+    imageUrls: results.map(result => (result.status === 'fulfilled' ? result.value.url : null)),
+    checks: results.flatMap(result => (result.status === 'fulfilled'
+      ? result.value.checks
+      : (result.reason.moderation && result.reason.moderation.checks) || [])),
+    error: failed ? failed.reason : null
+  };
+};
+
+// Shared tail of the generation pipelines: summary, story bible, story
+// project and one image per chapter. checks are the moderation checks made
+// so far, which start the story's moderation report; simplified lists the
+// chapters rewritten for the reading target. Imports may bring their own
+// storyName and skip the pictures with drawImages: false.
+const illustrateStory = async (step, storyData, { author, keyId, checks = [], readingTarget = null, language = null, simplified = [], storyName: givenName = null, drawImages = true }) => {
+  const summary = await step('summary', () => summarizeStory(getStoryText(storyData)));
+  const storyName = givenName || generateStoryName(summary);
+  const bible = await step('bible', () => extractStoryBible(storyData));
+  const storyId = await step('project', async () => {
+    const report = addToReport(null, checks, moderation.policy);
+    const story = await storyStore.create({ storyData, summary, storyName, bible, readingTarget, language: language ? language.code : null, moderation: report }, { author, cause: 'create', keyId });
+    return story.id;
+  });
+
+  // Generate images for each chapter
+  const illustrated = drawImages
+    ? await illustrateChapters(step, storyData, bible, keyId)
+    : { storyData, imageUrls: [], checks: [], error: null };
+  const stored = await storyStore.get(storyId);
+  const report = addToReport(stored.moderation, illustrated.checks, moderation.policy);
+  await storyStore.update(storyId, { storyData: illustrated.storyData, imageUrls: illustrated.imageUrls, moderation: report }, { author, cause: 'generate' });
+
+  if (illustrated.error) {
+    throw illustrated.error;
+  }
+
+  return {
+    ...toResponseStoryData(illustrated.storyData),
+    summary,
+    imageUrls: illustrated.imageUrls,
+    storyName,
+    bible,
+    storyId,
+    language,
+    moderation: report,
+    readability: { ...analyzeStory(illustrated.storyData, readingTarget), simplified }
+  };
+};
+
+// Redraws every picture of a stored story, e.g. after its bible was edited
+jobQueue.register('story-images', async ({ storyId, author, keyId }, step) => {
+  const story = await storyStore.get(storyId);
+  if (!story) {
+    throw new Error('Story not found');
+  }
+
+  const illustrated = await illustrateChapters(step, story.storyData, story.bible, keyId);
+  const imageUrls = illustrated.imageUrls.map((url, i) => url || story.imageUrls[i] || null);
+  const updated = await storyStore.update(storyId, {
+    storyData: illustrated.storyData,
+    imageUrls,
+    moderation: addToReport(story.moderation, illustrated.checks, moderation.policy)
+  }, { author, cause: 'regenerate' });
+
+  if (illustrated.error) {
+    throw illustrated.error;
+  }
+
+  return updated;
+});
+
+// `checks` carries the moderation checks the route made on the user's input
+jobQueue.register('story', async ({ message, numChapters, maxWordsPerChapter, readingTarget, language, author, keyId, checks = [] }, step) => {
+  const storyData = await step('story', () => withQuota(keyId, 'stories', () => makeChatRequest(message, numChapters, maxWordsPerChapter, readingTarget, language)));
+  const simpler = await step('readability', () => simplifyChapters(storyData, readingTarget, { maxWordsPerChapter, language }));
+  const moderated = await step('moderation', () => moderateChapters(simpler.storyData, { maxWordsPerChapter, language }));
+  return illustrateStory(step, moderated.storyData, {
+    author,
+    keyId,
+    checks: [...checks, ...moderated.checks],
+    readingTarget,
+    language,
+    simplified: simpler.simplified
+  });
+});
+
+jobQueue.register('story-from-image', async ({ imageFilePath, numChapters, maxWordsPerChapter, readingTarget, language, author, keyId, checks = [] }, step) => {
+  // Generate initial story description from image
+  const initialDescription = await step('description', async () => {
+    const description = await describeImage(imageFilePath);
+    await storage.releaseUpload(imageFilePath); // Keep the upload until it has been described, so a retry can reuse it
+    return description;
+  });
+  const descriptionCheck = await step('description.moderation', () => screenInput(initialDescription, { stage: 'description', target: 'image description' }));
+
+  // Generate full story based on the description
+  const storyPrompt = `Based on this description, create a ${numChapters}-chapter story: ${initialDescription}`;
+  const storyData = await step('story', () => withQuota(keyId, 'stories', () => makeChatRequest(storyPrompt, numChapters, maxWordsPerChapter, readingTarget, language)));
+  const simpler = await step('readability', () => simplifyChapters(storyData, readingTarget, { maxWordsPerChapter, language }));
+  const moderated = await step('moderation', () => moderateChapters(simpler.storyData, { maxWordsPerChapter, language }));
+  return illustrateStory(step, moderated.storyData, {
+    author,
+    keyId,
+    checks: [...checks, descriptionCheck, ...moderated.checks],
+    readingTarget,
+    language,
+    simplified: simpler.simplified
+  });
+});
+
+// Summarises the chapters that have no summary yet, one step each
+const summarizeChapters = async (step, storyData) => {
+  const chapters = getChapters(storyData);
+  for (let i = 0; i < chapters.length; i++) {
+    if (!chapters[i].summary) {
+      chapters[i] = { ...chapters[i], summary: await step(`chapter${i + 1}.summary`, () => summarizeStory(chapters[i].body)) };
+    }
+  }
+  return { ...storyData, chapters };
+};
+
+// Shared tail of the imports: the writing itself is kept, so flagged text
+// rejects the import instead of being rewritten. Untitled chapters get a
+// name, every chapter a summary, and illustrateStory does the rest.
+const finishImport = async (step, { storyData, storyName }, { target, language, illustrate, author, keyId, checks = [] }) => {
+  const textCheck = await step('text.moderation', () => screenInput(getStoryText(storyData), { stage: 'import', target }));
+  const named = await step('chapters', () => withQuota(keyId, 'stories', () => nameChapters(storyData, language)));
+  const summarized = await summarizeChapters(step, named);
+  return illustrateStory(step, summarized, {
+    author,
+    keyId,
+    checks: [...checks, textCheck],
+    language,
+    storyName,
+    drawImages: illustrate
+  });
+};
+
+// Turns photographed pages into a story: OCR, clean-up, then chapters from
+// the text's own headings or an even split
+jobQueue.register('scan-import', async ({ filePaths, language, numChapters, storyName, illustrate, author, keyId, checks = [] }, step) => {
+  const scan = await step('ocr', async () => {
+    const result = await ocr.readPages(filePaths, { language: language ? language.code : 'en' });
+    // Keep the uploads until they have been read, so a retry can reuse them
+    await Promise.all(filePaths.map(storage.releaseUpload));
+    return result;
+  });
+
+  const text = cleanText(scan.text);
+  if (!text) {
+    throw new Error('No text was found on the scanned pages');
+  }
+  const split = splitChapters(text, { numChapters });
+  const story = await finishImport(step, { storyData: split.storyData, storyName: storyName || split.storyName }, {
+    target: 'scanned text', language, illustrate, author, keyId, checks
+  });
+  return { ...story, scan: { engine: ocr.engine, pages: scan.pages } };
+});
+
+// Finishes a manuscript the route has already read (see lib/importers for
+// the formats)
+jobQueue.register('manuscript-import', async ({ manuscript, language, storyName, illustrate, author, keyId, checks = [] }, step) => {
+  const story = await finishImport(step, { storyData: manuscript.storyData, storyName: storyName || manuscript.storyName }, {
+    target: 'manuscript', language, illustrate, author, keyId, checks
+  });
+  return { ...story, manuscript: { format: manuscript.format, words: manuscript.words } };
+});
+
+// Rewrites one chapter in place. Every other chapter is left untouched; the
+// chapter's summary and picture are redone only when asked for. The
+// story's reading target applies unless the job brings its own.
+jobQueue.register('chapter', async ({ storyId, number, instructions, maxWordsPerChapter, readingTarget, refreshSummary, refreshImage, author, keyId, checks = [] }, step) => {
+  const story = await storyStore.get(storyId);
+  if (!story) {
+    throw new Error('Story not found');
+  }
+
+  const index = number - 1;
+  const target = readingTarget || (story.readingTarget ? resolveReadingTarget(story.readingTarget) : null);
+  const language = resolveLanguage(story.language);
+  const rewritten = await step('rewrite', () => withQuota(keyId, 'stories', () => rewriteChapter({
+    storyData: story.storyData,
+    summary: story.summary,
+    index,
+    instructions,
+    maxWordsPerChapter,
+    readingTarget: target,
+    language
+  })));
+  const simpler = await step('readability', () => {
+    const chapters = getChapters(story.storyData);
+    chapters[index] = rewritten;
+    return simplifyChapters({ ...story.storyData, chapters }, target, { summary: story.summary, maxWordsPerChapter, numbers: [number], language });
+  });
+  const moderated = await step('moderation', () => moderateChapters(simpler.storyData, {
+    summary: story.summary,
+    maxWordsPerChapter,
+    numbers: [number],
+    language
+  }));
+  const chapter = moderated.storyData.chapters[index];
+
+  const chapterSummary = refreshSummary || refreshImage
+    ? await step('summary', () => summarizeStory(chapter.body))
+    : null;
+  const illustration = refreshImage
+    ? await step('image', () => drawIllustration(buildImagePrompt(chapterSummary, story.bible), `chapter ${number} image`, keyId))
+    : null;
+  const imageUrl = illustration && illustration.url;
+
+  return step('save', async () => {
+    // Re-read so edits made while the job ran are kept
+    const current = await storyStore.get(storyId);
+    const chapters = getChapters(current.storyData);
+    chapters[index] = chapterSummary ? { ...chapter, summary: chapterSummary } : chapter;
+
+    const changes = {
+      storyData: { ...current.storyData, chapters },
+      moderation: addToReport(current.moderation, [...checks, ...moderated.checks, ...(illustration ? illustration.checks : [])], moderation.policy)
+    };
+    if (imageUrl) {
+      changes.imageUrls = [...current.imageUrls];
+      changes.imageUrls[index] = imageUrl;
+    }
+
+    const updated = await storyStore.update(storyId, changes, { author, cause: 'regenerate' });
+    return {
+      storyId,
+      number,
+      chapter: updated.storyData.chapters[index],
+      imageUrl: updated.imageUrls[index] || null,
+      readability: {
+        target,
+        ...analyzeStory({ chapters: [updated.storyData.chapters[index]] }, target).chapters[0],
+        number,
+        simplified: simpler.simplified[0] || null
+      }
+    };
+  });
+});
+
+// Translates a stored story chapter by chapter into a parallel version kept
+// at story.translations[code]. Each chapter is a step, so a retry only
+// redoes what failed; `numbers` redoes just those chapters of an existing
+// translation (e.g. after they were edited). The story quota is charged
+// once the translation is saved.
+jobQueue.register('translate', async ({ storyId, language, numbers, author, keyId }, step) => {
+  const story = await storyStore.get(storyId);
+  if (!story) {
+    throw new Error('Story not found');
+  }
+
+  const existing = (story.translations || {})[language.code];
+  const previous = existing ? getChapters(existing.storyData) : [];
+  const storyName = existing && numbers
+    ? existing.storyName
+    : await step('title', () => translateTitle(story.storyName, language));
+
+  const chapters = [];
+  const sourceChapters = getChapters(story.storyData);
+  for (let i = 0; i < sourceChapters.length; i++) {
+    if (numbers && !numbers.includes(i + 1) && previous[i]) {
+      chapters.push(previous[i]);
+      continue;
+    }
+    chapters.push(await step(`chapter${i + 1}`, () => translateChapter(sourceChapters[i], {
+      language,
+      summary: story.summary,
+      bible: story.bible
+    })));
+  }
+
+  // Translations are screened like generated chapters, but only rejected:
+  // rewriting would need the translation redone
+  const checks = await step('moderation', () => Promise.all(chapters.map(async (chapter, i) => {
+    const check = await moderation.checkText(`${chapter.title}\n\n${chapter.body}`, { stage: 'translation', target: `${language.name} chapter ${i + 1}` });
+    return { ...check, action: check.flagged ? 'rejected' : 'passed' };
+  })));
+  if (checks.some(check => check.action === 'rejected')) {
+    throw rejectionError(checks, moderation.policy);
+  }
+
+  return step('save', () => withQuota(keyId, 'stories', async () => {
+    // Re-read so edits made while the job ran are kept
+    const current = await storyStore.get(storyId);
+    const translation = {
+      language: language.code,
+      storyName,
+      storyData: { chapters },
+      sourceRevision: story.revision,
+      translatedAt: new Date().toISOString()
+    };
+    const updated = await storyStore.update(storyId, {
+      translations: { ...(current.translations || {}), [language.code]: translation },
+      moderation: addToReport(current.moderation, checks, moderation.policy)
+    }, { author, cause: 'translate' });
+
+    return {
+      storyId,
+      ...updated.translations[language.code],
+      direction: language.direction,
+      moderation: updated.moderation
+    };
+  }));
+});
+
+// What is read aloud for a chapter
+const narrationText = (chapter) => `${chapter.title}.\n\n${chapter.body}`;
+
+// A story's narration with each track flagged `current` when it still reads
+// the chapter as it is now, and the chapters that have no track
+const describeNarration = (story, stored = story.narration) => {
+  const chapters = getChapters(story.storyData);
+  const tracks = (stored && stored.chapters) || [];
+  return {
+    ...(stored || {}),
+    chapters: tracks.map(track => ({
+      ...track,
+      current: Boolean(chapters[track.number - 1]) &&
+        track.fingerprint === narration.fingerprint(narrationText(chapters[track.number - 1]), { voice: track.voice, speed: track.speed })
+    })),
+    missing: chapters.map((chapter, i) => i + 1).filter(number => !tracks.some(track => track.number === number))
+  };
+};
+
+// Reads a stored story aloud chapter by chapter and keeps the tracks at
+// story.narration. A chapter whose text, voice and speed are unchanged keeps
+// its track unless `force` is set; `numbers` limits the work to those
+// chapters. Each narrated chapter is a step charged to the narrations quota.
+jobQueue.register('narration', async ({ storyId, voice, speed, numbers, force, author, keyId }, step) => {
+  const story = await storyStore.get(storyId);
+  if (!story) {
+    throw new Error('Story not found');
+  }
+
+  const previous = (story.narration && story.narration.chapters) || [];
+  const chapters = getChapters(story.storyData);
+  const tracks = [];
+  for (let i = 0; i < chapters.length; i++) {
+    const number = i + 1;
+    const text = narrationText(chapters[i]);
+    const fingerprint = narration.fingerprint(text, { voice, speed });
+    const existing = previous.find(track => track.number === number);
+    const wanted = !numbers || numbers.includes(number);
+    if (existing && (!wanted || (!force && existing.fingerprint === fingerprint))) {
+      tracks.push(existing);
+      continue;
+    }
+    if (!wanted) {
+      continue;
+    }
+
+    tracks.push(await step(`chapter${number}`, () => withQuota(keyId, 'narrations', async () => {
+      const speech = await narration.narrate(text, { voice, speed });
+      const asset = await assetStore.put(speech.audio, { contentType: speech.contentType });
+      return {
+        number,
+        title: chapters[i].title,
+        url: asset.url,
+        hash: asset.hash,
+        duration: speech.duration,
+        voice: speech.voice,
+        speed: speech.speed,
+        model: speech.model,
+        fingerprint,
+        createdAt: new Date().toISOString()
+      };
+    })));
+  }
+
+  return step('save', async () => {
+    // Re-read so edits made while the job ran are kept
+    const current = await storyStore.get(storyId);
+    const updated = await storyStore.update(storyId, {
+      narration: {
+        provider: narration.provider,
+        voice,
+        speed,
+        updatedAt: new Date().toISOString(),
+        chapters: tracks
+      }
+    }, { author, cause: 'narrate' });
+
+    return { storyId, ...describeNarration(current, updated.narration) };
+  });
+});
+
+// Generation routes answer 202 with a job id straight away. Passing
+// ?wait=true keeps the old behaviour of blocking until the story is ready.
+const respondWithJob = async (req, res, job, errorMessage) => {
+  if (req.query.wait !== 'true') {
+    return res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`
+    });
+  }
+
+  await job.done;
+  if (job.status === 'completed') {
+    return res.json({ ...job.result, usage: job.usage });
+  }
+  res.status(500).json({ error: errorMessage, details: job.error, jobId: job.id, usage: job.usage });
+};
+
+// Chapter length when the request gives none: the age band's, else `fallback`
+const defaultMaxWords = (readingTarget, fallback) => (readingTarget && readingTarget.ageBand
+  ? AGE_BANDS[readingTarget.ageBand].maxWordsPerChapter
+  : fallback);
+
+// A story costs one story and one image per chapter
+const storyQuota = (req) => ({ stories: 1, images: Number(req.body.numChapters) || 1 });
+
+// Body: { message, numChapters, maxWordsPerChapter?, ageBand?, readingLevel?, language? }
+app.post('/api/chat', generationLimiter, checkReadingTarget, checkLanguage, requireQuota(storyQuota), async (req, res) => {
+  const { message, numChapters } = req.body;
+  const { readingTarget, language } = req;
+  const maxWordsPerChapter = req.body.maxWordsPerChapter || defaultMaxWords(readingTarget, undefined);
+
+  try {
+    const checks = [await screenInput(message, { stage: 'prompt', target: 'story prompt' })];
+    const job = jobQueue.enqueue('story', { message, numChapters, maxWordsPerChapter, readingTarget, language, author: revisionAuthor(req), keyId: keyIdOf(req), checks }, usageContextOf(req));
+    await respondWithJob(req, res, job, 'An error occurred while generating the story and images.');
+  } catch (error) {
+    if (error.code === 'CONTENT_REJECTED') {
+      return sendRejection(res, error);
+    }
+    console.error('Detailed error in /api/chat:', error);
+    res.status(500).json({ 
+      error: 'An error occurred while generating the story and images.',
+      details: error.message
+    });
+  }
+});
+
+app.post('/api/pdf', renderLimiter, requireQuota({ pdfs: 1 }), loadStory, selectTranslation, checkPdfOptions, async (req, res) => {
+  const { storyData, imageUrls = [], storyName } = req.body;
+  if (!storyData) {
+    return res.status(400).json({ error: 'Story content is required' });
+  }
+
+  try {
+    const pdfData = await withQuota(keyIdOf(req), 'pdfs', () => renderStoryPdf({ storyName, storyData, imageUrls, ...pickPdfOptions(req.body) }, { loadImage: loadStoredImage }));
+    res.writeHead(200, {
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': 'attachment; filename=story.pdf',
+      'Content-Length': pdfData.length
+    });
+    res.end(pdfData);
+  } catch (error) {
+    if (error.code === 'QUOTA_EXCEEDED') {
+      return sendQuotaError(res, error);
+    }
+    if (error.code === 'FONT_MISSING') {
+      return res.status(422).json({ error: error.message });
+    }
+    console.error('Error generating PDF:', error.message || error);
+    res.status(500).json({ error: 'An error occurred while generating the PDF.' });
+  }
+});
+
+// A stored story keeps its reading target and language unless the request sets new ones
+app.post('/api/regenerate-story', generationLimiter, requireQuota({ stories: 1 }), loadStory, checkReadingTarget, checkLanguage, async (req, res) => {
+  const { story, regeneratePrompt, storyId, storyData } = req.body;
+  const { language } = req;
+  const readingTarget = req.readingTarget || (req.story && req.story.readingTarget) || null;
+  const numChapters = req.body.numChapters || getChapters(storyData).length || 1;
+  const maxWordsPerChapter = req.body.maxWordsPerChapter || defaultMaxWords(readingTarget, 500);
+  try {
+    const checks = regeneratePrompt || story
+      ? [await screenInput(regeneratePrompt || story, { stage: 'prompt', target: 'story prompt' })]
+      : [];
+    const generated = await withQuota(keyIdOf(req), 'stories', () => makeChatRequest(regeneratePrompt || story || getStoryText(storyData), numChapters, maxWordsPerChapter, readingTarget, language));
+    const simpler = await simplifyChapters(generated, readingTarget, { summary: req.body.summary, maxWordsPerChapter, language });
+    const moderated = await moderateChapters(simpler.storyData, { summary: req.body.summary, maxWordsPerChapter, language });
+    const report = addToReport(req.story && req.story.moderation, [...checks, ...moderated.checks], moderation.policy);
+    if (storyId) {
+      await storyStore.update(storyId, {
+        storyData: moderated.storyData,
+        readingTarget,
+        language: language ? language.code : null,
+        moderation: report
+      }, { author: revisionAuthor(req), cause: 'regenerate' });
+    }
+    res.json({
+      newStory: toResponseStoryData(moderated.storyData),
+      readability: { ...analyzeStory(moderated.storyData, readingTarget), simplified: simpler.simplified },
+      moderation: report,
+      usage: usageLedger.currentTotals()
+    });
+  } catch (error) {
+    if (error.code === 'QUOTA_EXCEEDED') {
+      return sendQuotaError(res, error);
+    }
+    if (error.code === 'CONTENT_REJECTED') {
+      return sendRejection(res, error);
+    }
+    console.error('Error in regenerate-story:', error.message || error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Body: the PDF options plus ttl? (seconds the link stays valid, default
+// PREVIEW_TTL_SECONDS, at most PREVIEW_MAX_TTL_SECONDS)
+app.post('/api/generate-pdf-preview', renderLimiter, requireQuota({ pdfs: 1 }), loadStory, selectTranslation, checkPdfOptions, async (req, res) => {
+  const { storyData, imageUrls = [], storyName, ttl } = req.body;
+
+  if (!storyData || !storyName) {
+    return res.status(400).json({ error: 'Story content and name are required' });
+  }
+  if (ttl !== undefined && !(Number(ttl) > 0)) {
+    return res.status(400).json({ error: 'ttl must be a positive number of seconds' });
+  }
+
+  try {
+    // A full previews area is refused before anything is rendered; a PDF
+    // that turns out not to fit is refunded like any other failed render
+    await storage.reserve('previews', 0);
+    const preview = await withQuota(keyIdOf(req), 'pdfs', async () => {
+      const pdfData = await renderStoryPdf({ storyName, storyData, imageUrls, ...pickPdfOptions(req.body) }, { loadImage: loadStoredImage });
+      await storage.reserve('previews', pdfData.length);
+      return previewStore.create(pdfData, {
+        keyId: keyIdOf(req),
+        storyId: req.story ? req.story.id : null,
+        storyName,
+        ttl: previewStore.ttlFor(ttl)
+      });
+    });
+    res.json({
+      previewId: preview.id,
+      previewUrl: previewStore.signedUrl(preview, publicBaseUrl(req)),
+      expiresAt: preview.expiresAt
+    });
+  } catch (error) {
+    if (error.code === 'QUOTA_EXCEEDED') {
+      return sendQuotaError(res, error);
+    }
+    if (error.code === 'STORAGE_FULL') {
+      return res.status(507).json({ error: error.message });
+    }
+    if (error.code === 'FONT_MISSING') {
+      return res.status(422).json({ error: error.message });
+    }
+    console.error('Error generating PDF preview:', error);
+    res.status(500).json({ error: 'An error occurred while generating the PDF preview.' });
+  }
+});
+
+const PREVIEW_ERROR_STATUS = { BAD_SIGNATURE: 403, EXPIRED: 410, NOT_FOUND: 404 };
+
+// Serves the PDF behind a signed link: ?expires=&signature=
+app.get('/api/pdf-preview/:previewId', async (req, res) => {
+  try {
+    const { record, filePath } = await previewStore.open(req.params.previewId, req.query);
+    res.set('Cache-Control', `private, max-age=${Math.max(0, Math.floor((Date.parse(record.expiresAt) - Date.now()) / 1000))}`);
+    res.sendFile(filePath, { headers: { 'Content-Type': 'application/pdf' } }, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ error: 'PDF preview not found' });
+      }
+    });
+  } catch (error) {
+    if (PREVIEW_ERROR_STATUS[error.code]) {
+      return res.status(PREVIEW_ERROR_STATUS[error.code]).json({ error: error.message });
+    }
+    console.error('Error serving PDF preview:', error.message || error);
+    res.status(500).json({ error: 'Failed to load the PDF preview' });
+  }
+});
+
+// Revokes a preview before it expires. Keys can only revoke their own.
+app.delete('/api/pdf-preview/:previewId', async (req, res) => {
+  try {
+    const preview = await previewStore.get(req.params.previewId);
+    const isAdmin = AUTH_DISABLED || req.apiKey.role === 'admin';
+    if (!preview || (!isAdmin && preview.keyId !== req.apiKey.id)) {
+      return res.status(404).json({ error: 'PDF preview not found' });
+    }
+    await previewStore.revoke(preview.id);
+    res.json({ ...preview, revokedAt: new Date().toISOString() });
+  } catch (error) {
+    console.error('Error revoking PDF preview:', error.message || error);
+    res.status(500).json({ error: 'Failed to revoke the PDF preview' });
+  }
+});
+
+// Helper function to download image to a buffer
+const downloadImageToBuffer = async (url) => {
+  try {
+    const response = await axios({ url, responseType: 'arraybuffer' });
+    if (response.status !== 200) {
+      throw new Error(`Failed to fetch image: ${response.statusText}`);
+    }
+    return Buffer.from(response.data, 'binary');
+  } catch (error) {
+    console.error('Error downloading image:', error.message || error);
+    throw error; 
+  }
+};
+
+// Copies an image into the asset store and returns its durable URL
+const storeImageFromUrl = async (url) => {
+  if (assetStore.isAssetUrl(url)) {
+    return url;
+  }
+  const imageBuffer = await downloadImageToBuffer(url);
+  const asset = await assetStore.put(imageBuffer);
+  return asset.url;
+};
+
+// Stores every image a client sent (see checkImageUrl); ones that cannot be
+// fetched keep their URL
+const storeImageUrls = (imageUrls = []) => Promise.all(imageUrls.map(async (url) => {
+  if (!url || assetStore.isAssetUrl(url)) return url;
+  try {
+    return (await assetStore.put(await remoteImages.fetch(url))).url;
+  } catch (error) {
+    console.error(`Error storing image ${String(url).slice(0, 80)}:`, error.message || error);
+    return url;
+  }
+}));
+
+// Image loader for the renderers: our own assets come from the store at
+// print size, anything else is downloaded under lib/remoteImages' rules
+const loadStoredImage = async (url) => {
+  const ref = assetStore.parseUrl(url);
+  if (!ref) {
+    return remoteImages.fetch(url);
+  }
+  const asset = await assetStore.get(ref.hash, ref.variant === 'original' ? 'print' : ref.variant);
+  if (!asset) {
+    throw new Error(`Asset ${ref.hash} not found`);
+  }
+  return asset.buffer;
+};
+
+// Narration tracks are always kept in the asset store
+const loadStoredAudio = async (url) => {
+  const ref = assetStore.parseUrl(url);
+  const asset = ref && await assetStore.get(ref.hash);
+  if (!asset) {
+    throw new Error(`Audio not found: ${url}`);
+  }
+  return asset.buffer;
+};
+
+app.post('/api/regenerate-image', generationLimiter, requireQuota({ images: 1 }), loadStory, async (req, res) => {
+  const { summary, regeneratePrompt, storyId, chapterIndex, bible } = req.body;
+  try {
+    const checks = regeneratePrompt
+      ? [await screenInput(regeneratePrompt, { stage: 'prompt', target: 'image prompt' })]
+      : [];
+    const target = chapterIndex !== undefined ? `chapter ${Number(chapterIndex) + 1} image` : 'image';
+    const illustration = await drawIllustration(buildImagePrompt(regeneratePrompt || summary, normalizeBible(bible)), target, keyIdOf(req));
+    const newImageUrl = illustration.url;
+    const report = addToReport(req.story && req.story.moderation, [...checks, ...illustration.checks], moderation.policy);
+
+    // Replace the chapter's image on the stored project when we know which one
+    if (req.story && chapterIndex !== undefined) {
+      const imageUrls = [...(req.story.imageUrls || [])];
+      imageUrls[Number(chapterIndex)] = newImageUrl;
+      await storyStore.update(storyId, { imageUrls, moderation: report }, { author: revisionAuthor(req), cause: 'regenerate' });
+    }
+
+    res.json({ newImageUrl, moderation: report, usage: usageLedger.currentTotals() });
+  } catch (error) {
+    if (error.code === 'QUOTA_EXCEEDED') {
+      return sendQuotaError(res, error);
+    }
+    if (error.code === 'CONTENT_REJECTED') {
+      return sendRejection(res, error);
+    }
+    console.error('Error in regenerate-image:', error.message || error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+const describeImage = async (imageFilePath) => {
+  try {
+    const imageBuffer = await fs.promises.readFile(imageFilePath);
+
+    const response = await ai.describeImage({
+      image: imageBuffer,
+      mimeType: sniffImageType(imageBuffer) || 'image/jpeg',
+      prompt: 'Create a detailed and creative story based on the image. The story should be at least 5 paragraphs long, describing the scene, characters, potential backstory, and imagined events related to the image.',
+      temperature: 1,
+      maxTokens: 2000 // Increased to allow for longer responses
+    });
+
+    const content = response.content;
+    const paragraphs = content.split('\n\n').filter(p => p.trim().length > 0);
+
+    if (paragraphs.length < 5) {
+      throw new Error('Generated content has less than 5 paragraphs');
+    }
+
+    return content;
+  } catch (error) {
+    console.error('Error in describeImage:', error.message || error);
+    throw error;
+  }
+};
+
+app.post('/api/describe-image', generationLimiter, imageUpload('image'), requireQuota({ images: 1 }), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No image uploaded' });
+  }
+
+  const imageFilePath = req.file.path;
+
+  try {
+    const checks = [await screenUpload(imageFilePath, req.file.mimetype)];
+    const description = await withQuota(keyIdOf(req), 'images', () => describeImage(imageFilePath));
+    checks.push(await screenInput(description, { stage: 'description', target: 'image description' }));
+    res.json({ description, moderation: addToReport(null, checks, moderation.policy), usage: usageLedger.currentTotals() });
+  } catch (error) {
+    if (error.code === 'CONTENT_REJECTED') {
+      return sendRejection(res, error);
+    }
+    console.error('Error in describe-image:', error.message || error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+app.post('/api/generate-story-from-image', generationLimiter, imageUpload('image'), checkReadingTarget, checkLanguage, requireQuota(storyQuota), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No image uploaded' });
+  }
+
+  const imageFilePath = req.file.path;
+  const { readingTarget, language } = req;
+  const numChapters = req.body.numChapters || 1;
+  const maxWordsPerChapter = req.body.maxWordsPerChapter || defaultMaxWords(readingTarget, 500);
+
+  try {
+    const checks = [await screenUpload(imageFilePath, req.file.mimetype)];
+    storage.keepUpload(req.file);
+    const job = jobQueue.enqueue('story-from-image', { imageFilePath, numChapters, maxWordsPerChapter, readingTarget, language, author: revisionAuthor(req), keyId: keyIdOf(req), checks }, usageContextOf(req));
+    await respondWithJob(req, res, job, 'Internal Server Error');
+  } catch (error) {
+    if (error.code === 'CONTENT_REJECTED') {
+      return sendRejection(res, error);
+    }
+    console.error('Error in generate-story-from-image:', error.message || error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Imports
+const MAX_SCAN_PAGES = Number(process.env.SCAN_MAX_PAGES) || 20;
+const MAX_MANUSCRIPT_BYTES = Number(process.env.MANUSCRIPT_MAX_BYTES) || 20 * 1024 * 1024;
+// Text unpacked from a PDF's compressed streams, at most this many times
+// the upload limit
+const MAX_INFLATED_BYTES = MAX_MANUSCRIPT_BYTES * 5;
+const MANUSCRIPT_READ_TIMEOUT_MS = Number(process.env.MANUSCRIPT_READ_TIMEOUT_MS) || 30000;
+
+const scanUpload = handleUploadErrors(multer({ dest: storage.dir('uploads'), limits: { fileSize: MAX_IMAGE_BYTES } }).array('pages', MAX_SCAN_PAGES), { maxBytes: MAX_IMAGE_BYTES });
+const manuscriptUpload = handleUploadErrors(multer({ dest: storage.dir('uploads'), limits: { fileSize: MAX_MANUSCRIPT_BYTES } }).single('file'), { maxBytes: MAX_MANUSCRIPT_BYTES });
+
+// Reads numChapters, storyName and illustrate ('true' / 'false') from a
+// multipart import body into req.importOptions
+const checkImportOptions = ({ illustrate = false } = {}) => (req, res, next) => {
+  const numChapters = req.body.numChapters ? Number(req.body.numChapters) : undefined;
+  if (numChapters !== undefined && !(Number.isInteger(numChapters) && numChapters >= 1 && numChapters <= MAX_CHAPTERS)) {
+    return res.status(400).json({ error: `numChapters must be between 1 and ${MAX_CHAPTERS}` });
+  }
+  req.importOptions = {
+    numChapters,
+    storyName: req.body.storyName || null,
+    illustrate: req.body.illustrate === undefined ? illustrate : req.body.illustrate === 'true'
+  };
+  next();
+};
+
+// An import costs one story, plus one image per chapter when illustrated.
+// A manuscript is read first, so its real chapter count is charged.
+const importQuota = (req) => {
+  const chapters = req.manuscript ? req.manuscript.storyData.chapters.length : req.importOptions.numChapters || 1;
+  return { stories: 1, images: req.importOptions.illustrate ? chapters : 0 };
+};
+
+// Reads the uploaded manuscript into req.manuscript, on a worker thread.
+// Files that are not a manuscript (415), have no text in them or unpack to
+// far more than was uploaded (422) are refused here.
+const readManuscript = async (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  try {
+    req.manuscript = await readInWorker(await fs.promises.readFile(req.file.path), {
+      filename: req.file.originalname,
+      contentType: req.file.mimetype,
+      numChapters: req.importOptions.numChapters,
+      maxInflatedBytes: MAX_INFLATED_BYTES
+    }, { timeoutMs: MANUSCRIPT_READ_TIMEOUT_MS });
+    next();
+  } catch (error) {
+    if (error.code === 'UNSUPPORTED_FORMAT') {
+      return res.status(415).json({ error: error.message });
+    }
+    if (['NO_TEXT', 'TOO_LARGE', 'TIMEOUT'].includes(error.code)) {
+      return res.status(422).json({ error: error.message });
+    }
+    console.error('Error reading manuscript:', error.message || error);
+    res.status(500).json({ error: 'An error occurred while importing the manuscript.' });
+  }
+};
+
+// Multipart body: pages (photos of the pages, in reading order), language?,
+// numChapters?, storyName?, illustrate? ('true' draws a picture per chapter)
+app.post('/api/import/scan', generationLimiter, scanUpload, checkLanguage, checkImportOptions(), requireQuota(importQuota), async (req, res) => {
+  const files = req.files || [];
+  if (files.length === 0) {
+    return res.status(400).json({ error: 'No pages uploaded' });
+  }
+
+  try {
+    // Pages are checked by their content, not the type the client claims
+    for (const file of files) {
+      const mimeType = sniffImageType(await readFileHead(file.path, 64));
+      if (!mimeType) {
+        return res.status(415).json({ error: `${file.originalname || 'A page'} is not an image we can read (use JPEG, PNG, WebP, GIF or TIFF)` });
+      }
+      file.mimetype = mimeType;
+    }
+
+    const checks = [];
+    for (const file of files) {
+      checks.push(await screenUpload(file.path, file.mimetype));
+    }
+    const job = jobQueue.enqueue('scan-import', {
+      filePaths: files.map(storage.keepUpload),
+      language: req.language,
+      ...req.importOptions,
+      author: revisionAuthor(req),
+      keyId: keyIdOf(req),
+      checks
+    }, usageContextOf(req));
+    await respondWithJob(req, res, job, 'An error occurred while importing the scanned pages.');
+  } catch (error) {
+    if (error.code === 'CONTENT_REJECTED') {
+      return sendRejection(res, error);
+    }
+    console.error('Error in import/scan:', error.message || error);
+    res.status(500).json({ error: 'An error occurred while importing the scanned pages.' });
+  }
+});
+
+// Multipart body: file (TXT, Markdown, DOCX or a PDF with text), language?,
+// numChapters? (used when the file has no chapter headings), storyName?,
+// illustrate? (default 'true')
+app.post('/api/import/manuscript', generationLimiter, manuscriptUpload, checkLanguage, checkImportOptions({ illustrate: true }), readManuscript, requireQuota(importQuota), async (req, res) => {
+  try {
+    const job = jobQueue.enqueue('manuscript-import', {
+      manuscript: req.manuscript,
+      language: req.language,
+      ...req.importOptions,
+      author: revisionAuthor(req),
+      keyId: keyIdOf(req)
+    }, usageContextOf(req));
+    await respondWithJob(req, res, job, 'An error occurred while importing the manuscript.');
+  } catch (error) {
+    console.error('Error in import/manuscript:', error.message || error);
+    res.status(500).json({ error: 'An error occurred while importing the manuscript.' });
+  }
+});
+
+// Generation jobs
+// Jobs are only seen by the key that started them
+const loadJob = (req, res, next) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job || !canAccess(req, job.context)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  req.job = job;
+  next();
+};
+
+app.get('/api/jobs/:id', loadJob, (req, res) => {
+  res.json(jobQueue.toJSON(req.job));
+});
+
+app.post('/api/jobs/:id/retry', loadJob, (req, res) => {
+  try {
+    res.status(202).json(jobQueue.toJSON(jobQueue.retry(req.job.id)));
+  } catch (error) {
+    res.status(409).json({ error: error.message });
+  }
+});
+
+// Server-Sent Events stream of job progress: a `job` event with the full
+// state on connect and on every step change, then `end` once it settles
+app.get('/api/jobs/:id/events', loadJob, (req, res) => {
+  const { job } = req;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const isSettled = (current) => current.status === 'completed' || current.status === 'failed';
+
+  const onUpdate = (updated) => {
+    if (updated.id !== job.id) return;
+    send('job', jobQueue.toJSON(updated));
+    if (isSettled(updated)) {
+      send('end', { status: updated.status });
+    }
+  };
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  jobQueue.events.on('update', onUpdate);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    jobQueue.events.off('update', onUpdate);
+  });
+
+  send('job', jobQueue.toJSON(job));
+  if (isSettled(job)) {
+    send('end', { status: job.status });
+  }
+});
+
+app.post('/api/generate-pdf', renderLimiter, requireQuota({ pdfs: 1 }), loadStory, selectTranslation, checkPdfOptions, async (req, res) => {
+  const { storyData, imageUrls, storyName } = req.body;
+
+  if (!storyData || !imageUrls) {
+    return res.status(400).json({ error: 'Story content and images are required' });
+  }
+
+  try {
+    const pdfData = await withQuota(keyIdOf(req), 'pdfs', () => renderStoryPdf({ storyName, storyData, imageUrls, ...pickPdfOptions(req.body) }, { loadImage: loadStoredImage }));
+    res.writeHead(200, {
+      'Content-Type': 'application/pdf',
+      'Content-Length': pdfData.length
+    });
+    res.end(pdfData);
+  } catch (error) {
+    if (error.code === 'QUOTA_EXCEEDED') {
+      return sendQuotaError(res, error);
+    }
+    if (error.code === 'FONT_MISSING') {
+      return res.status(422).json({ error: error.message });
+    }
+    console.error('Error generating PDF:', error.message || error);
+    res.status(500).json({ error: 'An error occurred while generating the PDF.' });
+  }
+});
+
+app.get('/api/reading-levels', (req, res) => {
+  res.json({ ageBands: AGE_BANDS, readingLevels: READING_LEVELS });
+});
+
+// `pdfFont` tells whether a font for the language's script is installed,
+// without one PDFs can only show Latin-1 text (see lib/fonts.js)
+app.get('/api/languages', (req, res) => {
+  const fonts = getFontLibrary();
+  res.json({
+    languages: listLanguages().map(language => ({ ...language, pdfFont: Boolean(fonts.fontsFor(language.script)) }))
+  });
+});
+
+app.get('/api/pdf-themes', (req, res) => {
+  res.json({ themes: listThemes(), layouts: LAYOUTS, trimSizes: Object.keys(TRIM_SIZES) });
+});
+
+// Exports
+// Formats: epub, markdown, html, docx, audiobook (see lib/exporters)
+app.post('/api/export/:format', renderLimiter, loadStory, selectTranslation, async (req, res) => {
+  const exporter = getExporter(req.params.format);
+  if (!exporter) {
+    return res.status(404).json({ error: `Unknown export format: ${req.params.format}`, formats: Object.keys(exporters) });
+  }
+
+  const { storyData, imageUrls = [], storyName, summary, language, author, narration: narrated } = req.body;
+
+  if (!storyData) {
+    return res.status(400).json({ error: 'Story content is required' });
+  }
+
+  try {
+    const file = await exporter.build(
+      { storyId: req.body.storyId, storyName, storyData, imageUrls, summary, language, author, narration: narrated && describeNarration({ storyData }, narrated) },
+      { loadImage: loadStoredImage, loadAudio: loadStoredAudio }
+    );
+    res.writeHead(200, {
+      'Content-Type': exporter.contentType,
+      'Content-Disposition': `attachment; filename=${slugify(storyName)}.${exporter.extension}`,
+      'Content-Length': file.length
+    });
+    res.end(file);
+  } catch (error) {
+    if (error.code === 'NOT_NARRATED') {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error(`Error generating ${req.params.format} export:`, error.message || error);
+    res.status(500).json({ error: `An error occurred while generating the ${req.params.format} export.` });
+  }
+});
+
+// Story projects. Query: keyId? (admin keys only; others list their own)
+app.get('/api/stories', async (req, res) => {
+  const isAdmin = AUTH_DISABLED || req.apiKey.role === 'admin';
+  const keyId = isAdmin ? req.query.keyId : req.apiKey.id;
+  try {
+    const stories = (await storyStore.list()).filter(story => keyId === undefined || story.keyId === keyId);
+    res.json({
+      stories: stories.map(({ id, storyName, summary, language, translations, createdAt, updatedAt }) => ({
+        id, storyName, summary, language, translations: Object.keys(translations || {}), createdAt, updatedAt
+      }))
+    });
+  } catch (error) {
+    console.error('Error listing stories:', error.message || error);
+    res.status(500).json({ error: 'Failed to list stories' });
+  }
+});
+
+// Every /api/stories/:id route reaches only the caller's own stories
+app.use('/api/stories/:id', async (req, res, next) => {
+  try {
+    const story = await storyStore.get(req.params.id);
+    if (story && !canAccess(req, story)) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+    next();
+  } catch (error) {
+    console.error('Error loading story:', error.message || error);
+    res.status(500).json({ error: 'Failed to load story' });
+  }
+});
+
+app.post('/api/stories', validateInput, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const imageUrls = await storeImageUrls(req.body.imageUrls);
+    const language = resolveLanguage(req.body.language);
+    const story = await storyStore.create({ ...req.body, imageUrls, language: language ? language.code : null }, { author: revisionAuthor(req), cause: 'create', keyId: keyIdOf(req) });
+    res.status(201).json(story);
+  } catch (error) {
+    console.error('Error creating story:', error.message || error);
+    res.status(500).json({ error: 'Failed to create story' });
+  }
+});
+
+app.get('/api/stories/:id', async (req, res) => {
+  try {
+    const story = await storyStore.get(req.params.id);
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+    res.json({ ...story, readability: analyzeStory(story.storyData, story.readingTarget || null) });
+  } catch (error) {
+    console.error('Error fetching story:', error.message || error);
+    res.status(500).json({ error: 'Failed to fetch story' });
+  }
+});
+
+app.patch('/api/stories/:id', validateStoryPatch, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const changes = { ...req.body };
+    if (changes.imageUrls) {
+      changes.imageUrls = await storeImageUrls(changes.imageUrls);
+    }
+    if (changes.readingTarget) {
+      changes.readingTarget = resolveReadingTarget(changes.readingTarget);
+    }
+    if (changes.language) {
+      changes.language = resolveLanguage(changes.language).code;
+    }
+    const story = await storyStore.update(req.params.id, changes, { author: revisionAuthor(req), cause: 'edit' });
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+    res.json(story);
+  } catch (error) {
+    console.error('Error updating story:', error.message || error);
+    res.status(500).json({ error: 'Failed to update story' });
+  }
+});
 
+app.delete('/api/stories/:id', async (req, res) => {
   try {
-    const storyData = await makeChatRequest(message, numChapters, maxWordsPerChapter);
-    const summary = await summarizeStory(Object.values(storyData).join('\n\n'));
-    const storyName = generateStoryName(summary);
-
-    // Generate images for each chapter
-    const imageUrls = await Promise.all(
-      Object.keys(storyData)
-        .filter(key => key.startsWith('chapter') && !key.endsWith('Name'))
-        .map(async (chapterKey) => {
-          const chapterSummary = await summarizeStory(storyData[chapterKey]);
-          return generateImage(chapterSummary);
-        })
-    );
+    const removed = await storyStore.remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error deleting story:', error.message || error);
+    res.status(500).json({ error: 'Failed to delete story' });
+  }
+});
 
-    res.json({ ...storyData, summary, imageUrls, storyName });
-  }catch (error) {
-    console.error('Detailed error in /api/chat:', error);
-    if (error.response) {
-      console.error('Error response:', error.response.data);
+// Revision history
+app.get('/api/stories/:id/revisions', async (req, res) => {
+  try {
+    const revisions = await storyStore.listRevisions(req.params.id);
+    if (!revisions) {
+      return res.status(404).json({ error: 'Story not found' });
     }
-    res.status(500).json({ 
-      error: 'An error occurred while generating the story and images.',
-      details: error.message,
-      responseData: error.response ? error.response.data : null
-    });
+    res.json({ revisions });
+  } catch (error) {
+    console.error('Error listing revisions:', error.message || error);
+    res.status(500).json({ error: 'Failed to list revisions' });
   }
 });
 
-app.post('/api/pdf', async (req, res) => {
-  const { storyData, imageUrls, storyName } = req.body;
-  if (!storyData) {
-    return res.status(400).json({ error: 'Story content is required' });
+app.get('/api/stories/:id/revisions/:number', async (req, res) => {
+  try {
+    const revision = await storyStore.getRevision(req.params.id, req.params.number);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    res.json(revision);
+  } catch (error) {
+    console.error('Error fetching revision:', error.message || error);
+    res.status(500).json({ error: 'Failed to fetch revision' });
   }
+});
 
-  const doc = new PDFDocument();
-  let buffers = [];
+// Per-chapter word diff, e.g. /api/stories/:id/diff?from=2&to=5 (`to` defaults to the latest)
+app.get('/api/stories/:id/diff', async (req, res) => {
+  try {
+    const revisions = await storyStore.listRevisions(req.params.id);
+    if (!revisions) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
 
-  doc.on('data', buffers.push.bind(buffers));
-  doc.on('end', () => {
-    const pdfData = Buffer.concat(buffers);
-    res.writeHead(200, {
-      'Content-Type': 'application/pdf',
-      'Content-Disposition': 'attachment; filename=story.pdf',
-      'Content-Length': pdfData.length
-    });
-    res.end(pdfData);
-  });
+    const latest = revisions[revisions.length - 1].number;
+    const from = await storyStore.getRevision(req.params.id, req.query.from || latest - 1);
+    const to = await storyStore.getRevision(req.params.id, req.query.to || latest);
+    if (!from || !to) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
 
-  // Add story name
-  doc.fontSize(28).fillColor('red').text(storyName, { align: 'center' });
-  doc.moveDown();
+    res.json(diffRevisions(from, to));
+  } catch (error) {
+    console.error('Error diffing revisions:', error.message || error);
+    res.status(500).json({ error: 'Failed to diff revisions' });
+  }
+});
 
-  const chapterKeys = Object.keys(storyData).filter(key => key.startsWith('chapter') && !key.endsWith('Name'));
+app.post('/api/stories/:id/revisions/:number/restore', async (req, res) => {
+  try {
+    const story = await storyStore.restore(req.params.id, req.params.number, { author: revisionAuthor(req) });
+    if (!story) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    res.json(story);
+  } catch (error) {
+    console.error('Error restoring revision:', error.message || error);
+    res.status(500).json({ error: 'Failed to restore revision' });
+  }
+});
 
-  for (let i = 0; i < chapterKeys.length; i++) {
-    const chapterKey = chapterKeys[i];
-    const chapterNameKey = `${chapterKey}Name`;
-    const chapterContent = storyData[chapterKey];
-    const chapterName = storyData[chapterNameKey];
+// Body: { instructions?, maxWordsPerChapter?, refreshSummary?, refreshImage? }
+app.post('/api/stories/:id/chapters/:n/regenerate', generationLimiter, [
+  body('instructions').optional().isString().trim(),
+  body('maxWordsPerChapter').optional().isInt({ min: 1 }),
+  body('refreshSummary').optional().isBoolean(),
+  body('refreshImage').optional().isBoolean()
+], checkReadingTarget, requireQuota(req => ({ stories: 1, images: req.body.refreshImage ? 1 : 0 })), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
 
-    // Add chapter name
-    doc.fontSize(20).fillColor('blue').text(`Chapter ${i + 1}: ${chapterName}`, { align: 'center' });
-    doc.moveDown();
+  try {
+    const story = await storyStore.get(req.params.id);
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
 
-    // Add chapter image
-    if (imageUrls[i]) {
-      const imageBuffer = await downloadImageToBuffer(imageUrls[i]);
-      doc.image(imageBuffer, { fit: [500, 500], align: 'center', valign: 'center' });
-      doc.moveDown();
+    const number = Number(req.params.n);
+    if (!Number.isInteger(number) || number < 1 || number > getChapters(story.storyData).length) {
+      return res.status(404).json({ error: 'Chapter not found' });
     }
 
-    // Add chapter content
-    const paragraphs = chapterContent.split('\n\n');
-    paragraphs.forEach(paragraph => {
-      doc.fontSize(12).fillColor('black').text(paragraph);
-      doc.moveDown();
-    });
+    const { instructions, maxWordsPerChapter, refreshSummary, refreshImage } = req.body;
+    const checks = instructions
+      ? [await screenInput(instructions, { stage: 'prompt', target: `chapter ${number} instructions` })]
+      : [];
+    const job = jobQueue.enqueue('chapter', {
+      storyId: story.id,
+      number,
+      instructions,
+      maxWordsPerChapter: maxWordsPerChapter ? Number(maxWordsPerChapter) : undefined,
+      readingTarget: req.readingTarget,
+      refreshSummary: Boolean(refreshSummary),
+      refreshImage: Boolean(refreshImage),
+      author: revisionAuthor(req),
+      keyId: keyIdOf(req),
+      checks
+    }, usageContextOf(req));
+    await respondWithJob(req, res, job, 'An error occurred while regenerating the chapter.');
+  } catch (error) {
+    if (error.code === 'CONTENT_REJECTED') {
+      return sendRejection(res, error);
+    }
+    console.error('Error regenerating chapter:', error.message || error);
+    res.status(500).json({ error: 'Failed to regenerate chapter' });
+  }
+});
 
-    // Add a page break after each chapter, except the last one
-    if (i < chapterKeys.length - 1) {
-      doc.addPage();
+// Body: { language, chapters?: [numbers] }. With `chapters` only those
+// chapters of an existing translation are translated again.
+app.post('/api/stories/:id/translate', generationLimiter, [
+  body('language').exists({ values: 'falsy' }).withMessage('A language is required'),
+  body('chapters').optional().isArray({ min: 1 }),
+  body('chapters.*').isInt({ min: 1 })
+], checkLanguage, requireQuota({ stories: 1 }), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const story = await storyStore.get(req.params.id);
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+    if (story.language === req.language.code) {
+      return res.status(400).json({ error: `The story is already written in ${req.language.name}` });
     }
+
+    const numbers = req.body.chapters ? req.body.chapters.map(Number) : undefined;
+    const job = jobQueue.enqueue('translate', {
+      storyId: story.id,
+      language: req.language,
+      numbers,
+      author: revisionAuthor(req),
+      keyId: keyIdOf(req)
+    }, usageContextOf(req));
+    await respondWithJob(req, res, job, 'An error occurred while translating the story.');
+  } catch (error) {
+    console.error('Error translating story:', error.message || error);
+    res.status(500).json({ error: 'Failed to translate story' });
   }
+});
 
-  doc.end();
+// Narration (read-aloud audio per chapter, see lib/narration)
+app.get('/api/narration/voices', (req, res) => {
+  res.json({
+    enabled: narration.enabled,
+    provider: narration.provider,
+    // null: the provider takes any voice name
+    voices: narration.voices,
+    defaultVoice: narration.defaultVoice,
+    defaultSpeed: narration.defaultSpeed
+  });
 });
 
-app.post('/api/regenerate-story', async (req, res) => {
-  const { story, regeneratePrompt } = req.body;
+app.get('/api/stories/:id/narration', async (req, res) => {
   try {
-    const newStory = await makeChatRequest(regeneratePrompt || story);
-    res.json({ newStory });
+    const story = await storyStore.get(req.params.id);
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+    res.json({ storyId: story.id, ...describeNarration(story) });
   } catch (error) {
-    console.error('Error in regenerate-story:', error.message || error);
-    res.status(500).json({ error: 'Internal Server Error' });
+    console.error('Error loading narration:', error.message || error);
+    res.status(500).json({ error: 'Failed to load narration' });
   }
 });
 
-app.post('/api/generate-pdf-preview', async (req, res) => {
-  const { storyData, imageUrls, storyName } = req.body;
+// Body: { voice?, speed?, chapters?: [numbers], force? }. Chapters that
+// already have an up-to-date track are skipped unless `force` is set.
+app.post('/api/stories/:id/narration', generationLimiter, [
+  body('voice').optional().isString().trim().notEmpty(),
+  body('speed').optional().isFloat(),
+  body('chapters').optional().isArray({ min: 1 }),
+  body('chapters.*').isInt({ min: 1 }),
+  body('force').optional().isBoolean()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  if (!narration.enabled) {
+    return res.status(503).json({ error: 'Narration is turned off on this server' });
+  }
 
-  if (!storyData || !storyName) {
-    return res.status(400).json({ error: 'Story content and name are required' });
+  const { voice = narration.defaultVoice, speed = narration.defaultSpeed, force = false } = req.body;
+  const optionsError = narration.checkOptions({ voice, speed });
+  if (optionsError) {
+    return res.status(400).json({ error: optionsError });
   }
 
   try {
-    const doc = new PDFDocument({ size: 'A4', margin: 50 });
-    const previewId = uuidv4();
-    const pdfPath = path.join(__dirname, 'pdf-previews', `${previewId}.pdf`);
-    
-    // Ensure the pdf-previews directory exists
-    if (!fs.existsSync(path.join(__dirname, 'pdf-previews'))) {
-      fs.mkdirSync(path.join(__dirname, 'pdf-previews'));
+    const story = await storyStore.get(req.params.id);
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+    // Without `chapters` every chapter may be narrated
+    const numbers = req.body.chapters ? req.body.chapters.map(Number) : undefined;
+    try {
+      keyStore.check(keyIdOf(req), 'narrations', numbers ? numbers.length : getChapters(story.storyData).length);
+    } catch (error) {
+      return sendQuotaError(res, error);
     }
 
-    // Generate PDF content
-    doc.fontSize(24).font('Helvetica-Bold').fillColor('#333333').text(storyName, { align: 'center' });
-    doc.moveDown(2);
-
-    const chapterKeys = Object.keys(storyData).filter(key => key.startsWith('chapter') && !key.endsWith('Name'));
-
-    for (let i = 0; i < chapterKeys.length; i++) {
-      const chapterKey = chapterKeys[i];
-      const chapterNameKey = `${chapterKey}Name`;
-      const chapterContent = storyData[chapterKey];
-      const chapterName = storyData[chapterNameKey];
-      const imageUrl = imageUrls[i];
-
-      doc.fontSize(18).font('Helvetica-Bold').fillColor('#0066cc')
-         .text(`Chapter ${i + 1}: ${chapterName}`, { align: 'left' });
-      doc.moveDown();
+    const job = jobQueue.enqueue('narration', {
+      storyId: story.id,
+      voice,
+      speed: Number(speed),
+      numbers,
+      force: force === true || force === 'true',
+      author: revisionAuthor(req),
+      keyId: keyIdOf(req)
+    }, usageContextOf(req));
+    await respondWithJob(req, res, job, 'An error occurred while narrating the story.');
+  } catch (error) {
+    console.error('Error narrating story:', error.message || error);
+    res.status(500).json({ error: 'Failed to narrate story' });
+  }
+});
 
-      doc.fontSize(12).font('Helvetica').fillColor('#000000');
-      const paragraphs = chapterContent.split('\n\n');
-      paragraphs.forEach(paragraph => {
-        doc.text(paragraph, {
-          align: 'justify',
-          lineGap: 5
-        });
-        doc.moveDown();
-      });
+// Replaces a chapter's illustration with an uploaded picture
+app.post('/api/stories/:id/chapters/:n/image', imageUpload('image', { maxDimension: KEPT_IMAGE_MAX_DIMENSION }), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No image uploaded' });
+  }
 
-      if (imageUrl) {
-        try {
-          const imageBuffer = await downloadImageToBuffer(imageUrl);
-          if (imageBuffer && imageBuffer.length > 0) {
-            const dimensions = sizeOf(imageBuffer);
-            const imgWidth = 400;
-            const imgHeight = (dimensions.height / dimensions.width) * imgWidth;
-            
-            doc.image(imageBuffer, {
-              fit: [imgWidth, imgHeight],
-              align: 'center',
-              valign: 'center'
-            });
-          }
-        } catch (imgError) {
-          console.error('Error adding image to PDF:', imgError.message || imgError);
-        }
-      }
+  try {
+    const story = await storyStore.get(req.params.id);
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
 
-      if (i < chapterKeys.length - 1) {
-        doc.addPage();
-      }
+    const number = Number(req.params.n);
+    if (!Number.isInteger(number) || number < 1 || number > getChapters(story.storyData).length) {
+      return res.status(404).json({ error: 'Chapter not found' });
     }
 
-    // Save the PDF to a file
-    const writeStream = fs.createWriteStream(pdfPath);
-    doc.pipe(writeStream);
-    doc.end();
+    const asset = await assetStore.put(await fs.promises.readFile(req.file.path));
+    const imageUrls = [...story.imageUrls];
+    imageUrls[number - 1] = asset.url;
+    await storyStore.update(story.id, { imageUrls }, { author: revisionAuthor(req), cause: 'edit' });
 
-    writeStream.on('finish', () => {
-      // Store the PDF path for later retrieval
-      pdfPreviews.set(previewId, pdfPath);
-      // Generate the preview URL
-      const previewUrl = `http://localhost:${port}/api/pdf-preview/${previewId}`;
-      // Return the preview ID and URL to the client
-      res.json({ previewId, previewUrl });
-    });
+    res.json({ imageUrl: asset.url, asset });
   } catch (error) {
-    console.error('Error generating PDF preview:', error);
-    res.status(500).json({ error: 'An error occurred while generating the PDF preview.' });
+    console.error('Error uploading chapter image:', error.message || error);
+    res.status(500).json({ error: 'Failed to store the image' });
   }
 });
-// Endpoint to serve the PDF preview
-app.get('/api/pdf-preview/:previewId', (req, res) => {
-  const { previewId } = req.params;
-  const pdfPath = pdfPreviews.get(previewId);
 
-  if (!pdfPath) {
-    return res.status(404).json({ error: 'PDF preview not found' });
+// Story bible: character sheet and art style used for every illustration
+app.get('/api/stories/:id/bible', async (req, res) => {
+  try {
+    const story = await storyStore.get(req.params.id);
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+    res.json(normalizeBible(story.bible));
+  } catch (error) {
+    console.error('Error fetching story bible:', error.message || error);
+    res.status(500).json({ error: 'Failed to fetch story bible' });
   }
-
-  res.sendFile(pdfPath);
 });
 
-// Cleanup mechanism to remove old previews
-const cleanupPreviews = () => {
-  const now = Date.now();
-  pdfPreviews.forEach((path, id) => {
-    if (now - fs.statSync(path).mtimeMs > 3600000) { // Remove after 1 hour
-      fs.unlinkSync(path);
-      pdfPreviews.delete(id);
-    }
-  });
-};
-
-setInterval(cleanupPreviews, 3600000); // Run cleanup every hour
+app.put('/api/stories/:id/bible', [
+  body('characters').isArray(),
+  body('artStyle').optional().isString()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
 
-// Helper function to download image to a buffer
-const downloadImageToBuffer = async (url) => {
   try {
-    const response = await axios({ url, responseType: 'arraybuffer' });
-    if (response.status !== 200) {
-      throw new Error(`Failed to fetch image: ${response.statusText}`);
+    const story = await storyStore.update(req.params.id, { bible: normalizeBible(req.body) }, { author: revisionAuthor(req), cause: 'edit' });
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
     }
-    return Buffer.from(response.data, 'binary');
+    res.json(story.bible);
   } catch (error) {
-    console.error('Error downloading image:', error.message || error);
-    throw error; 
+    console.error('Error updating story bible:', error.message || error);
+    res.status(500).json({ error: 'Failed to update story bible' });
   }
-};
-
+});
 
-app.post('/api/regenerate-image', async (req, res) => {
-  const { summary, regeneratePrompt } = req.body;
+// Builds the bible again from the story text (also for stories made before bibles existed)
+app.post('/api/stories/:id/bible/extract', generationLimiter, requireQuota({ stories: 1 }), async (req, res) => {
   try {
-    const newImageUrl = await generateImage(regeneratePrompt || summary);
-    res.json({ newImageUrl });
+    const story = await storyStore.get(req.params.id);
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+    const bible = await withQuota(keyIdOf(req), 'stories', () => extractStoryBible(story.storyData));
+    await storyStore.update(story.id, { bible }, { author: revisionAuthor(req), cause: 'regenerate' });
+    res.json(bible);
   } catch (error) {
-    console.error('Error in regenerate-image:', error.message || error);
-    res.status(500).json({ error: 'Internal Server Error' });
+    console.error('Error extracting story bible:', error.message || error);
+    res.status(500).json({ error: 'Failed to extract story bible' });
   }
 });
 
-const describeImage = async (imageFilePath) => {
+app.post('/api/stories/:id/images/regenerate', generationLimiter, async (req, res) => {
   try {
-    const imageBuffer = fs.readFileSync(imageFilePath);
-    const base64Image = imageBuffer.toString('base64');
-
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o",
-      messages: [
-        {
-          role: "user",
-          content: [
-            {
-              type: "image_url",
-              image_url: {
-                url: `data:image/jpeg;base64,${base64Image}`
-              }
-            }
-          ]
-        },
-        {
-          role: "assistant",
-          content: [
-            {
-              type: "text",
-              text: "Create a detailed and creative story based on the image. The story should be at least 5 paragraphs long, describing the scene, characters, potential backstory, and imagined events related to the image."
-            }
-          ]
-        }
-      ],
-      temperature: 1,
-      max_tokens: 2000, // Increased to allow for longer responses
-      top_p: 1,
-      frequency_penalty: 0,
-      presence_penalty: 0,
-    });
-
-    if (response && response.choices && response.choices.length > 0) {
-      const choice = response.choices[0];
-      if (choice && choice.message && typeof choice.message.content === 'string') {
-        const content = choice.message.content;
-        const paragraphs = content.split('\n\n').filter(p => p.trim().length > 0);
-        
-        if (paragraphs.length < 5) {
-          throw new Error('Generated content has less than 5 paragraphs');
-        }
-        
-        return content;
-      } else {
-        throw new Error('No valid message found in response');
-      }
-    } else {
-      throw new Error('Unexpected response structure');
+    const story = await storyStore.get(req.params.id);
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+    try {
+      keyStore.check(keyIdOf(req), 'images', getChapters(story.storyData).length);
+    } catch (error) {
+      return sendQuotaError(res, error);
     }
+    const job = jobQueue.enqueue('story-images', { storyId: story.id, author: revisionAuthor(req), keyId: keyIdOf(req) }, usageContextOf(req));
+    await respondWithJob(req, res, job, 'An error occurred while regenerating the images.');
   } catch (error) {
-    console.error('Error in describeImage:', error.message || error);
-    throw error;
+    console.error('Error regenerating story images:', error.message || error);
+    res.status(500).json({ error: 'Failed to regenerate story images' });
   }
-};
+});
 
-app.post('/api/describe-image', upload.single('image'), async (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No image uploaded' });
+// Token and cost report. Query: from, to (YYYY-MM-DD, default the last 30
+// days), groupBy (comma separated: day, user, endpoint, model, task, kind).
+// Admins see every key and may pass keyId; other keys only see their own.
+app.get('/api/usage', async (req, res) => {
+  const groupBy = String(req.query.groupBy || 'day,user,endpoint').split(',').map(field => field.trim());
+  const unknown = groupBy.filter(field => !GROUP_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    return res.status(400).json({ error: `Unknown groupBy field: ${unknown.join(', ')}`, fields: GROUP_FIELDS });
   }
 
-  const imageFilePath = req.file.path;
-
+  const isAdmin = AUTH_DISABLED || req.apiKey.role === 'admin';
   try {
-    const description = await describeImage(imageFilePath);
-    res.json({ description });
+    const report = await usageLedger.report({
+      from: req.query.from,
+      to: req.query.to,
+      keyId: isAdmin ? req.query.keyId : req.apiKey.id,
+      groupBy
+    });
+    res.json(report);
   } catch (error) {
-    console.error('Error in describe-image:', error.message || error);
-    res.status(500).json({ error: 'Internal Server Error' });
-  } finally {
-    fs.unlinkSync(imageFilePath); // Delete the temporary image file
+    console.error('Error building usage report:', error.message || error);
+    res.status(500).json({ error: 'Failed to build usage report' });
   }
 });
 
-app.post('/api/generate-story-from-image', upload.single('image'), async (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No image uploaded' });
+// API keys and quotas
+app.get('/api/quota', (req, res) => {
+  if (!req.apiKey) {
+    return res.status(404).json({ error: 'Authentication is disabled, so there is no quota' });
   }
+  res.json({ key: req.apiKey, ...keyStore.quota(req.apiKey.id) });
+});
 
-  const imageFilePath = req.file.path;
-  const numChapters = req.body.numChapters || 1;
-  const maxWordsPerChapter = req.body.maxWordsPerChapter || 500;
-
-  try {
-    // Generate initial story description from image
-    const initialDescription = await describeImage(imageFilePath);
+app.get('/api/admin/keys', requireAdmin, (req, res) => {
+  res.json({
+    keys: keyStore.list().map(key => ({ ...key, usage: keyStore.usage(key.id) }))
+  });
+});
 
-    // Generate full story based on the description
-    const storyPrompt = `Based on this description, create a ${numChapters}-chapter story: ${initialDescription}`;
-    const storyData = await makeChatRequest(storyPrompt, numChapters, maxWordsPerChapter);
+// Body: { name, role?: 'user' | 'admin', quotas?: { stories, images, pdfs, narrations } } (null = unlimited).
+// The key itself is only returned here, once.
+app.post('/api/admin/keys', requireAdmin, [
+  body('name').isString().trim().notEmpty(),
+  body('role').optional().isIn(['user', 'admin']),
+  body('quotas').optional().isObject(),
+  body(['quotas.stories', 'quotas.images', 'quotas.pdfs', 'quotas.narrations']).optional({ values: 'null' }).isInt({ min: 0 })
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
 
-    // Generate a summary of the entire story
-    const fullStory = Object.values(storyData).join('\n\n');
-    const summary = await summarizeStory(fullStory);
+  try {
+    const { key, token } = await keyStore.issue(req.body);
+    res.status(201).json({ ...key, token });
+  } catch (error) {
+    console.error('Error issuing API key:', error.message || error);
+    res.status(500).json({ error: 'Failed to issue API key' });
+  }
+});
 
-    // Generate a name for the story
-    const storyName = generateStoryName(summary);
+app.get('/api/admin/keys/:id', requireAdmin, (req, res) => {
+  const key = keyStore.get(req.params.id);
+  if (!key) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+  res.json({ ...key, quota: keyStore.quota(key.id), history: keyStore.history(key.id) });
+});
 
-    // Generate images for each chapter
-    const chapterKeys = Object.keys(storyData).filter(key => key.startsWith('chapter') && !key.endsWith('Name'));
-    const imageUrls = await Promise.all(
-      chapterKeys.map(async (chapterKey) => {
-        const chapterSummary = await summarizeStory(storyData[chapterKey]);
-        return generateImage(chapterSummary);
-      })
-    );
+// Revoked keys stay listed so their usage history can still be inspected
+app.delete('/api/admin/keys/:id', requireAdmin, async (req, res) => {
+  if (req.params.id === 'env-admin') {
+    return res.status(409).json({ error: 'The ADMIN_API_KEY key is removed by unsetting the variable' });
+  }
 
-    res.json({ ...storyData, summary, imageUrls, storyName });
+  try {
+    const key = await keyStore.revoke(req.params.id);
+    if (!key) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    res.json(key);
   } catch (error) {
-    console.error('Error in generate-story-from-image:', error.message || error);
-    res.status(500).json({ error: 'Internal Server Error' });
-  } finally {
-    fs.unlinkSync(imageFilePath); // Delete the temporary image file
+    console.error('Error revoking API key:', error.message || error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
   }
 });
 
-app.post('/api/generate-pdf', async (req, res) => {
-  const { storyData, imageUrls, storyName } = req.body;
-
-  if (!storyData || !imageUrls) {
-    return res.status(400).json({ error: 'Story content and images are required' });
+// Disk used by uploads and previews, against their quotas
+app.get('/api/admin/storage', requireAdmin, async (req, res) => {
+  try {
+    res.json(await storage.report());
+  } catch (error) {
+    console.error('Error building storage report:', error.message || error);
+    res.status(500).json({ error: 'Failed to build storage report' });
   }
+});
 
+// Runs the garbage collector now instead of waiting for the next round
+app.post('/api/admin/storage/collect', requireAdmin, async (req, res) => {
   try {
-    const doc = new PDFDocument({ size: 'A4', margin: 50 });
-    const stream = new PassThrough();
-
-    // Pipe the document to a writable stream
-    doc.pipe(stream);
+    res.json({ collected: await storage.collect(), ...(await storage.report()) });
+  } catch (error) {
+    console.error('Error collecting storage:', error.message || error);
+    res.status(500).json({ error: 'Failed to collect storage' });
+  }
+});
 
-    // Add story name
-    doc.fontSize(24).font('Helvetica-Bold').fillColor('#333333').text(storyName, { align: 'center' });
-    doc.moveDown(2);
+// Flipbook publications
+// How long ?wait=true holds the request for a publication to become ready
+const PUBLISH_WAIT_MS = Number(process.env.PUBLISH_WAIT_MS) || 60000;
 
-    const chapterKeys = Object.keys(storyData).filter(key => key.startsWith('chapter') && !key.endsWith('Name'));
+const publicationError = (res, error, message) => {
+  if (error.code === 'INVALID_STATE') {
+    return res.status(409).json({ error: error.message });
+  }
+  if (error.code === 'PUBLISHING_DISABLED') {
+    return res.status(503).json({ error: error.message });
+  }
+  console.error(`${message}:`, error.message || error);
+  if (error.response) {
+    console.error('Publisher error response:', error.response.data);
+  }
+  res.status(500).json({
+    error: message,
+    details: error.message,
+    responseData: error.response ? error.response.data : null
+  });
+};
 
-    for (let i = 0; i < chapterKeys.length; i++) {
-      const chapterKey = chapterKeys[i];
-      const chapterNameKey = `${chapterKey}Name`;
-      const chapterContent = storyData[chapterKey];
-      const chapterName = storyData[chapterNameKey];
-      const imageUrl = imageUrls[i];
+// Answers 202 with the publication to poll, or with ?wait=true holds on
+// until it is ready (or PUBLISH_WAIT_MS passes)
+const respondWithPublication = async (req, res, publication) => {
+  const statusUrl = `/api/publications/${publication.id}`;
+  if (req.query.wait !== 'true') {
+    return res.status(202).json({ publication, statusUrl });
+  }
 
-      // Add chapter name
-      doc.fontSize(18).font('Helvetica-Bold').fillColor('#0066cc')
-         .text(`Chapter ${i + 1}: ${chapterName}`, { align: 'left' });
-      doc.moveDown();
+  const settled = await publishing.waitFor(publication.id, PUBLISH_WAIT_MS);
+  if (settled.state === 'ready') {
+    return res.json({ success: true, flipbookUrl: settled.url, publication: settled });
+  }
+  if (settled.state === 'failed') {
+    return res.status(500).json({ error: 'An error occurred while creating the flipbook', details: settled.error, publication: settled });
+  }
+  res.status(202).json({ publication: settled, statusUrl });
+};
 
-      // Add chapter content
-      doc.fontSize(12).font('Helvetica').fillColor('#000000');
-      const paragraphs = chapterContent.split('\n\n');
-      paragraphs.forEach(paragraph => {
-        doc.text(paragraph, {
-          align: 'justify',
-          lineGap: 5
-        });
-        doc.moveDown();
-      });
+// Keys only see their own publications; admins see them all
+const canSeePublication = (req, publication) => AUTH_DISABLED || req.apiKey.role === 'admin' || publication.keyId === req.apiKey.id;
 
-      // Add a page break for the image
-      doc.addPage();
-
-      // Add chapter image
-      if (imageUrl) {
-        try {
-          const imageBuffer = await downloadImageToBuffer(imageUrl);
-          if (!imageBuffer || imageBuffer.length === 0) {
-            throw new Error('Image buffer is empty');
-          }
-          const dimensions = sizeOf(imageBuffer);
-          const imgWidth = 400;
-          const imgHeight = (dimensions.height / dimensions.width) * imgWidth;
-          
-          doc.image(imageBuffer, {
-            fit: [imgWidth, imgHeight],
-            align: 'center',
-            valign: 'center'
-          });
-          doc.moveDown();
-        } catch (imgError) {
-          console.error('Error adding image to PDF:', imgError.message || imgError);
-          doc.fontSize(10).fillColor('#ff0000').text('Error loading image', { align: 'center' });
-          doc.moveDown();
-        }
-      }
+const loadPublication = (req, res, next) => {
+  const publication = publishing.get(req.params.id);
+  if (!publication || !canSeePublication(req, publication)) {
+    return res.status(404).json({ error: 'Publication not found' });
+  }
+  req.publication = publication;
+  next();
+};
 
-      // Add a page break after each chapter, except the last one
-      if (i < chapterKeys.length - 1) {
-        doc.addPage();
-      }
-    }
+const checkPublishingEnabled = (req, res, next) => {
+  if (!publishing.enabled) {
+    return res.status(503).json({ error: 'Publishing is turned off' });
+  }
+  next();
+};
 
-    doc.end();
+const pdfUpload = handleUploadErrors(upload.single('pdf'));
 
-    stream.on('data', chunk => res.write(chunk));
-    stream.on('end', () => res.end());
+// Reads the uploaded PDF; null when none or not a PDF
+const readUploadedPdf = async (req) => {
+  if (!req.file) return null;
+  const pdf = await fs.promises.readFile(req.file.path);
+  return pdf.subarray(0, 5).toString('latin1') === '%PDF-' ? pdf : null;
+};
 
+// Multipart body: pdf, name?, storyId?
+app.post('/api/create-flipbook-from-pdf', checkPublishingEnabled, pdfUpload, async (req, res) => {
+  try {
+    const pdf = await readUploadedPdf(req);
+    if (!pdf) {
+      return res.status(400).json({ error: 'No PDF file uploaded' });
+    }
+    const publication = await publishing.publish({
+      pdf,
+      filename: req.file.originalname,
+      name: req.body.name,
+      storyId: req.body.storyId || null,
+      keyId: keyIdOf(req)
+    });
+    await respondWithPublication(req, res, publication);
   } catch (error) {
-    console.error('Error generating PDF:', error.message || error);
-    res.status(500).json({ error: 'An error occurred while generating the PDF.' });
+    publicationError(res, error, 'An error occurred while creating the flipbook');
   }
 });
 
+// Body: { previewUrl, name?, storyId? }
+app.post('/api/create-flipbook-from-url', checkPublishingEnabled, [
+  body('previewUrl').isURL({ require_tld: false, protocols: ['http', 'https'] }).withMessage('Preview URL is required'),
+  body('name').optional().isString().trim().notEmpty(),
+  body('storyId').optional().isString()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
 
-
-const getPublicationDetails = async (flipbookId, retries = 3) => {
+  let pdf;
   try {
-    const response = await axios.get(`${FLIPBOOK_API_URL}${flipbookId}`, {
-      headers: {
-        'Accept': 'application/json',
-        'Authorization': `Bearer ${FLIPBOOK_API_KEY}`
-      }
-    });
-    return response.data;
+    const pdfResponse = await axios.get(req.body.previewUrl, { responseType: 'arraybuffer' });
+    pdf = Buffer.from(pdfResponse.data);
   } catch (error) {
-    if (retries > 0) {
-      console.log(`Retrying to get publication details. Attempts left: ${retries - 1}`);
-      await delay(2000 * (4 - retries)); // Exponential backoff
-      return getPublicationDetails(flipbookId, retries - 1);
-    }
-    throw error;
+    return res.status(400).json({ error: 'Could not download the PDF', details: error.message });
   }
-};
-
-app.post('/api/create-flipbook-from-pdf', upload.single('pdf'), async (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No PDF file uploaded' });
+  if (pdf.subarray(0, 5).toString('latin1') !== '%PDF-') {
+    return res.status(400).json({ error: 'The preview URL did not return a PDF' });
   }
 
   try {
-    const pdfPath = req.file.path;
-    const pdfFileName = req.file.originalname;
+    const publication = await publishing.publish({
+      pdf,
+      filename: 'story.pdf',
+      name: req.body.name,
+      storyId: req.body.storyId || null,
+      keyId: keyIdOf(req)
+    });
+    await respondWithPublication(req, res, publication);
+  } catch (error) {
+    publicationError(res, error, 'An error occurred while creating the flipbook');
+  }
+});
 
-    // Read the PDF file
-    const pdfData = fs.readFileSync(pdfPath);
+// Query: storyId?, state? (pending, processing, ready or failed)
+app.get('/api/publications', (req, res) => {
+  const isAdmin = AUTH_DISABLED || req.apiKey.role === 'admin';
+  res.json({
+    publisher: publishing.publisher,
+    publications: publishing.list({
+      keyId: isAdmin ? req.query.keyId : req.apiKey.id,
+      storyId: req.query.storyId,
+      state: req.query.state
+    })
+  });
+});
 
-    // Create a FormData object to send the PDF file
-    const formData = new FormData();
-    formData.append('file', new Blob([pdfData], { type: 'application/pdf' }), pdfFileName);
+app.get('/api/publications/:id', loadPublication, (req, res) => {
+  res.json(req.publication);
+});
 
-    // Create the flipbook
-    const createResponse = await axios.post(`${FLIPBOOK_API_URL}create`, formData, {
-      headers: {
-        ...formData.getHeaders(),
-        'Accept': 'application/json',
-        'Authorization': `Bearer ${FLIPBOOK_API_KEY}`
-      }
-    });
+// Body: { name }
+app.patch('/api/publications/:id', loadPublication, [
+  body('name').isString().trim().notEmpty()
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
 
-    console.log('FlippingBook API Response:', createResponse.data);
-
-    if (createResponse.data && createResponse.data.id) {
-      const flipbookId = createResponse.data.id;
-
-      // Wait for the flipbook to be processed
-      let flipbookUrl = null;
-      let attempts = 0;
-      while (!flipbookUrl && attempts < 10) {
-        await new Promise(resolve => setTimeout(resolve, 5000)); // Wait 5 seconds between checks
-        const statusResponse = await axios.get(`${FLIPBOOK_API_URL}${flipbookId}`, {
-          headers: {
-            'Accept': 'application/json',
-            'Authorization': `Bearer ${FLIPBOOK_API_KEY}`
-          }
-        });
-
-        if (statusResponse.data.publication && statusResponse.data.publication.state === 'Ready') {
-          flipbookUrl = `https://online.flippingbook.com/view/${statusResponse.data.publication.hashId}/`;
-          break;
-        }
-
-        attempts++;
-      }
+  try {
+    res.json(await publishing.rename(req.publication.id, req.body.name));
+  } catch (error) {
+    publicationError(res, error, 'Failed to rename the publication');
+  }
+});
 
-      if (flipbookUrl) {
-        res.json({ success: true, flipbookUrl: flipbookUrl });
-      } else {
-        throw new Error('Flipbook processing timed out');
-      }
-    } else {
-      throw new Error('Invalid or unexpected response from FlippingBook API');
+// Multipart body: pdf. The publication processes again and is ready once
+// the publisher is done with the new PDF.
+app.put('/api/publications/:id/pdf', checkPublishingEnabled, loadPublication, pdfUpload, async (req, res) => {
+  try {
+    const pdf = await readUploadedPdf(req);
+    if (!pdf) {
+      return res.status(400).json({ error: 'No PDF file uploaded' });
     }
+    const publication = await publishing.replacePdf(req.publication.id, { pdf, filename: req.file.originalname });
+    await respondWithPublication(req, res, publication);
   } catch (error) {
-    console.error('Error creating flipbook:', error.message);
-    if (error.response) {
-      console.error('FlippingBook API error response:', error.response.data);
-    }
-    res.status(500).json({ 
-      error: 'An error occurred while creating the flipbook',
-      details: error.message,
-      responseData: error.response ? error.response.data : null
-    });
-  } finally {
-    // Clean up the uploaded file
-    if (req.file) {
-      fs.unlinkSync(req.file.path);
-    }
+    publicationError(res, error, 'Failed to update the publication');
   }
 });
 
-app.post('/api/create-flipbook-from-url', async (req, res) => {
-  const { previewUrl } = req.body;
-
-  if (!previewUrl) {
-    return res.status(400).json({ error: 'Preview URL is required' });
+app.delete('/api/publications/:id', loadPublication, async (req, res) => {
+  try {
+    res.json(await publishing.remove(req.publication.id));
+  } catch (error) {
+    publicationError(res, error, 'Failed to delete the publication');
   }
+});
 
+// Asks the publisher about a flipbook by its own id, e.g. one made before
+// publications were stored
+app.get('/api/check-flipbook-status/:flipbookId', async (req, res) => {
   try {
-    console.log(`Attempting to download PDF from: ${previewUrl}`);
-    const pdfResponse = await axios.get(previewUrl, { responseType: 'arraybuffer' });
-    const pdfBuffer = Buffer.from(pdfResponse.data);
-
-    // Save the PDF to a temporary file
-    const tempFilePath = path.join(__dirname, 'temp', `temp-${Date.now()}.pdf`);
-    fs.writeFileSync(tempFilePath, pdfBuffer);
-
-    console.log(`Temporary PDF saved to: ${tempFilePath}`);
-
-    const formData = new FormData();
-    formData.append('file', fs.createReadStream(tempFilePath), {
-      filename: 'story.pdf',
-      contentType: 'application/pdf',
-    });
-
-    console.log('Sending request to FlippingBook API...');
-    const createResponse = await axios.post(`${FLIPBOOK_API_URL}create`, formData, {
-      headers: {
-        ...formData.getHeaders(),
-        'Accept': 'application/json',
-        'Authorization': `Bearer ${FLIPBOOK_API_KEY}`
-      }
-    });
-
-    console.log('FlippingBook API Response:', createResponse.data);
-
-    if (createResponse.data && createResponse.data.id) {
-      const flipbookId = createResponse.data.id;
-      let flipbookUrl = null;
-      let attempts = 0;
+    const { state, remoteState, url, details } = await publishing.status(req.params.flipbookId);
+    res.json({ status: remoteState, state, url, details });
+  } catch (error) {
+    publicationError(res, error, 'Failed to check flipbook status');
+  }
+});
 
-      while (!flipbookUrl && attempts < 10) {
-        await new Promise(resolve => setTimeout(resolve, 5000));
-        const statusResponse = await axios.get(`${FLIPBOOK_API_URL}${flipbookId}`, {
-          headers: {
-            'Accept': 'application/json',
-            'Authorization': `Bearer ${FLIPBOOK_API_KEY}`
-          }
-        });
+// Built-in flipbook viewer. Anyone with a story's id can read it, like the
+// stored assets it shows, so links and embeds work without a key.
+const viewerLinks = (req, storyId, languageCode) => {
+  const query = languageCode ? `?lang=${encodeURIComponent(languageCode)}` : '';
+  const url = `${publicBaseUrl(req)}/view/${encodeURIComponent(storyId)}${query}`;
+  const embedUrl = `${url}${query ? '&' : '?'}embed=true`;
+  return { url, embedUrl };
+};
 
-        console.log(`Attempt ${attempts + 1}: Flipbook status:`, statusResponse.data.publication.state);
+// Our own assets are linked by path, so the page works whatever host it was
+// opened on; pictures stored elsewhere are used as they are
+const viewerImage = (url) => {
+  if (!url) return null;
+  const asset = assetStore.parseUrl(url);
+  return asset
+    ? { src: `/assets/${asset.hash}`, thumb: `/assets/${asset.hash}/thumb` }
+    : { src: url, thumb: url };
+};
 
-        if (statusResponse.data.publication && statusResponse.data.publication.state === 'Ready') {
-          flipbookUrl = `https://online.flippingbook.com/view/${statusResponse.data.publication.hashId}/`;
-          break;
-        }
+// Query: lang? (a stored translation), embed? ('true' inside an iframe)
+app.get('/view/:storyId', async (req, res) => {
+  try {
+    const story = await storyStore.get(req.params.storyId);
+    if (!story) {
+      return res.status(404).send('Story not found');
+    }
 
-        attempts++;
+    let shown = story;
+    let language = story.language ? resolveLanguage(story.language) : null;
+    if (req.query.lang) {
+      try {
+        language = resolveLanguage(String(req.query.lang));
+      } catch (error) {
+        return res.status(400).send(error.message);
       }
-
-      if (flipbookUrl) {
-        res.json({ success: true, flipbookUrl: flipbookUrl });
-      } else {
-        throw new Error('Flipbook processing timed out');
+      const translation = story.translations && story.translations[language.code];
+      if (!translation) {
+        return res.status(404).send(`No ${language.name} translation of this story`);
       }
-    } else {
-      throw new Error('Invalid or unexpected response from FlippingBook API');
-    }
-  } catch (error) {
-    console.error('Error creating flipbook:', error.message);
-    if (error.response) {
-      console.error('FlippingBook API error response:', error.response.data);
+      shown = { ...story, storyName: translation.storyName || story.storyName, storyData: translation.storyData };
     }
-    res.status(500).json({ 
-      error: 'An error occurred while creating the flipbook',
-      details: error.message,
-      responseData: error.response ? error.response.data : null
+
+    // Narration reads the original text, so translations go without it
+    const tracks = shown === story ? describeNarration(story).chapters.filter(track => track.current) : [];
+    const html = buildViewerPage({
+      story: shown,
+      language: language ? language.code : 'en',
+      direction: language ? language.direction : 'ltr',
+      imageFor: (i) => viewerImage((story.imageUrls || [])[i]),
+      trackFor: (number) => tracks.find(track => track.number === number) || null,
+      embedUrl: viewerLinks(req, story.id, req.query.lang && language.code).embedUrl,
+      embed: req.query.embed === 'true'
     });
-  } finally {
-    // Clean up the temporary file
-    if (fs.existsSync(tempFilePath)) {
-      fs.unlinkSync(tempFilePath);
-    }
+    res.set('Content-Type', 'text/html; charset=utf-8');
+    res.send(html);
+  } catch (error) {
+    console.error('Error building viewer:', error.message || error);
+    res.status(500).send('Failed to load the story');
   }
 });
 
-
-const checkFlipbookStatus = async (flipbookId) => {
+// Links to a story's viewer and the <iframe> that embeds it. Query: lang?
+app.get('/api/stories/:id/viewer', async (req, res) => {
   try {
-    const publicationDetails = await getPublicationDetails(flipbookId);
-    const status = publicationDetails?.publication?.state || 'Unknown';
-    console.log(`Flipbook ${flipbookId} status: ${status}`);
-
-    // If status is not 'Ready', schedule another check after 30 seconds
-    if (status !== 'Ready') {
-      setTimeout(() => checkFlipbookStatus(flipbookId), 30000);
+    const story = await storyStore.get(req.params.id);
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+    let languageCode = null;
+    if (req.query.lang) {
+      try {
+        languageCode = resolveLanguage(String(req.query.lang)).code;
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (!story.translations || !story.translations[languageCode]) {
+        return res.status(404).json({ error: 'No such translation of this story' });
+      }
     }
+    const { url, embedUrl } = viewerLinks(req, story.id, languageCode);
+    res.json({ url, embedUrl, iframe: embedSnippet(embedUrl, story.storyName || 'Untitled story') });
   } catch (error) {
-    console.error(`Error checking status for flipbook ${flipbookId}:`, error.message);
+    console.error('Error building viewer links:', error.message || error);
+    res.status(500).json({ error: 'Failed to load story' });
   }
-};
+});
 
-// Endpoint to check flipbook status
-app.get('/api/check-flipbook-status/:flipbookId', async (req, res) => {
-  const flipbookId = req.params.flipbookId;
+// Stored illustrations and narration audio: /assets/:hash for the original,
+// /assets/:hash/thumb or /print for an image variant
+app.get('/assets/:hash/:variant?', async (req, res) => {
+  const { hash, variant = 'original' } = req.params;
   try {
-    const publicationDetails = await getPublicationDetails(flipbookId);
-    const status = publicationDetails?.publication?.state || 'Unknown';
-    res.json({ status, details: publicationDetails });
+    const asset = await assetStore.get(hash, variant);
+    if (!asset) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+    res.set({
+      'Content-Type': asset.contentType,
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'ETag': `"${hash}-${variant}"`
+    });
+    res.send(asset.buffer);
   } catch (error) {
-    console.error('Error checking flipbook status:', error);
-    res.status(500).json({ error: 'Failed to check flipbook status' });
+    console.error('Error serving asset:', error.message || error);
+    res.status(500).json({ error: 'Failed to load asset' });
   }
 });
 
@@ -858,9 +2703,6 @@ app.get('/view-flipbook/:hashId', (req, res) => {
   res.redirect(flipbookUrl);
 });
 
-// Serve uploaded files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
 
 app.get('/test', (req, res) => {
   const message = `Server running test at http://localhost:${port}`;
@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// API keys and their daily quotas. Keys are only stored as SHA-256 hashes;
+// the token itself is shown once, when the key is issued.
+//   { id, name, role: 'user' | 'admin', prefix, keyHash, quotas, createdAt, lastUsedAt, revokedAt }
+
+// What a quota counts: stories written, images drawn, PDFs rendered and
+// chapters narrated
+const QUOTA_METRICS = ['stories', 'images', 'pdfs', 'narrations'];
+
+const DEFAULT_QUOTAS = {
+  stories: Number(process.env.QUOTA_STORIES_PER_DAY) || 20,
+  images: Number(process.env.QUOTA_IMAGES_PER_DAY) || 100,
+  pdfs: Number(process.env.QUOTA_PDFS_PER_DAY) || 50,
+  narrations: Number(process.env.QUOTA_NARRATIONS_PER_DAY) || 100
+};
+
+// Daily usage older than this is dropped
+const USAGE_HISTORY_DAYS = 30;
+
+// Key used when ADMIN_API_KEY is set in the environment, so a fresh install
+// can issue its first keys
+const ENV_ADMIN_ID = 'env-admin';
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const nextReset = () => {
+  const reset = new Date();
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset.toISOString();
+};
+
+const quotaError = (metric, limit, used) => Object.assign(
+  new Error(`Daily ${metric} quota exceeded (${used}/${limit})`),
+  { code: 'QUOTA_EXCEEDED', metric, limit, used, resetAt: nextReset() }
+);
+
+// Quotas of null are unlimited; missing ones fall back to the defaults
+const normalizeQuotas = (quotas = {}, role = 'user') => {
+  const normalized = {};
+  QUOTA_METRICS.forEach(metric => {
+    const value = quotas[metric];
+    if (value === null || (value === undefined && role === 'admin')) {
+      normalized[metric] = null;
+    } else if (value === undefined) {
+      normalized[metric] = DEFAULT_QUOTAS[metric];
+    } else {
+      normalized[metric] = Math.max(0, Math.floor(Number(value)) || 0);
+    }
+  });
+  return normalized;
+};
+
+const publicKey = ({ keyHash, ...key }) => key;
+
+// Keeps keys and usage in one JSON file that is rewritten on every change.
+// Counting happens in memory, so consume() is safe against concurrent steps
+// of the same process.
+const createKeyStore = (options = {}) => {
+  const file = options.file || process.env.API_KEYS_FILE || path.join(__dirname, '..', 'data', 'api-keys.json');
+  const adminToken = options.adminToken !== undefined ? options.adminToken : process.env.ADMIN_API_KEY;
+
+  let state = { keys: [], usage: {} };
+  if (fs.existsSync(file)) {
+    state = { keys: [], usage: {}, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+  }
+
+  // Unsetting ADMIN_API_KEY removes that key
+  state.keys = state.keys.filter(key => key.id !== ENV_ADMIN_ID);
+  if (adminToken) {
+    state.keys.push({
+      id: ENV_ADMIN_ID,
+      name: 'admin (ADMIN_API_KEY)',
+      role: 'admin',
+      prefix: String(adminToken).slice(0, 8),
+      keyHash: hashToken(adminToken),
+      quotas: normalizeQuotas({}, 'admin'),
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  // Writes are chained so two saves never interleave on disk
+  let writing = Promise.resolve();
+  const persist = () => {
+    writing = writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const tempPath = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify(state, null, 2));
+      await fs.promises.rename(tempPath, file);
+    }).catch(error => {
+      console.error('Error saving API keys:', error.message || error);
+    });
+    return writing;
+  };
+
+  const findKey = (id) => state.keys.find(key => key.id === id) || null;
+
+  const usageFor = (id, date = today()) => {
+    const days = state.usage[id] || {};
+    const counts = days[date] || {};
+    const usage = {};
+    QUOTA_METRICS.forEach(metric => {
+      usage[metric] = counts[metric] || 0;
+    });
+    return usage;
+  };
+
+  const pruneUsage = (id) => {
+    const cutoff = new Date(Date.now() - USAGE_HISTORY_DAYS * 86400000).toISOString().slice(0, 10);
+    Object.keys(state.usage[id] || {}).forEach(date => {
+      if (date < cutoff) delete state.usage[id][date];
+    });
+  };
+
+  const store = {
+    // Resolves a bearer token to its key, or null when unknown or revoked
+    authenticate(token) {
+      if (!token) return null;
+      const keyHash = hashToken(token);
+      const key = state.keys.find(candidate => candidate.keyHash === keyHash);
+      if (!key || key.revokedAt) return null;
+      key.lastUsedAt = new Date().toISOString();
+      return publicKey(key);
+    },
+
+    list: () => state.keys.map(publicKey),
+
+    get(id) {
+      const key = findKey(id);
+      return key ? publicKey(key) : null;
+    },
+
+    async issue({ name, role = 'user', quotas } = {}) {
+      const token = `sk_${crypto.randomBytes(24).toString('hex')}`;
+      const key = {
+        id: crypto.randomUUID(),
+        name: name || 'unnamed key',
+        role: role === 'admin' ? 'admin' : 'user',
+        prefix: token.slice(0, 8),
+        keyHash: hashToken(token),
+        quotas: normalizeQuotas(quotas, role),
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+        revokedAt: null
+      };
+      state.keys.push(key);
+      await persist();
+      return { key: publicKey(key), token };
+    },
+
+    async revoke(id) {
+      const key = findKey(id);
+      if (!key) return null;
+      if (!key.revokedAt) {
+        key.revokedAt = new Date().toISOString();
+        await persist();
+      }
+      return publicKey(key);
+    },
+
+    usage: usageFor,
+
+    // Usage per day, newest first
+    history(id) {
+      return Object.keys(state.usage[id] || {})
+        .sort()
+        .reverse()
+        .map(date => ({ date, ...usageFor(id, date) }));
+    },
+
+    // Today's usage, limits and what is left of them
+    quota(id) {
+      const key = findKey(id);
+      if (!key) return null;
+      const used = usageFor(id);
+      const remaining = {};
+      QUOTA_METRICS.forEach(metric => {
+        remaining[metric] = key.quotas[metric] === null ? null : Math.max(0, key.quotas[metric] - used[metric]);
+      });
+      return { date: today(), limits: key.quotas, used, remaining, resetAt: nextReset() };
+    },
+
+    // Throws a QUOTA_EXCEEDED error when `amount` more would go over the limit
+    check(id, metric, amount = 1) {
+      const key = findKey(id);
+      if (!key) return;
+      const limit = key.quotas[metric];
+      const used = usageFor(id)[metric];
+      if (limit !== null && used + amount > limit) {
+        throw quotaError(metric, limit, used);
+      }
+    },
+
+    async consume(id, metric, amount = 1) {
+      if (!findKey(id)) return;
+      store.check(id, metric, amount);
+      const date = today();
+      state.usage[id] = state.usage[id] || {};
+      state.usage[id][date] = state.usage[id][date] || {};
+      state.usage[id][date][metric] = (state.usage[id][date][metric] || 0) + amount;
+      pruneUsage(id);
+      await persist();
+    },
+
+    // Gives back units of work that failed
+    async refund(id, metric, amount = 1) {
+      const counts = state.usage[id] && state.usage[id][today()];
+      if (!counts || !counts[metric]) return;
+      counts[metric] = Math.max(0, counts[metric] - amount);
+      await persist();
+    }
+  };
+
+  return store;
+};
+
+module.exports = {
+  DEFAULT_QUOTAS,
+  QUOTA_METRICS,
+  createKeyStore,
+  normalizeQuotas
+};
@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// Content-addressed image storage. Every asset is keyed by the SHA-256 of
+// its bytes and kept as the original plus resized variants:
+//   <hash>/original, <hash>/thumb, <hash>/print and <hash>/meta.json
+// Other media (narration audio) is stored the same way without variants.
+const VARIANTS = {
+  thumb: { maxSize: 320, format: 'jpeg', options: { quality: 80 } },
+  // Big enough for a full page at 300dpi on the trim sizes we print
+  print: { maxSize: 2400, format: null, options: { quality: 92 } }
+};
+
+const CONTENT_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  avif: 'image/avif',
+  heif: 'image/heif',
+  tiff: 'image/tiff'
+};
+
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+const createLocalDriver = ({ dir }) => {
+  const objectPath = (key) => path.join(dir, ...key.split('/'));
+
+  return {
+    async putObject(key, buffer) {
+      const target = objectPath(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      const tempPath = `${target}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, buffer);
+      await fs.promises.rename(tempPath, target);
+    },
+    async getObject(key) {
+      try {
+        return await fs.promises.readFile(objectPath(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    }
+  };
+};
+
+// Uses aws-sdk v2; credentials come from the usual AWS_* environment
+const createS3Driver = ({ bucket, prefix = '', region }) => {
+  const AWS = require('aws-sdk');
+  const s3 = new AWS.S3({ region });
+  const objectKey = (key) => `${prefix}${key}`;
+
+  return {
+    async putObject(key, buffer, contentType) {
+      await s3.putObject({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: buffer,
+        ContentType: contentType,
+        CacheControl: 'public, max-age=31536000, immutable'
+      }).promise();
+    },
+    async getObject(key) {
+      try {
+        const object = await s3.getObject({ Bucket: bucket, Key: objectKey(key) }).promise();
+        return object.Body;
+      } catch (error) {
+        if (error.code === 'NoSuchKey' || error.statusCode === 404) return null;
+        throw error;
+      }
+    }
+  };
+};
+
+const drivers = {
+  local: createLocalDriver,
+  s3: createS3Driver
+};
+
+const createAssetStore = (options = {}) => {
+  const driverName = options.driver || process.env.ASSET_STORE || 'local';
+  const factory = drivers[driverName];
+  if (!factory) {
+    throw new Error(`Unknown asset store driver: ${driverName}`);
+  }
+
+  const driver = factory({
+    dir: options.dir || process.env.ASSET_DIR || path.join(__dirname, '..', 'data', 'assets'),
+    bucket: options.bucket || process.env.ASSET_S3_BUCKET,
+    prefix: options.prefix || process.env.ASSET_S3_PREFIX || 'assets/',
+    region: options.region || process.env.AWS_REGION
+  });
+  const baseUrl = (options.baseUrl !== undefined ? options.baseUrl : process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+
+  const urlFor = (hash, variant) => `${baseUrl}/assets/${hash}${variant && variant !== 'original' ? `/${variant}` : ''}`;
+
+  // Pulls the hash (and variant) back out of one of our asset URLs, whatever
+  // host it was built with
+  const parseUrl = (url) => {
+    const match = String(url || '').match(/(?:^|\/)assets\/([a-f0-9]{64})(?:\/(thumb|print|original))?\/?(?:[?#].*)?$/);
+    return match ? { hash: match[1], variant: match[2] || 'original' } : null;
+  };
+
+  const getMeta = async (hash) => {
+    if (!HASH_PATTERN.test(hash)) return null;
+    const meta = await driver.getObject(`${hash}/meta.json`);
+    return meta ? JSON.parse(meta.toString('utf8')) : null;
+  };
+
+  const makeVariant = async (buffer, { maxSize, format, options: encodeOptions }, originalFormat) => {
+    const outputFormat = format || (originalFormat === 'png' ? 'png' : 'jpeg');
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .resize({ width: maxSize, height: maxSize, fit: 'inside', withoutEnlargement: true })
+      .toFormat(outputFormat, encodeOptions)
+      .toBuffer({ resolveWithObject: true });
+    return { data, contentType: CONTENT_TYPES[outputFormat], width: info.width, height: info.height };
+  };
+
+  const store = {
+    urlFor,
+    parseUrl,
+    isAssetUrl: (url) => Boolean(parseUrl(url)),
+
+    // Stores an image buffer and its variants, or other media as is when
+    // given a non-image contentType. Storing the same bytes twice is a no-op
+    // that returns the existing asset.
+    async put(buffer, { contentType } = {}) {
+      const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+      const existing = await getMeta(hash);
+      if (existing) {
+        return existing;
+      }
+
+      if (contentType && !contentType.startsWith('image/')) {
+        const meta = {
+          hash,
+          url: urlFor(hash),
+          contentType,
+          size: buffer.length,
+          createdAt: new Date().toISOString(),
+          variants: {}
+        };
+        await driver.putObject(`${hash}/original`, buffer, contentType);
+        await driver.putObject(`${hash}/meta.json`, Buffer.from(JSON.stringify(meta, null, 2)), 'application/json');
+        return meta;
+      }
+
+      const { format, width, height } = await sharp(buffer).metadata();
+      if (!CONTENT_TYPES[format]) {
+        throw new Error(`Unsupported image format: ${format}`);
+      }
+
+      const meta = {
+        hash,
+        url: urlFor(hash),
+        contentType: CONTENT_TYPES[format],
+        width,
+        height,
+        size: buffer.length,
+        createdAt: new Date().toISOString(),
+        variants: {}
+      };
+
+      await driver.putObject(`${hash}/original`, buffer, meta.contentType);
+      for (const [name, spec] of Object.entries(VARIANTS)) {
+        const variant = await makeVariant(buffer, spec, format);
+        await driver.putObject(`${hash}/${name}`, variant.data, variant.contentType);
+        meta.variants[name] = { url: urlFor(hash, name), contentType: variant.contentType, width: variant.width, height: variant.height };
+      }
+
+      // meta.json goes last: an asset only counts as stored once it exists
+      await driver.putObject(`${hash}/meta.json`, Buffer.from(JSON.stringify(meta, null, 2)), 'application/json');
+      return meta;
+    },
+
+    // Resolves with { buffer, contentType } or null
+    async get(hash, variant = 'original') {
+      const meta = await getMeta(hash);
+      if (!meta || (variant !== 'original' && !meta.variants[variant])) return null;
+
+      const buffer = await driver.getObject(`${hash}/${variant}`);
+      if (!buffer) return null;
+      return {
+        buffer,
+        contentType: variant === 'original' ? meta.contentType : meta.variants[variant].contentType
+      };
+    },
+
+    getMeta
+  };
+
+  return store;
+};
+
+module.exports = {
+  VARIANTS,
+  createAssetStore
+};
@@ -0,0 +1,50 @@
+const JSZip = require('jszip');
+const { getChapters } = require('../storySchema');
+const { tagMp3 } = require('../mp3');
+const { slugify } = require('./common');
+
+const pad = (number) => String(number).padStart(2, '0');
+
+const notNarrated = (message) => Object.assign(new Error(message), { code: 'NOT_NARRATED' });
+
+// The narrated chapters as MP3 files plus an M3U playlist in reading order.
+// Each file is tagged with its chapter title so players list it by name.
+// `narration` is as the narration routes describe it: only tracks flagged
+// `current` still read the chapter's text, and every chapter needs one.
+const buildAudiobook = async ({ storyName, storyData, narration, author }, { loadAudio }) => {
+  const title = storyName || 'Untitled story';
+  const tracks = ((narration && narration.chapters) || []).filter(track => track.current);
+  const allChapters = getChapters(storyData);
+  const chapters = allChapters.map((chapter, i) => ({ ...chapter, number: i + 1 }));
+  if (tracks.length === 0) {
+    throw notNarrated('This story has not been narrated yet');
+  }
+  const missing = chapters.filter(chapter => !tracks.some(track => track.number === chapter.number));
+  if (missing.length > 0) {
+    throw notNarrated(`Not every chapter has a narration of its current text (missing: ${missing.map(chapter => chapter.number).join(', ')})`);
+  }
+
+  const zip = new JSZip();
+  const playlist = ['#EXTM3U', `#PLAYLIST:${title}`];
+
+  for (const chapter of chapters) {
+    const track = tracks.find(candidate => candidate.number === chapter.number);
+    const name = `Chapter ${chapter.number}: ${chapter.title}`;
+    const file = `${pad(chapter.number)}-${slugify(chapter.title, 'chapter')}.mp3`;
+    const audio = await loadAudio(track.url);
+    zip.file(file, tagMp3(audio, {
+      TIT2: name,
+      TALB: title,
+      TPE1: author,
+      TRCK: `${chapter.number}/${allChapters.length}`
+    }));
+    playlist.push(`#EXTINF:${Math.round(track.duration || 0)},${name}`, file);
+  }
+
+  zip.file(`${slugify(storyName)}.m3u`, `${playlist.join('\n')}\n`);
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'STORE' });
+};
+
+module.exports = {
+  buildAudiobook
+};
@@ -0,0 +1,71 @@
+const sizeOf = require('image-size');
+const { getChapters } = require('../storySchema');
+
+const MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml'
+};
+
+const escapeXml = (text) => String(text || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// File name safe version of a story name
+const slugify = (text, fallback = 'story') => {
+  const slug = String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return slug || fallback;
+};
+
+// Ordered chapters with their downloaded illustration. `image` is null when
+// the chapter has none or it could not be fetched; `imageFailed` tells the two apart.
+const loadChapterImages = async (storyData, imageUrls = [], loadImage) => {
+  const chapters = getChapters(storyData);
+
+  return Promise.all(chapters.map(async (chapter, i) => {
+    if (!imageUrls[i]) {
+      return { ...chapter, number: i + 1, image: null, imageFailed: false };
+    }
+
+    try {
+      const buffer = await loadImage(imageUrls[i]);
+      const { type, width, height } = sizeOf(buffer);
+      const extension = type === 'jpg' ? 'jpg' : type;
+      if (!MIME_TYPES[extension]) {
+        throw new Error(`Unsupported image type: ${type}`);
+      }
+      return {
+        ...chapter,
+        number: i + 1,
+        image: { buffer, extension, mimeType: MIME_TYPES[extension], width, height },
+        imageFailed: false
+      };
+    } catch (error) {
+      console.error(`Error loading image for chapter ${i + 1}:`, error.message || error);
+      return { ...chapter, number: i + 1, image: null, imageFailed: true };
+    }
+  }));
+};
+
+const splitParagraphs = (text) => String(text || '')
+  .split('\n\n')
+  .map(paragraph => paragraph.trim())
+  .filter(Boolean);
+
+module.exports = {
+  MIME_TYPES,
+  escapeXml,
+  loadChapterImages,
+  slugify,
+  splitParagraphs
+};
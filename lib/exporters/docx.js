@@ -0,0 +1,67 @@
+const { AlignmentType, Document, HeadingLevel, ImageRun, Packer, Paragraph, TextRun } = require('docx');
+const { loadChapterImages, splitParagraphs } = require('./common');
+
+// Word only embeds these raster formats
+const DOCX_IMAGE_TYPES = ['png', 'jpg', 'gif', 'bmp'];
+const MAX_IMAGE_WIDTH = 450; // px, fits an A4/Letter text column
+
+const imageParagraph = (chapter) => {
+  const { buffer, extension, width, height } = chapter.image;
+  const scale = Math.min(1, MAX_IMAGE_WIDTH / width);
+
+  return new Paragraph({
+    alignment: AlignmentType.CENTER,
+    children: [
+      new ImageRun({
+        type: extension,
+        data: buffer,
+        transformation: { width: Math.round(width * scale), height: Math.round(height * scale) },
+        altText: { name: `chapter-${chapter.number}`, description: `Illustration for ${chapter.title}`, title: chapter.title }
+      })
+    ]
+  });
+};
+
+// Builds a Word document with a Title, a Heading 1 per chapter and Normal
+// paragraphs, so editors can restyle the whole book through Word styles
+const buildDocx = async ({ storyName, storyData, imageUrls = [], summary }, { loadImage }) => {
+  const chapters = await loadChapterImages(storyData, imageUrls, loadImage);
+
+  const children = [
+    new Paragraph({ text: storyName || 'Untitled story', heading: HeadingLevel.TITLE })
+  ];
+
+  if (summary) {
+    children.push(new Paragraph({ children: [new TextRun({ text: summary, italics: true })] }));
+  }
+
+  chapters.forEach(chapter => {
+    children.push(new Paragraph({
+      text: `Chapter ${chapter.number}: ${chapter.title}`,
+      heading: HeadingLevel.HEADING_1,
+      pageBreakBefore: chapter.number > 1
+    }));
+
+    if (chapter.image && DOCX_IMAGE_TYPES.includes(chapter.image.extension)) {
+      children.push(imageParagraph(chapter));
+    } else if (chapter.image) {
+      console.error(`Skipping ${chapter.image.extension} image for chapter ${chapter.number}: not supported in DOCX`);
+    }
+
+    splitParagraphs(chapter.body).forEach(paragraph => {
+      children.push(new Paragraph({ text: paragraph, spacing: { after: 160 } }));
+    });
+  });
+
+  const document = new Document({
+    title: storyName || 'Untitled story',
+    description: summary || undefined,
+    sections: [{ children }]
+  });
+
+  return Packer.toBuffer(document);
+};
+
+module.exports = {
+  buildDocx
+};
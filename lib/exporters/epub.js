@@ -0,0 +1,161 @@
+const JSZip = require('jszip');
+const { v4: uuidv4 } = require('uuid');
+const { escapeXml, loadChapterImages, splitParagraphs } = require('./common');
+
+const STYLESHEET = `body { font-family: Georgia, serif; line-height: 1.5; margin: 0 5%; }
+h1, h2 { text-align: center; }
+p { text-indent: 1.2em; margin: 0 0 0.6em; }
+figure { margin: 1em 0; text-align: center; }
+figure img { max-width: 100%; max-height: 90vh; }
+.cover { text-align: center; }
+.cover img { max-width: 100%; max-height: 100vh; }
+`;
+
+const CONTAINER_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+const xhtmlDocument = (title, language, body) => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${language}" lang="${language}">
+<head>
+  <meta charset="UTF-8"/>
+  <title>${escapeXml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="styles.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+const chapterTitle = (chapter) => `Chapter ${chapter.number}: ${chapter.title}`;
+
+const imagePath = (chapter) => `images/chapter-${chapter.number}.${chapter.image.extension}`;
+
+const chapterDocument = (chapter, language) => {
+  const figure = chapter.image
+    ? `  <figure><img src="${imagePath(chapter)}" alt="${escapeXml(`Illustration for ${chapter.title}`)}"/></figure>\n`
+    : '';
+  const paragraphs = splitParagraphs(chapter.body)
+    .map(paragraph => `  <p>${escapeXml(paragraph)}</p>`)
+    .join('\n');
+
+  return xhtmlDocument(chapterTitle(chapter), language, `<section epub:type="chapter">
+  <h2>${escapeXml(chapterTitle(chapter))}</h2>
+${figure}${paragraphs}
+</section>`);
+};
+
+const coverDocument = (title, cover, language) => xhtmlDocument(title, language, `<section class="cover" epub:type="cover">
+${cover ? `  <img src="${imagePath(cover)}" alt="${escapeXml(title)}"/>\n` : ''}  <h1>${escapeXml(title)}</h1>
+</section>`);
+
+const navDocument = (title, chapters, language) => xhtmlDocument(title, language, `<nav epub:type="toc" id="toc">
+  <h1>Contents</h1>
+  <ol>
+${chapters.map(chapter => `    <li><a href="chapter-${chapter.number}.xhtml">${escapeXml(chapterTitle(chapter))}</a></li>`).join('\n')}
+  </ol>
+</nav>
+<nav epub:type="landmarks" hidden="hidden">
+  <ol>
+    <li><a epub:type="cover" href="cover.xhtml">Cover</a></li>
+    <li><a epub:type="bodymatter" href="chapter-1.xhtml">Start of story</a></li>
+  </ol>
+</nav>`);
+
+// EPUB 2 table of contents, still read by older e-readers
+const ncxDocument = (identifier, title, chapters) => `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <head>
+    <meta name="dtb:uid" content="${escapeXml(identifier)}"/>
+  </head>
+  <docTitle><text>${escapeXml(title)}</text></docTitle>
+  <navMap>
+${chapters.map((chapter, i) => `    <navPoint id="nav-${chapter.number}" playOrder="${i + 1}">
+      <navLabel><text>${escapeXml(chapterTitle(chapter))}</text></navLabel>
+      <content src="chapter-${chapter.number}.xhtml"/>
+    </navPoint>`).join('\n')}
+  </navMap>
+</ncx>
+`;
+
+const packageDocument = ({ identifier, title, language, author, description, modified, chapters, cover }) => {
+  const manifest = [
+    '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+    '<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>',
+    '<item id="css" href="styles.css" media-type="text/css"/>',
+    '<item id="cover" href="cover.xhtml" media-type="application/xhtml+xml"/>',
+    ...chapters.map(chapter => `<item id="chapter-${chapter.number}" href="chapter-${chapter.number}.xhtml" media-type="application/xhtml+xml"/>`),
+    ...chapters.filter(chapter => chapter.image).map(chapter => {
+      const properties = chapter === cover ? ' properties="cover-image"' : '';
+      return `<item id="image-${chapter.number}" href="${imagePath(chapter)}" media-type="${chapter.image.mimeType}"${properties}/>`;
+    })
+  ];
+
+  const spine = [
+    '<itemref idref="cover" linear="yes"/>',
+    '<itemref idref="nav" linear="no"/>',
+    ...chapters.map(chapter => `<itemref idref="chapter-${chapter.number}"/>`)
+  ];
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${language}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    <dc:identifier id="book-id">${escapeXml(identifier)}</dc:identifier>
+    <dc:title>${escapeXml(title)}</dc:title>
+    <dc:language>${escapeXml(language)}</dc:language>
+    <dc:creator>${escapeXml(author)}</dc:creator>
+${description ? `    <dc:description>${escapeXml(description)}</dc:description>\n` : ''}    <meta property="dcterms:modified">${modified}</meta>
+${cover ? `    <meta name="cover" content="image-${cover.number}"/>\n` : ''}  </metadata>
+  <manifest>
+${manifest.map(item => `    ${item}`).join('\n')}
+  </manifest>
+  <spine toc="ncx">
+${spine.map(item => `    ${item}`).join('\n')}
+  </spine>
+</package>
+`;
+};
+
+// Builds an EPUB 3 book: a cover, a nav document and one XHTML document per
+// chapter with its illustration. loadImage(url) must resolve with a buffer.
+const buildEpub = async ({ storyId, storyName, storyData, imageUrls, summary, language = 'en', author = 'Storybook' }, { loadImage }) => {
+  const chapters = await loadChapterImages(storyData, imageUrls, loadImage);
+  if (chapters.length === 0) {
+    throw new Error('The story has no chapters');
+  }
+
+  const title = storyName || 'Untitled story';
+  const identifier = `urn:uuid:${storyId || uuidv4()}`;
+  const cover = chapters.find(chapter => chapter.image) || null;
+  // dcterms:modified must be CCYY-MM-DDThh:mm:ssZ, without milliseconds
+  const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+  const zip = new JSZip();
+  // The mimetype entry has to come first and be stored uncompressed
+  zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+  zip.file('META-INF/container.xml', CONTAINER_XML);
+  zip.file('OEBPS/content.opf', packageDocument({ identifier, title, language, author, description: summary, modified, chapters, cover }));
+  zip.file('OEBPS/nav.xhtml', navDocument(title, chapters, language));
+  zip.file('OEBPS/toc.ncx', ncxDocument(identifier, title, chapters));
+  zip.file('OEBPS/styles.css', STYLESHEET);
+  zip.file('OEBPS/cover.xhtml', coverDocument(title, cover, language));
+
+  chapters.forEach(chapter => {
+    zip.file(`OEBPS/chapter-${chapter.number}.xhtml`, chapterDocument(chapter, language));
+    if (chapter.image) {
+      zip.file(`OEBPS/${imagePath(chapter)}`, chapter.image.buffer, { compression: 'STORE' });
+    }
+  });
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', mimeType: 'application/epub+zip' });
+};
+
+module.exports = {
+  buildEpub
+};
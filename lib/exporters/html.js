@@ -0,0 +1,60 @@
+const { escapeXml, loadChapterImages, splitParagraphs } = require('./common');
+
+const STYLES = `body { font-family: Georgia, serif; line-height: 1.6; max-width: 46em; margin: 2em auto; padding: 0 1em; color: #222; }
+h1 { text-align: center; color: #333333; }
+h2 { color: #0066cc; margin-top: 2.5em; }
+.summary { font-style: italic; color: #555; }
+figure { margin: 1.5em 0; text-align: center; }
+figure img { max-width: 100%; height: auto; border-radius: 6px; }
+audio { display: block; width: 100%; margin: 1em 0; }`;
+
+// A single self-contained page: the illustrations are embedded as data URIs
+// so the file can be opened offline or mailed around. Narrated chapters get
+// a player while their track still reads the current text; the audio is
+// linked rather than embedded, so it needs the server.
+const buildHtml = async ({ storyName, storyData, imageUrls = [], summary, language = 'en', narration }, { loadImage }) => {
+  const title = storyName || 'Untitled story';
+  const chapters = await loadChapterImages(storyData, imageUrls, loadImage);
+  const tracks = ((narration && narration.chapters) || []).filter(track => track.current);
+
+  const sections = chapters.map(chapter => {
+    const heading = `Chapter ${chapter.number}: ${chapter.title}`;
+    const figure = chapter.image
+      ? `  <figure><img src="data:${chapter.image.mimeType};base64,${chapter.image.buffer.toString('base64')}" alt="${escapeXml(`Illustration for ${chapter.title}`)}" width="${chapter.image.width}" height="${chapter.image.height}"></figure>\n`
+      : '';
+    const track = tracks.find(candidate => candidate.number === chapter.number);
+    const player = track
+      ? `  <audio controls preload="none" src="${escapeXml(track.url)}" title="${escapeXml(`Listen to ${heading}`)}"></audio>\n`
+      : '';
+    const paragraphs = splitParagraphs(chapter.body)
+      .map(paragraph => `  <p>${escapeXml(paragraph)}</p>`)
+      .join('\n');
+    return `<section id="chapter-${chapter.number}">
+  <h2>${escapeXml(heading)}</h2>
+${player}${figure}${paragraphs}
+</section>`;
+  });
+
+  const html = `<!DOCTYPE html>
+<html lang="${escapeXml(language)}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeXml(title)}</title>
+<style>
+${STYLES}
+</style>
+</head>
+<body>
+<h1>${escapeXml(title)}</h1>
+${summary ? `<p class="summary">${escapeXml(summary)}</p>\n` : ''}${sections.join('\n')}
+</body>
+</html>
+`;
+
+  return Buffer.from(html, 'utf8');
+};
+
+module.exports = {
+  buildHtml
+};
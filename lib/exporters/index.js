@@ -0,0 +1,23 @@
+const { buildAudiobook } = require('./audiobook');
+const { buildDocx } = require('./docx');
+const { buildEpub } = require('./epub');
+const { buildHtml } = require('./html');
+const { buildMarkdown } = require('./markdown');
+
+// Every export format takes the same story input and
+// ({ loadImage, loadAudio }) options, and resolves with the file contents
+const exporters = {
+  epub: { build: buildEpub, extension: 'epub', contentType: 'application/epub+zip' },
+  markdown: { build: buildMarkdown, extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  html: { build: buildHtml, extension: 'html', contentType: 'text/html; charset=utf-8' },
+  docx: { build: buildDocx, extension: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  // MP3s of the narrated chapters and an M3U playlist, see lib/narration
+  audiobook: { build: buildAudiobook, extension: 'zip', contentType: 'application/zip' }
+};
+
+const getExporter = (format) => (Object.prototype.hasOwnProperty.call(exporters, format) ? exporters[format] : null);
+
+module.exports = {
+  exporters,
+  getExporter
+};
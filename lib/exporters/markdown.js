@@ -0,0 +1,26 @@
+const { getChapters } = require('../storySchema');
+const { splitParagraphs } = require('./common');
+
+// Markdown keeps the images as references to their URLs, so the file stays
+// small and editors can swap pictures by hand
+const buildMarkdown = async ({ storyName, storyData, imageUrls = [], summary }) => {
+  const lines = [`# ${storyName || 'Untitled story'}`, ''];
+
+  if (summary) {
+    lines.push(`> ${summary.replace(/\n+/g, ' ')}`, '');
+  }
+
+  getChapters(storyData).forEach((chapter, i) => {
+    lines.push(`## Chapter ${i + 1}: ${chapter.title}`, '');
+    if (imageUrls[i]) {
+      lines.push(`![Illustration for ${chapter.title.replace(/[[\]]/g, '')}](${imageUrls[i]})`, '');
+    }
+    splitParagraphs(chapter.body).forEach(paragraph => lines.push(paragraph, ''));
+  });
+
+  return Buffer.from(lines.join('\n'), 'utf8');
+};
+
+module.exports = {
+  buildMarkdown
+};
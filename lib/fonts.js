@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Finds TrueType / OpenType fonts for each script (see lib/languages) so
+// PDFs can embed them; PDFKit's built-in fonts only cover Latin-1. Nothing
+// is bundled: install the Noto fonts (e.g. the fonts-noto packages) or drop
+// the files into PDF_FONTS_DIR. PDF_FONTS_FILE maps scripts to files
+// directly: { "sinhala": { "regular": "/path/a.ttf", "bold": "/path/b.ttf" } }
+
+const noto = (family, extension = 'ttf') => ({
+  regular: `${family}-Regular.${extension}`,
+  bold: `${family}-Bold.${extension}`
+});
+
+const dejaVu = { regular: 'DejaVuSans.ttf', bold: 'DejaVuSans-Bold.ttf' };
+
+// Candidates per script, best first
+const SCRIPT_FONTS = {
+  latin: [noto('NotoSans'), dejaVu, { regular: 'LiberationSans-Regular.ttf', bold: 'LiberationSans-Bold.ttf' }],
+  cyrillic: [noto('NotoSans'), dejaVu],
+  greek: [noto('NotoSans'), dejaVu],
+  arabic: [noto('NotoNaskhArabic'), noto('NotoSansArabic'), dejaVu],
+  hebrew: [noto('NotoSansHebrew'), dejaVu],
+  devanagari: [noto('NotoSansDevanagari')],
+  bengali: [noto('NotoSansBengali')],
+  tamil: [noto('NotoSansTamil')],
+  telugu: [noto('NotoSansTelugu')],
+  kannada: [noto('NotoSansKannada')],
+  malayalam: [noto('NotoSansMalayalam')],
+  sinhala: [noto('NotoSansSinhala')],
+  thai: [noto('NotoSansThai')],
+  han: [noto('NotoSansSC', 'otf'), noto('NotoSansCJKsc', 'otf')],
+  japanese: [noto('NotoSansJP', 'otf'), noto('NotoSansCJKjp', 'otf')],
+  korean: [noto('NotoSansKR', 'otf'), noto('NotoSansCJKkr', 'otf')]
+};
+
+const FONT_EXTENSIONS = ['.ttf', '.otf'];
+
+const defaultDirs = () => [
+  path.join(__dirname, '..', 'fonts'),
+  '/usr/share/fonts',
+  '/usr/local/share/fonts',
+  path.join(os.homedir(), '.fonts')
+];
+
+// File name -> full path for every font under the directories (first one wins)
+const indexFonts = (dirs) => {
+  const index = new Map();
+  const walk = (dir) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      return;
+    }
+    entries.forEach(entry => {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (FONT_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) && !index.has(entry.name)) {
+        index.set(entry.name, fullPath);
+      }
+    });
+  };
+  dirs.forEach(walk);
+  return index;
+};
+
+const createFontLibrary = (options = {}) => {
+  const dirs = options.dirs || (process.env.PDF_FONTS_DIR
+    ? [...process.env.PDF_FONTS_DIR.split(',').map(dir => dir.trim()).filter(Boolean), ...defaultDirs()]
+    : defaultDirs());
+  const overrides = options.overrides || (process.env.PDF_FONTS_FILE
+    ? JSON.parse(fs.readFileSync(process.env.PDF_FONTS_FILE, 'utf8'))
+    : {});
+  let index = null;
+
+  return {
+    // { regular, bold } file paths for the script, or null when none is
+    // installed. bold falls back to the regular face.
+    fontsFor(script) {
+      if (overrides[script] && overrides[script].regular) {
+        return { regular: overrides[script].regular, bold: overrides[script].bold || overrides[script].regular };
+      }
+      index = index || indexFonts(dirs);
+      const found = (SCRIPT_FONTS[script] || []).find(candidate => index.has(candidate.regular));
+      if (!found) return null;
+      return { regular: index.get(found.regular), bold: index.get(found.bold) || index.get(found.regular) };
+    }
+  };
+};
+
+let defaultLibrary = null;
+
+// The library configured from the environment, built on first use
+const getFontLibrary = () => {
+  defaultLibrary = defaultLibrary || createFontLibrary();
+  return defaultLibrary;
+};
+
+module.exports = {
+  SCRIPT_FONTS,
+  createFontLibrary,
+  getFontLibrary
+};
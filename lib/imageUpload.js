@@ -0,0 +1,99 @@
+const fs = require('fs');
+const sharp = require('sharp');
+
+// Checks and cleans up uploaded pictures. The type comes from the file's
+// first bytes, never from its name or the browser's Content-Type. Pictures
+// are turned upright from their EXIF orientation, scaled down to fit
+// maxDimension and re-encoded, which also drops EXIF (GPS included), XMP
+// and IPTC metadata.
+
+const SIGNATURES = [
+  { mimeType: 'image/jpeg', test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mimeType: 'image/png', test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/gif', test: (b) => /^GIF8[79]a/.test(b.toString('latin1', 0, 6)) },
+  { mimeType: 'image/webp', test: (b) => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+  { mimeType: 'image/tiff', test: (b) => ['II*\u0000', 'MM\u0000*'].includes(b.toString('latin1', 0, 4)) },
+  { mimeType: 'image/bmp', test: (b) => b.toString('latin1', 0, 2) === 'BM' && b.length > 14 && b.readUInt32LE(2) >= 26 }
+];
+
+// ISO media files name their brands in the ftyp box
+const HEIF_BRANDS = {
+  'image/heic': ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx'],
+  'image/heif': ['mif1', 'msf1'],
+  'image/avif': ['avif', 'avis']
+};
+
+const sniffHeif = (buffer) => {
+  if (buffer.length < 12 || buffer.toString('latin1', 4, 8) !== 'ftyp') return null;
+  const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const brands = [buffer.toString('latin1', 8, 12)];
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+    brands.push(buffer.toString('latin1', offset, offset + 4));
+  }
+  // The major brand decides; compatible brands break a tie (e.g. mif1 + heic)
+  const match = (list) => brands.find(brand => list.includes(brand));
+  if (HEIF_BRANDS['image/avif'].includes(brands[0])) return 'image/avif';
+  if (match(HEIF_BRANDS['image/heic'])) return 'image/heic';
+  if (match(HEIF_BRANDS['image/avif'])) return 'image/avif';
+  if (match(HEIF_BRANDS['image/heif'])) return 'image/heif';
+  return null;
+};
+
+// The image type of a buffer (its first few dozen bytes are enough), or null
+const sniffImageType = (buffer) => {
+  const signature = SIGNATURES.find(candidate => candidate.test(buffer));
+  return signature ? signature.mimeType : sniffHeif(buffer);
+};
+
+const uploadError = (message, status) => Object.assign(new Error(message), { code: 'INVALID_IMAGE', status });
+
+// Resolves with { buffer, mimeType, width, height, originalType }. Pictures
+// with transparency stay PNG, everything else becomes JPEG. Throws with
+// code INVALID_IMAGE and the HTTP status to answer with.
+const normalizeImage = async (buffer, { maxDimension = 2048 } = {}) => {
+  const originalType = sniffImageType(buffer.subarray(0, 64));
+  if (!originalType) {
+    throw uploadError('The file is not an image we can read (use JPEG, PNG, WebP, GIF, HEIC or AVIF)', 415);
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    // Typically HEIC, which needs a decoder this server's image library may lack
+    throw uploadError(`The ${originalType.split('/')[1].toUpperCase()} image could not be read; please upload it as JPEG or PNG`, 415);
+  }
+
+  const keepAlpha = Boolean(metadata.hasAlpha);
+  const pipeline = sharp(buffer)
+    .rotate()
+    .resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true });
+  const { data, info } = await (keepAlpha ? pipeline.png() : pipeline.jpeg({ quality: 90, mozjpeg: true }))
+    .toBuffer({ resolveWithObject: true })
+    .catch(() => {
+      throw uploadError('The image is damaged or incomplete', 400);
+    });
+
+  return {
+    buffer: data,
+    mimeType: keepAlpha ? 'image/png' : 'image/jpeg',
+    width: info.width,
+    height: info.height,
+    originalType
+  };
+};
+
+// Normalizes an uploaded file in place and updates its mimetype and size
+const normalizeUploadedImage = async (file, options) => {
+  const image = await normalizeImage(await fs.promises.readFile(file.path), options);
+  await fs.promises.writeFile(file.path, image.buffer);
+  file.mimetype = image.mimeType;
+  file.size = image.buffer.length;
+  return image;
+};
+
+module.exports = {
+  normalizeImage,
+  normalizeUploadedImage,
+  sniffImageType
+};
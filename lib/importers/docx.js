@@ -0,0 +1,71 @@
+const JSZip = require('jszip');
+const { chaptersFromBlocks } = require('../textImport');
+
+// Word documents: paragraphs styled Title or Heading 1-6 (or given an
+// outline level) mark the title and the chapters. Style ids are localised
+// ("berschrift1" in German Word), so headings are found through the names
+// in styles.xml.
+
+const decodeXml = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (match, decimal) => String.fromCodePoint(Number(decimal)))
+  .replace(/&amp;/g, '&');
+
+// styleId -> 'title' or a heading level
+const readHeadingStyles = (stylesXml) => {
+  const styles = {};
+  (stylesXml.match(/<w:style\b[\s\S]*?<\/w:style>/g) || []).forEach(style => {
+    const id = (style.match(/w:styleId="([^"]+)"/) || [])[1];
+    const name = ((style.match(/<w:name w:val="([^"]+)"/) || [])[1] || '').toLowerCase();
+    const outline = style.match(/<w:outlineLvl w:val="(\d)"/);
+    if (!id) return;
+    if (name === 'title') {
+      styles[id] = 'title';
+    } else if (/^heading \d$/.test(name)) {
+      styles[id] = Number(name.slice(-1));
+    } else if (outline) {
+      styles[id] = Number(outline[1]) + 1;
+    }
+  });
+  return styles;
+};
+
+const paragraphText = (paragraph) => decodeXml((paragraph.match(/<w:t(?:\s[^>]*)?>[^<]*<\/w:t>|<w:tab\/>|<w:br\b[^>]*\/>|<w:cr\/>/g) || [])
+  .map(run => {
+    if (run.startsWith('<w:tab')) return '\t';
+    if (run.startsWith('<w:br') || run.startsWith('<w:cr')) return '\n';
+    return run.replace(/<[^>]+>/g, '');
+  })
+  .join(''))
+  .trim();
+
+const importDocx = async (buffer, { numChapters } = {}) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const document = zip.file('word/document.xml');
+  if (!document) {
+    throw Object.assign(new Error('The file is not a Word document'), { code: 'UNSUPPORTED_FORMAT' });
+  }
+  const stylesFile = zip.file('word/styles.xml');
+  const styles = readHeadingStyles(stylesFile ? await stylesFile.async('string') : '');
+  const xml = await document.async('string');
+
+  const blocks = (xml.match(/<w:p\b[^>]*\/>|<w:p\b[\s\S]*?<\/w:p>/g) || []).map(paragraph => {
+    const styleId = (paragraph.match(/<w:pStyle w:val="([^"]+)"/) || [])[1];
+    const outline = paragraph.match(/<w:outlineLvl w:val="(\d)"/);
+    const style = styles[styleId] || (outline ? Number(outline[1]) + 1 : null);
+    const text = paragraphText(paragraph);
+    if (style === 'title') return { type: 'title', text };
+    if (style) return { type: 'heading', level: style, text };
+    return { type: 'paragraph', text };
+  }).filter(block => block.text);
+
+  return chaptersFromBlocks(blocks, { numChapters });
+};
+
+module.exports = {
+  importDocx
+};
@@ -0,0 +1,88 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { countWords } = require('../textImport');
+const { importDocx } = require('./docx');
+const { importMarkdown } = require('./markdown');
+const { importPdf } = require('./pdf');
+const { importText } = require('./text');
+
+// Every import format takes the file's bytes and ({ numChapters }) and
+// resolves with { storyName, storyData }; chapter titles the file does not
+// give are left empty
+const importers = {
+  text: { read: importText, extensions: ['.txt', '.text'] },
+  markdown: { read: importMarkdown, extensions: ['.md', '.markdown'] },
+  docx: { read: importDocx, extensions: ['.docx'] },
+  pdf: { read: importPdf, extensions: ['.pdf'] }
+};
+
+const unsupported = (message) => Object.assign(new Error(message), { code: 'UNSUPPORTED_FORMAT' });
+
+// Works out the format from the file's first bytes, then its name and type
+const detectFormat = (buffer, { filename = '', contentType = '' } = {}) => {
+  const extension = path.extname(filename).toLowerCase();
+  const head = buffer.subarray(0, 8);
+  if (head.toString('latin1', 0, 5) === '%PDF-') return 'pdf';
+  if (head[0] === 0xd0 && head[1] === 0xcf && head[2] === 0x11 && head[3] === 0xe0) {
+    throw unsupported('Old .doc files cannot be imported: save the manuscript as .docx first');
+  }
+  if (head[0] === 0x50 && head[1] === 0x4b) {
+    if (extension === '.docx' || contentType.includes('wordprocessingml') || !extension) return 'docx';
+    throw unsupported(`Unsupported file type: ${extension}`);
+  }
+  const utf16 = (head[0] === 0xff && head[1] === 0xfe) || (head[0] === 0xfe && head[1] === 0xff);
+  if (!utf16 && buffer.subarray(0, 8192).includes(0)) {
+    throw unsupported('Unsupported file type: use a TXT, Markdown, DOCX or PDF file');
+  }
+  return importers.markdown.extensions.includes(extension) || /markdown/.test(contentType) ? 'markdown' : 'text';
+};
+
+// Resolves with { format, storyName, storyData, words }. maxInflatedBytes
+// caps how far compressed streams in a PDF may unpack (TOO_LARGE).
+const importManuscript = async (buffer, { format, filename, contentType, numChapters, maxInflatedBytes } = {}) => {
+  const chosen = format || detectFormat(buffer, { filename, contentType });
+  const { storyName, storyData } = await importers[chosen].read(buffer, { numChapters, maxInflatedBytes });
+  const words = storyData.chapters.reduce((sum, chapter) => sum + countWords(chapter.body), 0);
+  if (words === 0) {
+    throw Object.assign(new Error(chosen === 'pdf'
+      ? 'No text was found in the PDF. Scanned PDFs have none: import the pages as pictures through /api/import/scan'
+      : 'No text was found in the file'), { code: 'NO_TEXT' });
+  }
+  return { format: chosen, storyName, storyData, words };
+};
+
+// importManuscript on a worker thread, so parsing a large file does not
+// hold up other requests. A parse still running after timeoutMs is stopped
+// and rejected with TIMEOUT.
+const readInWorker = (buffer, options = {}, { timeoutMs = 30000, maxMemoryMb = 512 } = {}) => new Promise((resolve, reject) => {
+  const worker = new Worker(path.join(__dirname, 'worker.js'), {
+    workerData: { bytes: new Uint8Array(buffer), options },
+    resourceLimits: { maxOldGenerationSizeMb: maxMemoryMb }
+  });
+  let settled = false;
+  const settle = (fn, value) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(timer);
+    worker.terminate();
+    fn(value);
+  };
+  const timer = setTimeout(() => {
+    settle(reject, Object.assign(new Error('The file took too long to read'), { code: 'TIMEOUT' }));
+  }, timeoutMs);
+  worker.on('message', ({ result, error }) => {
+    if (error) settle(reject, Object.assign(new Error(error.message), { code: error.code }));
+    else settle(resolve, result);
+  });
+  worker.on('error', error => settle(reject, error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+    ? Object.assign(new Error('The file needs more memory to read than is allowed'), { code: 'TOO_LARGE' })
+    : error));
+  worker.on('exit', () => settle(reject, new Error('The import worker stopped unexpectedly')));
+});
+
+module.exports = {
+  detectFormat,
+  importManuscript,
+  readInWorker,
+  importers
+};
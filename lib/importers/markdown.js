@@ -0,0 +1,64 @@
+const { chaptersFromBlocks } = require('../textImport');
+const { decodeText } = require('./text');
+
+// Markdown: # / ## headings (ATX or underlined) mark the title and the
+// chapters, a `title:` in YAML front matter names the book. Formatting,
+// links and pictures are reduced to their text.
+
+const stripInline = (text) => text
+  .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+  .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/<[^>]+>/g, '')
+  .replace(/(\*\*|__)(.+?)\1/g, '$2')
+  .replace(/(\*|_)(.+?)\1/g, '$2')
+  .replace(/`([^`]*)`/g, '$1')
+  .replace(/\\([\\`*_{}[\]()#+\-.!>])/g, '$1')
+  .trim();
+
+const parseBlocks = (text) => {
+  const blocks = [];
+  let lines = text.replace(/\r\n?/g, '\n').split('\n');
+
+  const frontMatter = lines[0] === '---' ? lines.indexOf('---', 1) : -1;
+  if (frontMatter > 0) {
+    const title = lines.slice(1, frontMatter).map(line => line.match(/^title:\s*["']?(.*?)["']?\s*$/i)).find(Boolean);
+    if (title) {
+      blocks.push({ type: 'title', text: title[1] });
+    }
+    lines = lines.slice(frontMatter + 1);
+  }
+
+  let paragraph = [];
+  const flush = () => {
+    if (paragraph.length) {
+      blocks.push({ type: 'paragraph', text: stripInline(paragraph.join('\n')) });
+    }
+    paragraph = [];
+  };
+
+  lines.forEach((line, i) => {
+    const atx = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    const underline = lines[i + 1] !== undefined && paragraph.length === 0 && line.trim() && lines[i + 1].match(/^(=+|-+)\s*$/);
+    if (atx) {
+      flush();
+      blocks.push({ type: 'heading', level: atx[1].length, text: stripInline(atx[2]) });
+    } else if (underline) {
+      flush();
+      blocks.push({ type: 'heading', level: underline[1][0] === '=' ? 1 : 2, text: stripInline(line) });
+      lines[i + 1] = '';
+    } else if (!line.trim() || /^(\*\s*){3,}$|^(-\s*){3,}$|^(_\s*){3,}$/.test(line.trim()) || /^```/.test(line)) {
+      // Blank lines, rules and code fences end a paragraph
+      flush();
+    } else {
+      paragraph.push(line.replace(/^\s*(?:>\s?)+/, '').replace(/^\s*(?:[-*+]|\d+[.)])\s+/, ''));
+    }
+  });
+  flush();
+  return blocks;
+};
+
+const importMarkdown = (buffer, { numChapters } = {}) => chaptersFromBlocks(parseBlocks(decodeText(buffer)), { numChapters });
+
+module.exports = {
+  importMarkdown
+};
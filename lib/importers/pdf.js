@@ -0,0 +1,510 @@
+const { kMaxLength } = require('buffer');
+const zlib = require('zlib');
+const { chaptersFromBlocks } = require('../textImport');
+
+// Text-based PDFs, read without a PDF library: the pages' content streams
+// are replayed just far enough to get each line's text, baseline and font
+// size. Lines set notably larger than the body text are headings; a wider
+// gap between lines starts a paragraph. Scans have no text to read (use
+// the scan import) and encrypted files are refused.
+
+const unsupported = (message) => Object.assign(new Error(message), { code: 'UNSUPPORTED_FORMAT' });
+const tooLarge = () => Object.assign(new Error('The PDF unpacks to more data than can be imported'), { code: 'TOO_LARGE' });
+
+// Lexer and object parser. The file is handled as a latin1 string so every
+// byte stays one character. Names keep their slash ('/Page'), strings are
+// { string }, references { ref } and operators { op }.
+
+const isWhitespace = (char) => char === ' ' || char === '\n' || char === '\r' || char === '\t' || char === '\f' || char === '\0';
+const isDelimiter = (char) => '()<>[]{}/%'.includes(char);
+
+const skipSpace = (src, pos) => {
+  while (pos < src.length) {
+    if (isWhitespace(src[pos])) {
+      pos++;
+    } else if (src[pos] === '%') {
+      while (pos < src.length && src[pos] !== '\n' && src[pos] !== '\r') pos++;
+    } else {
+      break;
+    }
+  }
+  return pos;
+};
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+
+const readLiteralString = (src, pos) => {
+  let depth = 1;
+  let out = '';
+  pos++;
+  while (pos < src.length) {
+    const char = src[pos];
+    if (char === '\\') {
+      const next = src[pos + 1];
+      if (ESCAPES[next]) {
+        out += ESCAPES[next];
+        pos += 2;
+      } else if (/[0-7]/.test(next)) {
+        const octal = src.slice(pos + 1, pos + 4).match(/^[0-7]{1,3}/)[0];
+        out += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        pos += 1 + octal.length;
+      } else if (next === '\r' || next === '\n') {
+        // A backslash at the end of a line continues the string
+        pos += next === '\r' && src[pos + 2] === '\n' ? 3 : 2;
+      } else {
+        out += next;
+        pos += 2;
+      }
+    } else {
+      if (char === '(') depth++;
+      if (char === ')' && --depth === 0) return [{ string: out }, pos + 1];
+      out += char;
+      pos++;
+    }
+  }
+  return [{ string: out }, pos];
+};
+
+const readToken = (src, pos) => {
+  pos = skipSpace(src, pos);
+  const char = src[pos];
+  if (pos >= src.length) return [null, pos];
+  if (char === '<' && src[pos + 1] === '<') return [{ op: '<<' }, pos + 2];
+  if (char === '>' && src[pos + 1] === '>') return [{ op: '>>' }, pos + 2];
+  if (char === '[' || char === ']' || char === '{' || char === '}') return [{ op: char }, pos + 1];
+  if (char === '(') return readLiteralString(src, pos);
+  if (char === '<') {
+    const end = src.indexOf('>', pos);
+    const hex = src.slice(pos + 1, end).replace(/[^0-9a-fA-F]/g, '');
+    return [{ string: Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex').toString('latin1') }, end + 1];
+  }
+  let end = pos + 1;
+  while (end < src.length && !isWhitespace(src[end]) && !isDelimiter(src[end])) end++;
+  const word = src.slice(pos, end);
+  if (char === '/') return [word, end];
+  if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return [Number(word), end];
+  if (word === 'true' || word === 'false') return [word === 'true', end];
+  if (word === 'null') return [null, end];
+  return [{ op: word }, end];
+};
+
+// Parses one value; `N G R` becomes { ref: N }
+const parseValue = (src, pos) => {
+  const [token, next] = readToken(src, pos);
+  if (token && token.op === '<<') {
+    const dict = {};
+    let at = next;
+    for (;;) {
+      const [key, afterKey] = readToken(src, at);
+      if (!key || key.op === '>>') return [dict, afterKey];
+      const [value, afterValue] = parseValue(src, afterKey);
+      if (typeof key === 'string') dict[key.slice(1)] = value;
+      at = afterValue;
+    }
+  }
+  if (token && token.op === '[') {
+    const list = [];
+    let at = next;
+    for (;;) {
+      const [peek, afterPeek] = readToken(src, at);
+      if ((peek === null && afterPeek >= src.length) || (peek && peek.op === ']')) return [list, afterPeek];
+      const [value, afterValue] = parseValue(src, at);
+      list.push(value);
+      at = afterValue;
+    }
+  }
+  if (typeof token === 'number' && Number.isInteger(token)) {
+    const [generation, afterGeneration] = readToken(src, next);
+    const [keyword, afterKeyword] = readToken(src, afterGeneration);
+    if (typeof generation === 'number' && keyword && keyword.op === 'R') {
+      return [{ ref: token }, afterKeyword];
+    }
+  }
+  return [token, next];
+};
+
+// Every `N G obj` in the file, later definitions (incremental updates)
+// winning, plus the objects packed into object streams
+const readObjects = (src) => {
+  const objects = new Map();
+  const pattern = /(\d+)\s+\d+\s+obj\b/g;
+  let match;
+  while ((match = pattern.exec(src))) {
+    const [value, end] = parseValue(src, match.index + match[0].length);
+    const object = { value };
+    const streamAt = skipSpace(src, end);
+    if (value && typeof value === 'object' && src.startsWith('stream', streamAt)) {
+      let start = streamAt + 6;
+      if (src[start] === '\r') start++;
+      if (src[start] === '\n') start++;
+      const length = typeof value.Length === 'number' ? value.Length : -1;
+      const stop = length >= 0 && src.startsWith('endstream', skipSpace(src, start + length))
+        ? start + length
+        : src.indexOf('endstream', start);
+      object.stream = src.slice(start, stop);
+      pattern.lastIndex = stop;
+    } else {
+      pattern.lastIndex = end;
+    }
+    objects.set(Number(match[1]), object);
+  }
+  return objects;
+};
+
+// maxInflatedBytes caps what all streams together may unpack to, so a
+// small file cannot inflate into gigabytes (TOO_LARGE)
+const createDocument = (src, { maxInflatedBytes = Infinity } = {}) => {
+  const objects = readObjects(src);
+  const resolve = (value) => (value && value.ref !== undefined ? (objects.get(value.ref) || {}).value : value);
+  let inflated = 0;
+
+  const inflate = (data) => {
+    const maxOutputLength = Math.min(maxInflatedBytes - inflated, kMaxLength);
+    if (maxOutputLength <= 0) throw tooLarge();
+    let output;
+    try {
+      try {
+        output = zlib.inflateSync(data, { maxOutputLength });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') throw error;
+        output = zlib.inflateSync(data, { maxOutputLength, finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      }
+    } catch (error) {
+      throw error.code === 'ERR_BUFFER_TOO_LARGE' ? tooLarge() : error;
+    }
+    inflated += output.length;
+    return output;
+  };
+
+  const decodeStream = (object) => {
+    let data = Buffer.from(object.stream, 'latin1');
+    const filters = [].concat(resolve(object.value.Filter) || []);
+    for (const filter of filters) {
+      if (filter === '/FlateDecode' || filter === '/Fl') {
+        data = inflate(data);
+      } else if (filter === '/ASCIIHexDecode' || filter === '/AHx') {
+        data = Buffer.from(data.toString('latin1').replace(/[^0-9a-fA-F]/g, ''), 'hex');
+      } else {
+        return null;
+      }
+    }
+    return data.toString('latin1');
+  };
+
+  // Unpack object streams (PDF 1.5+ keeps most dictionaries in them)
+  Array.from(objects.values()).forEach(object => {
+    if (!object.stream || object.value.Type !== '/ObjStm') return;
+    const content = decodeStream(object);
+    if (!content) return;
+    const header = content.slice(0, object.value.First).trim().split(/\s+/).map(Number);
+    for (let i = 0; i + 1 < header.length; i += 2) {
+      if (!objects.has(header[i])) {
+        objects.set(header[i], { value: parseValue(content, object.value.First + header[i + 1])[0] });
+      }
+    }
+  });
+
+  const streamOf = (value) => {
+    const object = value && value.ref !== undefined ? objects.get(value.ref) : null;
+    return object && object.stream !== undefined ? decodeStream(object) : null;
+  };
+
+  // Pages in order with their (inherited) resources
+  const pages = () => {
+    const catalog = Array.from(objects.values()).map(object => object.value).reverse()
+      .find(value => value && value.Type === '/Catalog');
+    const found = [];
+    const walk = (node, resources, depth) => {
+      if (!node || depth > 50) return;
+      const own = resolve(node.Resources) || resources;
+      if (node.Type === '/Pages' || node.Kids) {
+        (resolve(node.Kids) || []).forEach(kid => walk(resolve(kid), own, depth + 1));
+      } else {
+        found.push({ contents: [].concat(node.Contents || []), resources: own || {} });
+      }
+    };
+    walk(catalog && resolve(catalog.Pages), null, 0);
+    return found;
+  };
+
+  return { resolve, streamOf, pages };
+};
+
+// Fonts: ToUnicode maps where the file has them, else the font's simple
+// encoding (Windows-1252 with /Differences)
+
+const WIN_ANSI_EXTRAS = {
+  0x80: '€', 0x82: '‚', 0x83: 'ƒ', 0x84: '„', 0x85: '…', 0x86: '†', 0x87: '‡',
+  0x88: 'ˆ', 0x89: '‰', 0x8a: 'Š', 0x8b: '‹', 0x8c: 'Œ', 0x8e: 'Ž', 0x91: '‘',
+  0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x98: '˜',
+  0x99: '™', 0x9a: 'š', 0x9b: '›', 0x9c: 'œ', 0x9e: 'ž', 0x9f: 'Ÿ'
+};
+
+const GLYPH_NAMES = {
+  space: ' ', period: '.', comma: ',', colon: ':', semicolon: ';', exclam: '!', question: '?', hyphen: '-',
+  quoteright: '’', quoteleft: '‘', quotedblleft: '“', quotedblright: '”', quotesingle: "'",
+  quotedbl: '"', endash: '–', emdash: '—', ellipsis: '…', parenleft: '(', parenright: ')',
+  fi: 'fi', fl: 'fl', ff: 'ff', bullet: '•', zero: '0', one: '1', two: '2', three: '3', four: '4',
+  five: '5', six: '6', seven: '7', eight: '8', nine: '9'
+};
+
+const glyphToText = (name) => {
+  const glyph = name.slice(1);
+  if (GLYPH_NAMES[glyph]) return GLYPH_NAMES[glyph];
+  if (/^[A-Za-z]$/.test(glyph)) return glyph;
+  const unicode = glyph.match(/^uni([0-9A-Fa-f]{4})$|^u([0-9A-Fa-f]{4,6})$/);
+  return unicode ? String.fromCodePoint(parseInt(unicode[1] || unicode[2], 16)) : '';
+};
+
+const utf16 = (hex) => {
+  const bytes = Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex');
+  return bytes.length % 2 ? bytes.toString('latin1') : Buffer.from(bytes).swap16().toString('utf16le');
+};
+
+const parseCMap = (text) => {
+  const map = new Map();
+  const codespace = text.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+  const codeLength = codespace ? codespace[1].length / 2 : 2;
+
+  (text.match(/beginbfchar[\s\S]*?endbfchar/g) || []).forEach(block => {
+    for (const [, code, target] of block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      map.set(parseInt(code, 16), utf16(target));
+    }
+  });
+  (text.match(/beginbfrange[\s\S]*?endbfrange/g) || []).forEach(block => {
+    for (const [, low, high, target] of block.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F]*>|\[[^\]]*\])/g)) {
+      const from = parseInt(low, 16);
+      const to = Math.min(parseInt(high, 16), from + 0xffff);
+      if (target.startsWith('[')) {
+        const targets = target.match(/<([0-9a-fA-F]*)>/g) || [];
+        for (let code = from; code <= to && code - from < targets.length; code++) {
+          map.set(code, utf16(targets[code - from].slice(1, -1)));
+        }
+      } else {
+        const hex = target.slice(1, -1);
+        const base = parseInt(hex.slice(-4) || '0', 16);
+        for (let code = from; code <= to; code++) {
+          map.set(code, utf16(hex.slice(0, -4) + (base + code - from).toString(16).padStart(4, '0')));
+        }
+      }
+    }
+  });
+  return { map, codeLength };
+};
+
+const createFontDecoder = (font, document) => {
+  const toUnicode = font && document.streamOf(font.ToUnicode);
+  if (toUnicode) {
+    const { map, codeLength } = parseCMap(toUnicode);
+    return (bytes) => {
+      let out = '';
+      for (let i = 0; i + codeLength <= bytes.length; i += codeLength) {
+        let code = 0;
+        for (let j = 0; j < codeLength; j++) code = code * 256 + bytes.charCodeAt(i + j);
+        out += map.get(code) || '';
+      }
+      return out;
+    };
+  }
+  // Composite fonts without a map only have glyph ids: nothing readable
+  if (font && font.Subtype === '/Type0') {
+    return () => '';
+  }
+
+  const table = {};
+  const encoding = font && document.resolve(font.Encoding);
+  const differences = encoding && typeof encoding === 'object' ? document.resolve(encoding.Differences) || [] : [];
+  let code = 0;
+  differences.forEach(item => {
+    if (typeof item === 'number') {
+      code = item;
+    } else if (typeof item === 'string') {
+      table[code++] = glyphToText(item);
+    }
+  });
+  return (bytes) => Array.from(bytes).map(char => {
+    const byte = char.charCodeAt(0);
+    if (table[byte] !== undefined) return table[byte];
+    return WIN_ANSI_EXTRAS[byte] || (byte >= 0x20 ? char : '');
+  }).join('');
+};
+
+// Replays a content stream and collects { text, y, size } lines
+const readLines = (content, resources, document, fontCache) => {
+  const lines = [];
+  let line = null;
+  let decode = () => '';
+  let fontSize = 12;
+  let leading = 0;
+  let matrix = [1, 0, 0, 1, 0, 0];
+  let lineStart = [0, 0];
+  let position = [0, 0];
+  let moved = false;
+
+  const fonts = document.resolve(resources.Font) || {};
+  const fontFor = (name) => {
+    const key = fonts[name.slice(1)];
+    const cacheKey = key && key.ref !== undefined ? key.ref : name;
+    if (!fontCache.has(cacheKey)) {
+      fontCache.set(cacheKey, createFontDecoder(document.resolve(key), document));
+    }
+    return fontCache.get(cacheKey);
+  };
+
+  const size = () => Math.abs(fontSize * (matrix[3] || matrix[0] || 1));
+
+  const moveTo = (x, y) => {
+    position = [x, y];
+    lineStart = [x, y];
+    moved = true;
+  };
+
+  const show = (text) => {
+    if (!text) return;
+    const y = Math.round(position[1] * 10) / 10;
+    if (!line || Math.abs(line.y - y) > size() * 0.4) {
+      line = { text: '', y, size: size() };
+      lines.push(line);
+    } else if (moved && line.text && !/\s$/.test(line.text) && !/^\s/.test(text)) {
+      // Repositioned on the same line: a new word or run
+      line.text += ' ';
+    }
+    line.text += text;
+    line.size = Math.max(line.size, size());
+    moved = false;
+  };
+
+  let operands = [];
+  let pos = 0;
+  while (pos < content.length) {
+    const [value, next] = parseValue(content, pos);
+    if (next <= pos) break;
+    pos = next;
+    if (!value || value.op === undefined) {
+      operands.push(value);
+      continue;
+    }
+
+    const args = operands;
+    operands = [];
+    switch (value.op) {
+      case 'BT':
+        matrix = [1, 0, 0, 1, 0, 0];
+        moveTo(0, 0);
+        break;
+      case 'Tf':
+        decode = fontFor(String(args[0]));
+        fontSize = Number(args[1]) || fontSize;
+        break;
+      case 'TL':
+        leading = Number(args[0]) || 0;
+        break;
+      case 'Tm':
+        matrix = args.map(Number);
+        moveTo(matrix[4], matrix[5]);
+        break;
+      case 'Td':
+      case 'TD':
+        if (value.op === 'TD') leading = -Number(args[1]);
+        moveTo(lineStart[0] + Number(args[0]) * matrix[0], lineStart[1] + Number(args[1]) * (matrix[3] || 1));
+        break;
+      case 'T*':
+        moveTo(lineStart[0], lineStart[1] - leading * (matrix[3] || 1));
+        break;
+      case 'Tj':
+        show(decode(args[0] && args[0].string));
+        break;
+      case "'":
+      case '"':
+        moveTo(lineStart[0], lineStart[1] - leading * (matrix[3] || 1));
+        show(decode(args[args.length - 1] && args[args.length - 1].string));
+        break;
+      case 'TJ':
+        show((args[0] || []).map(item => {
+          if (item && item.string !== undefined) return decode(item.string);
+          // A big step to the right stands in for a space
+          return typeof item === 'number' && item < -200 ? ' ' : '';
+        }).join('').replace(/ {2,}/g, ' '));
+        break;
+      case 'ID': {
+        // Inline image data runs up to EI
+        const end = content.indexOf('EI', pos);
+        pos = end < 0 ? content.length : end + 2;
+        break;
+      }
+      default:
+        break;
+    }
+  }
+  return lines.map(({ text, y, size: lineSize }) => ({ text: text.trim(), y, size: Math.round(lineSize * 10) / 10 })).filter(({ text }) => text);
+};
+
+// The value below which a share of the values fall
+const percentile = (values, share) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted.length ? sorted[Math.floor(sorted.length * share)] : 0;
+};
+
+// Lines -> heading and paragraph blocks for chaptersFromBlocks. The body
+// size is the one most of the text is set in; the usual line spacing is
+// taken from the closer-set body lines, since paragraph gaps are rarer.
+const linesToBlocks = (pages) => {
+  const all = pages.flat();
+  const textBySize = new Map();
+  all.forEach(line => textBySize.set(line.size, (textBySize.get(line.size) || 0) + line.text.length));
+  const bodySize = Array.from(textBySize.entries()).sort((a, b) => b[1] - a[1]).map(([size]) => size)[0] || 12;
+  const isBody = (line) => line.size <= bodySize * 1.15;
+  const headingSizes = Array.from(new Set(all.filter(line => !isBody(line)).map(line => line.size))).sort((a, b) => b - a);
+  const gaps = pages.flatMap(lines => lines.slice(1)
+    .map((line, i) => (isBody(line) && isBody(lines[i]) ? Math.abs(line.y - lines[i].y) : 0))
+    .filter(gap => gap > 0));
+  const lineGap = percentile(gaps, 0.25) || bodySize * 1.2;
+
+  const blocks = [];
+  let current = null;
+  pages.forEach(lines => {
+    lines.forEach((line, i) => {
+      const level = headingSizes.indexOf(line.size) + 1;
+      const gap = i === 0 ? null : Math.abs(line.y - lines[i - 1].y);
+      if (level > 0) {
+        // A heading wrapped over two lines is still one heading
+        if (current && current.type === 'heading' && current.level === level && gap !== null && gap < line.size * 2) {
+          current.text += ` ${line.text}`;
+        } else {
+          current = { type: 'heading', level, text: line.text };
+          blocks.push(current);
+        }
+        return;
+      }
+      // A new page continues the paragraph unless the last one was finished
+      const continues = current && current.type === 'paragraph' && (gap === null
+        ? !/[.!?:"'”’]$/.test(current.text)
+        : gap < lineGap * 1.4);
+      if (continues) {
+        current.text += `\n${line.text}`;
+      } else {
+        current = { type: 'paragraph', text: line.text };
+        blocks.push(current);
+      }
+    });
+  });
+  return blocks;
+};
+
+const importPdf = (buffer, { numChapters, maxInflatedBytes } = {}) => {
+  const src = buffer.toString('latin1');
+  if (/\/Encrypt\s*(?:\d+\s+\d+\s+R|<<)/.test(src)) {
+    throw unsupported('Encrypted PDFs cannot be imported');
+  }
+  const document = createDocument(src, { maxInflatedBytes });
+  const fontCache = new Map();
+  const pages = document.pages().map(page => {
+    const content = page.contents.map(part => document.streamOf(part) || '').join('\n');
+    return readLines(content, page.resources, document, fontCache);
+  });
+  return chaptersFromBlocks(linesToBlocks(pages), { numChapters });
+};
+
+module.exports = {
+  importPdf
+};
@@ -0,0 +1,30 @@
+const { cleanText, splitChapters } = require('../textImport');
+
+// Plain text: UTF-8 (or UTF-16 with a byte order mark), chapters from
+// "Chapter N" lines or split by length
+const decodeText = (buffer) => {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return buffer.toString('utf16le', 2);
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return Buffer.from(buffer.subarray(2)).swap16().toString('utf16le');
+  }
+  const text = buffer.toString('utf8').replace(/^\ufeff/, '');
+  // Not valid UTF-8: most likely an old Windows-1252 / Latin-1 file
+  return text.includes('\ufffd') ? buffer.toString('latin1') : text;
+};
+
+// Files written with one paragraph per line (and no blank lines between
+// them) would otherwise run together into a single paragraph
+const separateLongLines = (text) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  const average = lines.reduce((sum, line) => sum + line.length, 0) / (lines.length || 1);
+  return /\n\s*\n/.test(text) || average < 100 ? text : text.replace(/\r?\n/g, '\n\n');
+};
+
+const importText = (buffer, { numChapters } = {}) => splitChapters(cleanText(separateLongLines(decodeText(buffer))), { numChapters });
+
+module.exports = {
+  decodeText,
+  importText
+};
@@ -0,0 +1,9 @@
+const { parentPort, workerData } = require('worker_threads');
+const { importManuscript } = require('./index');
+
+// Worker side of readInWorker: reads one manuscript and posts back
+// { result } or { error: { message, code } }
+const { bytes, options } = workerData;
+importManuscript(Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength), options)
+  .then(result => parentPort.postMessage({ result }))
+  .catch(error => parentPort.postMessage({ error: { message: error.message || String(error), code: error.code } }));
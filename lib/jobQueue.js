@@ -0,0 +1,150 @@
+const EventEmitter = require('events');
+const Bottleneck = require('bottleneck');
+const { v4: uuidv4 } = require('uuid');
+
+// Finished jobs are kept around this long so clients can still poll them
+const JOB_TTL_MS = 24 * 3600000;
+
+// wrap(job, run) runs around every attempt of a pipeline, e.g. to attribute
+// the work to whoever started the job
+const createJobQueue = ({ maxConcurrent = 2, wrap = (job, run) => run() } = {}) => {
+  const jobs = new Map();
+  const pipelines = new Map();
+  const events = new EventEmitter();
+  const limiter = new Bottleneck({ maxConcurrent });
+
+  events.setMaxListeners(0);
+
+  const touch = (job) => {
+    job.updatedAt = new Date().toISOString();
+    events.emit('update', job);
+  };
+
+  // Runs fn once per step name. A step that already completed returns its
+  // stored result, which is what lets a retried job skip finished work.
+  const createStepRunner = (job) => async (name, fn) => {
+    let step = job.steps.find(s => s.name === name);
+    if (step && step.status === 'completed') {
+      return step.result;
+    }
+
+    if (!step) {
+      step = { name, status: 'pending', attempts: 0 };
+      job.steps.push(step);
+    }
+
+    step.status = 'running';
+    step.error = null;
+    step.attempts++;
+    step.startedAt = new Date().toISOString();
+    touch(job);
+
+    try {
+      step.result = await fn();
+      step.status = 'completed';
+      return step.result;
+    } catch (error) {
+      step.status = 'failed';
+      step.error = error.message || String(error);
+      throw error;
+    } finally {
+      step.finishedAt = new Date().toISOString();
+      touch(job);
+    }
+  };
+
+  const run = (job) => {
+    const pipeline = pipelines.get(job.type);
+
+    job.status = 'queued';
+    touch(job);
+
+    job.done = limiter.schedule(async () => {
+      job.status = 'running';
+      job.error = null;
+      touch(job);
+
+      try {
+        job.result = await wrap(job, () => pipeline(job.input, createStepRunner(job), job));
+        job.status = 'completed';
+      } catch (error) {
+        console.error(`Job ${job.id} (${job.type}) failed:`, error.message || error);
+        job.status = 'failed';
+        job.error = error.message || String(error);
+      } finally {
+        job.finishedAt = new Date().toISOString();
+        touch(job);
+      }
+      return job;
+    });
+
+    return job;
+  };
+
+  const removeExpired = () => {
+    const now = Date.now();
+    jobs.forEach((job, id) => {
+      if (job.finishedAt && now - Date.parse(job.finishedAt) > JOB_TTL_MS) {
+        jobs.delete(id);
+        events.emit('remove', job);
+      }
+    });
+  };
+
+  setInterval(removeExpired, 3600000).unref();
+
+  return {
+    events,
+
+    // pipeline(input, step, job) does the work, wrapping each unit in step()
+    register(type, pipeline) {
+      pipelines.set(type, pipeline);
+    },
+
+    // context: who asked for the job, kept out of its public view
+    enqueue(type, input, context = {}) {
+      if (!pipelines.has(type)) {
+        throw new Error(`Unknown job type: ${type}`);
+      }
+
+      const now = new Date().toISOString();
+      const job = {
+        id: uuidv4(),
+        type,
+        input,
+        context,
+        status: 'queued',
+        steps: [],
+        result: null,
+        error: null,
+        createdAt: now,
+        updatedAt: now
+      };
+      jobs.set(job.id, job);
+      return run(job);
+    },
+
+    get: (id) => jobs.get(id) || null,
+
+    // Re-runs a failed job; completed steps are not repeated
+    retry(id) {
+      const job = jobs.get(id);
+      if (!job) return null;
+      if (job.status !== 'failed') {
+        throw new Error(`Only failed jobs can be retried (job is ${job.status})`);
+      }
+      delete job.finishedAt;
+      return run(job);
+    },
+
+    // Public view of a job, without the raw input, context or internal promise
+    toJSON(job) {
+      const { input, context, done, ...view } = job;
+      return view;
+    }
+  };
+};
+
+module.exports = {
+  createJobQueue
+};
@@ -0,0 +1,124 @@
+// Languages stories can be written and translated in, and the writing
+// system (script) each uses. The script decides which font the PDF
+// renderer embeds (see lib/fonts) and whether text runs right to left.
+
+const SCRIPTS = {
+  latin: { direction: 'ltr', pattern: /[A-Za-z\u00c0-\u024f\u1e00-\u1eff]/ },
+  cyrillic: { direction: 'ltr', pattern: /[\u0400-\u052f]/ },
+  greek: { direction: 'ltr', pattern: /[\u0370-\u03ff\u1f00-\u1fff]/ },
+  arabic: { direction: 'rtl', pattern: /[\u0600-\u06ff\u0750-\u077f\u08a0-\u08ff\ufb50-\ufdff\ufe70-\ufeff]/ },
+  hebrew: { direction: 'rtl', pattern: /[\u0590-\u05ff\ufb1d-\ufb4f]/ },
+  devanagari: { direction: 'ltr', pattern: /[\u0900-\u097f]/ },
+  bengali: { direction: 'ltr', pattern: /[\u0980-\u09ff]/ },
+  tamil: { direction: 'ltr', pattern: /[\u0b80-\u0bff]/ },
+  telugu: { direction: 'ltr', pattern: /[\u0c00-\u0c7f]/ },
+  kannada: { direction: 'ltr', pattern: /[\u0c80-\u0cff]/ },
+  malayalam: { direction: 'ltr', pattern: /[\u0d00-\u0d7f]/ },
+  sinhala: { direction: 'ltr', pattern: /[\u0d80-\u0dff]/ },
+  thai: { direction: 'ltr', pattern: /[\u0e00-\u0e7f]/ },
+  japanese: { direction: 'ltr', pattern: /[\u3040-\u30ff\u31f0-\u31ff]/ },
+  korean: { direction: 'ltr', pattern: /[\u1100-\u11ff\u3130-\u318f\uac00-\ud7af]/ },
+  han: { direction: 'ltr', pattern: /[\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]/ }
+};
+
+const LANGUAGES = {
+  en: { name: 'English', script: 'latin' },
+  es: { name: 'Spanish', script: 'latin' },
+  fr: { name: 'French', script: 'latin' },
+  de: { name: 'German', script: 'latin' },
+  it: { name: 'Italian', script: 'latin' },
+  pt: { name: 'Portuguese', script: 'latin' },
+  nl: { name: 'Dutch', script: 'latin' },
+  sv: { name: 'Swedish', script: 'latin' },
+  pl: { name: 'Polish', script: 'latin' },
+  cs: { name: 'Czech', script: 'latin' },
+  hu: { name: 'Hungarian', script: 'latin' },
+  ro: { name: 'Romanian', script: 'latin' },
+  tr: { name: 'Turkish', script: 'latin' },
+  vi: { name: 'Vietnamese', script: 'latin' },
+  id: { name: 'Indonesian', script: 'latin' },
+  sw: { name: 'Swahili', script: 'latin' },
+  ru: { name: 'Russian', script: 'cyrillic' },
+  uk: { name: 'Ukrainian', script: 'cyrillic' },
+  el: { name: 'Greek', script: 'greek' },
+  ar: { name: 'Arabic', script: 'arabic' },
+  fa: { name: 'Persian', script: 'arabic' },
+  ur: { name: 'Urdu', script: 'arabic' },
+  he: { name: 'Hebrew', script: 'hebrew' },
+  hi: { name: 'Hindi', script: 'devanagari' },
+  mr: { name: 'Marathi', script: 'devanagari' },
+  ne: { name: 'Nepali', script: 'devanagari' },
+  bn: { name: 'Bengali', script: 'bengali' },
+  ta: { name: 'Tamil', script: 'tamil' },
+  te: { name: 'Telugu', script: 'telugu' },
+  kn: { name: 'Kannada', script: 'kannada' },
+  ml: { name: 'Malayalam', script: 'malayalam' },
+  si: { name: 'Sinhala', script: 'sinhala' },
+  th: { name: 'Thai', script: 'thai' },
+  zh: { name: 'Chinese', script: 'han' },
+  ja: { name: 'Japanese', script: 'japanese' },
+  ko: { name: 'Korean', script: 'korean' }
+};
+
+const describeLanguage = (code) => ({
+  code,
+  ...LANGUAGES[code],
+  direction: SCRIPTS[LANGUAGES[code].script].direction
+});
+
+// Takes a language code ('si', 'pt-BR') or English name ('Sinhala') and
+// resolves to { code, name, script, direction }; null when none is given.
+// Throws on languages we do not know.
+const resolveLanguage = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const wanted = String(typeof value === 'object' ? value.code : value).trim().toLowerCase();
+  const code = LANGUAGES[wanted] ? wanted : Object.keys(LANGUAGES).find(key => (
+    key === wanted.split(/[-_]/)[0] || LANGUAGES[key].name.toLowerCase() === wanted
+  ));
+  if (!code) {
+    throw new Error(`Unknown language: ${value} (use one of ${Object.keys(LANGUAGES).join(', ')})`);
+  }
+  return describeLanguage(code);
+};
+
+// The script most letters of the text are written in; 'latin' for text
+// without letters
+const detectScript = (text) => {
+  const counts = {};
+  Array.from(String(text || '')).forEach(char => {
+    const script = Object.keys(SCRIPTS).find(name => SCRIPTS[name].pattern.test(char));
+    if (script) {
+      counts[script] = (counts[script] || 0) + 1;
+    }
+  });
+  // Japanese and Korean text mix in Han characters: any kana makes it
+  // Japanese, any Hangul Korean
+  if (counts.han && (counts.japanese || counts.korean)) {
+    const merged = counts.japanese ? 'japanese' : 'korean';
+    counts[merged] += counts.han;
+    delete counts.han;
+  }
+  const [top] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return top ? top[0] : 'latin';
+};
+
+const scriptDirection = (script) => (SCRIPTS[script] ? SCRIPTS[script].direction : 'ltr');
+
+// Prompt text asking for the language, or '' without one
+const languageInstruction = (language) => (language
+  ? `Write the story in ${language.name}, including the chapter titles.`
+  : '');
+
+const listLanguages = () => Object.keys(LANGUAGES).map(describeLanguage);
+
+module.exports = {
+  LANGUAGES,
+  SCRIPTS,
+  detectScript,
+  languageInstruction,
+  listLanguages,
+  resolveLanguage,
+  scriptDirection
+};
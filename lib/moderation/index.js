@@ -0,0 +1,155 @@
+const fs = require('fs');
+const { DEFAULT_RULES, createRulesModerator } = require('./rules');
+const { createOpenAIModerator } = require('./openai');
+
+// Every moderation provider implements:
+//   checkText(text)              -> { scores: { category: 0..1 }, matches? }
+//   checkImage(buffer, mimeType) -> { scores, skipped? }
+// Scores are compared with the policy here, so providers stay policy-free.
+
+const CATEGORIES = Object.keys(DEFAULT_RULES);
+
+// Highest score each age band tolerates in a blocked category
+const AGE_RATINGS = {
+  '0-5': 0.3,
+  '6-8': 0.5,
+  '9-12': 0.7
+};
+
+const ACTIONS = ['rewrite', 'reject'];
+
+// Oldest checks are dropped from a story's report past this many
+const MAX_REPORT_CHECKS = 200;
+
+const factories = {
+  rules: createRulesModerator,
+  openai: createOpenAIModerator
+};
+
+const registerModerationProvider = (name, factory) => {
+  factories[name] = factory;
+};
+
+const normalizePolicy = ({ ageRating = '6-8', blockedCategories = CATEGORIES, action = 'rewrite' } = {}) => {
+  if (!AGE_RATINGS[ageRating]) {
+    throw new Error(`Unknown age rating: ${ageRating} (use ${Object.keys(AGE_RATINGS).join(', ')})`);
+  }
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Unknown moderation action: ${action} (use ${ACTIONS.join(', ')})`);
+  }
+  return { ageRating, blockedCategories, action, threshold: AGE_RATINGS[ageRating] };
+};
+
+// MODERATION_POLICY_FILE holds { ageRating, blockedCategories, action };
+// the single MODERATION_* variables override it
+const loadModerationConfig = (env = process.env) => {
+  const fromFile = env.MODERATION_POLICY_FILE ? JSON.parse(fs.readFileSync(env.MODERATION_POLICY_FILE, 'utf8')) : {};
+  const policy = { ...fromFile };
+  if (env.MODERATION_AGE_RATING) policy.ageRating = env.MODERATION_AGE_RATING;
+  if (env.MODERATION_ACTION) policy.action = env.MODERATION_ACTION;
+  if (env.MODERATION_BLOCKED_CATEGORIES) {
+    policy.blockedCategories = env.MODERATION_BLOCKED_CATEGORIES.split(',').map(category => category.trim()).filter(Boolean);
+  }
+
+  return {
+    provider: env.MODERATION_PROVIDER || 'rules',
+    apiKey: env.AI_API_KEY || env.API_KEY,
+    baseUrl: env.MODERATION_BASE_URL || env.AI_BASE_URL || 'https://api.openai.com/v1',
+    model: env.MODERATION_MODEL || 'omni-moderation-latest',
+    policy: normalizePolicy(policy)
+  };
+};
+
+const roundScores = (scores) => {
+  const rounded = {};
+  Object.entries(scores).forEach(([category, score]) => {
+    if (score >= 0.01) rounded[category] = Math.round(score * 100) / 100;
+  });
+  return rounded;
+};
+
+// MODERATION_PROVIDER=none turns every check into a pass
+const createModeration = (config = loadModerationConfig()) => {
+  const { policy } = config;
+  const enabled = config.provider !== 'none';
+  let provider = null;
+  if (enabled) {
+    const factory = factories[config.provider];
+    if (!factory) {
+      throw new Error(`Unknown moderation provider: ${config.provider}`);
+    }
+    provider = factory(config);
+  }
+
+  // A check: { stage, target, flagged, categories, scores, matches?, skipped?, provider }
+  const toCheck = ({ scores = {}, matches, skipped }, { stage, target }) => {
+    const categories = policy.blockedCategories.filter(category => (scores[category] || 0) > policy.threshold);
+    return {
+      stage,
+      target,
+      flagged: categories.length > 0,
+      categories,
+      scores: roundScores(scores),
+      ...(matches && categories.length > 0 ? { matches: categories.reduce((found, category) => ({ ...found, [category]: matches[category] }), {}) } : {}),
+      ...(skipped ? { skipped: true } : {}),
+      provider: provider ? provider.name : 'none',
+      at: new Date().toISOString()
+    };
+  };
+
+  return {
+    enabled,
+    policy,
+
+    // where: { stage: 'prompt' | 'upload' | 'description' | 'chapter' | 'image-prompt', target }
+    async checkText(text, where) {
+      if (!enabled || !String(text || '').trim()) return toCheck({}, where);
+      return toCheck(await provider.checkText(String(text)), where);
+    },
+
+    async checkImage(image, where, mimeType) {
+      if (!enabled) return toCheck({}, where);
+      return toCheck(await provider.checkImage(image, mimeType), where);
+    }
+  };
+};
+
+const STATUS_ORDER = ['passed', 'rewritten', 'rejected'];
+
+// Adds checks (each with an `action`: passed, rewritten or rejected) to a
+// story's moderation report
+const addToReport = (report, checks, policy) => {
+  const all = [...((report && report.checks) || []), ...checks].slice(-MAX_REPORT_CHECKS);
+  const status = all.reduce(
+    (worst, check) => (STATUS_ORDER.indexOf(check.action) > STATUS_ORDER.indexOf(worst) ? check.action : worst),
+    'passed'
+  );
+  const { threshold, ...shownPolicy } = policy;
+  return {
+    status,
+    policy: shownPolicy,
+    updatedAt: new Date().toISOString(),
+    checks: all
+  };
+};
+
+const describeFailure = (check) => `${check.target || check.stage} (${check.categories.join(', ')})`;
+
+// Error for content the policy does not allow; routes answer 422 with the report
+const rejectionError = (checks, policy) => {
+  const failed = checks.filter(check => check.action === 'rejected');
+  return Object.assign(
+    new Error(`Content rejected by moderation: ${failed.map(describeFailure).join('; ')}`),
+    { code: 'CONTENT_REJECTED', moderation: addToReport(null, checks, policy) }
+  );
+};
+
+module.exports = {
+  AGE_RATINGS,
+  CATEGORIES,
+  addToReport,
+  createModeration,
+  loadModerationConfig,
+  registerModerationProvider,
+  rejectionError
+};
@@ -0,0 +1,58 @@
+const axios = require('axios');
+
+// OpenAI's moderation endpoint; omni-moderation models also take images.
+// Its categories are folded into ours, keeping the highest score.
+const CATEGORY_MAP = {
+  sexual: 'sexual',
+  'sexual/minors': 'sexual',
+  violence: 'violence',
+  'violence/graphic': 'violence',
+  'self-harm': 'self-harm',
+  'self-harm/intent': 'self-harm',
+  'self-harm/instructions': 'self-harm',
+  hate: 'hate',
+  'hate/threatening': 'hate',
+  harassment: 'harassment',
+  'harassment/threatening': 'harassment',
+  illicit: 'drugs',
+  'illicit/violent': 'weapons'
+};
+
+const createOpenAIModerator = ({ apiKey, baseUrl = 'https://api.openai.com/v1', model = 'omni-moderation-latest' }) => {
+  const client = axios.create({
+    baseURL: baseUrl.replace(/\/+$/, ''),
+    headers: {
+      'Content-Type': 'application/json',
+      ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+    }
+  });
+
+  const moderate = async (input) => {
+    const response = await client.post('/moderations', { model, input });
+    const result = response.data.results && response.data.results[0];
+    if (!result) {
+      throw new Error('Unexpected moderation response');
+    }
+
+    const scores = {};
+    Object.entries(result.category_scores || {}).forEach(([name, score]) => {
+      const category = CATEGORY_MAP[name] || name;
+      scores[category] = Math.max(scores[category] || 0, score);
+    });
+    return { scores };
+  };
+
+  return {
+    name: 'openai',
+
+    checkText: (text) => moderate(String(text)),
+
+    checkImage: (image, mimeType = 'image/jpeg') => moderate([
+      { type: 'image_url', image_url: { url: `data:${mimeType};base64,${image.toString('base64')}` } }
+    ])
+  };
+};
+
+module.exports = {
+  createOpenAIModerator
+};
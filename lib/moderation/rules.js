@@ -0,0 +1,92 @@
+const fs = require('fs');
+
+// Offline moderation: keyword rules per category. A "mild" match scores
+// 0.4 and is only blocked for the youngest age band, a "severe" one scores
+// 0.9. Terms are regular expression fragments matched as whole words.
+const MILD_SCORE = 0.4;
+const SEVERE_SCORE = 0.9;
+
+const DEFAULT_RULES = {
+  violence: {
+    mild: ['fight\\w*', 'punch\\w*', 'battle\\w*', 'attack\\w*', 'hurt\\w*', 'smash\\w*'],
+    severe: ['kill\\w*', 'murder\\w*', 'blood\\w*', 'stab\\w*', 'gore', 'gory', 'tortur\\w*', 'massacre\\w*', 'corpses?', 'decapitat\\w*', 'behead\\w*']
+  },
+  weapons: {
+    mild: ['swords?', 'daggers?', 'spears?'],
+    severe: ['guns?', 'rifles?', 'pistols?', 'shotguns?', 'bombs?', 'grenades?', 'explosives?']
+  },
+  'self-harm': {
+    mild: [],
+    severe: ['suicid\\w*', 'self[- ]harm\\w*', 'kill (?:him|her|them|my|your)sel(?:f|ves)', 'cutting (?:him|her|my)self']
+  },
+  sexual: {
+    mild: ['sexy'],
+    severe: ['sex', 'sexual\\w*', 'nude', 'naked', 'porn\\w*', 'erotic\\w*']
+  },
+  drugs: {
+    mild: ['beer', 'wine', 'drunk\\w*', 'cigarettes?', 'smoking'],
+    severe: ['cocaine', 'heroin', 'meth', 'drug dealers?', 'overdos\\w*']
+  },
+  hate: {
+    mild: [],
+    severe: ['nazis?', 'white power', 'ethnic cleansing', 'racial slurs?']
+  },
+  harassment: {
+    mild: ['stupid', 'idiots?', 'losers?'],
+    severe: ['bully\\w* (?:him|her|them) to death']
+  },
+  horror: {
+    mild: ['scary', 'nightmares?', 'monsters?', 'skeletons?'],
+    severe: ['demons?', 'zombies?', 'possessed', 'dismember\\w*']
+  },
+  profanity: {
+    mild: ['damn\\w*', 'crap'],
+    severe: ['fuck\\w*', 'shit\\w*', 'bitch\\w*', 'bastards?']
+  }
+};
+
+const compile = (terms) => (terms.length > 0 ? new RegExp(`\\b(?:${terms.join('|')})\\b`, 'gi') : null);
+
+// Extra or replacement rules come from a JSON file in the DEFAULT_RULES format
+const loadRules = (file = process.env.MODERATION_RULES_FILE) => {
+  if (!file) {
+    return DEFAULT_RULES;
+  }
+  return { ...DEFAULT_RULES, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+};
+
+const createRulesModerator = ({ rules = loadRules() } = {}) => {
+  const compiled = Object.entries(rules).map(([category, { mild = [], severe = [] }]) => ({
+    category,
+    mild: compile(mild),
+    severe: compile(severe)
+  }));
+
+  return {
+    name: 'rules',
+
+    async checkText(text) {
+      const scores = {};
+      const matches = {};
+      compiled.forEach(({ category, mild, severe }) => {
+        const severeMatches = severe ? String(text).match(severe) || [] : [];
+        const mildMatches = mild ? String(text).match(mild) || [] : [];
+        if (severeMatches.length > 0 || mildMatches.length > 0) {
+          scores[category] = severeMatches.length > 0 ? SEVERE_SCORE : MILD_SCORE;
+          matches[category] = Array.from(new Set([...severeMatches, ...mildMatches].map(match => match.toLowerCase())));
+        }
+      });
+      return { scores, matches };
+    },
+
+    // Keywords cannot see pictures
+    async checkImage() {
+      return { scores: {}, skipped: true };
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_RULES,
+  createRulesModerator
+};
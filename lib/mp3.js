@@ -0,0 +1,99 @@
+// Just enough MP3 (MPEG audio layer III) to time narration tracks and to
+// make silent ones for the fake narrator
+
+const BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+const SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000]
+};
+
+const VERSIONS = { 0: 2.5, 2: 2, 3: 1 };
+
+// Frame info for a layer III frame header at `offset`, or null
+const readFrameHeader = (buffer, offset) => {
+  if (offset + 4 > buffer.length || buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) {
+    return null;
+  }
+  const version = VERSIONS[(buffer[offset + 1] >> 3) & 0x03];
+  const layer = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  const padding = (buffer[offset + 2] >> 1) & 0x01;
+  if (!version || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const bitrate = BITRATES[version === 1 ? 1 : 2][bitrateIndex] * 1000;
+  const sampleRate = SAMPLE_RATES[version][sampleRateIndex];
+  const samples = version === 1 ? 1152 : 576;
+  return {
+    length: Math.floor((samples / 8) * bitrate / sampleRate) + padding,
+    seconds: samples / sampleRate
+  };
+};
+
+// Bytes taken by an ID3v2 tag at the start of the file
+const id3Length = (buffer) => {
+  if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') return 0;
+  const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+  const footer = buffer[5] & 0x10 ? 10 : 0;
+  return 10 + size + footer;
+};
+
+// Playing time in seconds, found by walking the frames (works for VBR too)
+const mp3Duration = (buffer) => {
+  let offset = id3Length(buffer);
+  let seconds = 0;
+  while (offset < buffer.length - 4) {
+    const frame = readFrameHeader(buffer, offset);
+    if (frame && frame.length > 4) {
+      seconds += frame.seconds;
+      offset += frame.length;
+    } else {
+      // Junk or an ID3v1 tag; look for the next frame
+      offset++;
+    }
+  }
+  return Math.round(seconds * 100) / 100;
+};
+
+// MPEG-1 layer III, 32 kbps, 32 kHz, mono: 144-byte frames of 36 ms. With
+// an all-zero side info every frame decodes to silence.
+const SILENT_FRAME = Buffer.concat([Buffer.from([0xff, 0xfb, 0x18, 0xc0]), Buffer.alloc(140)]);
+const SILENT_FRAME_SECONDS = 1152 / 32000;
+
+const silentMp3 = (seconds) => {
+  const frames = Math.max(1, Math.ceil(seconds / SILENT_FRAME_SECONDS));
+  return Buffer.concat(Array.from({ length: frames }, () => SILENT_FRAME));
+};
+
+// The audio without an ID3v2 tag in front
+const stripId3 = (buffer) => buffer.subarray(id3Length(buffer));
+
+// Puts an ID3v2.3 tag with the given text frames in front of the audio,
+// replacing any tag it had, e.g. { TIT2: 'Title', TALB: 'Album', TRCK: '1/5' }
+const tagMp3 = (buffer, frames) => {
+  const body = Buffer.concat(Object.entries(frames).filter(([, value]) => value).map(([id, value]) => {
+    // Encoding 1: UTF-16 with a byte order mark
+    const text = Buffer.concat([Buffer.from([1, 0xff, 0xfe]), Buffer.from(String(value), 'utf16le')]);
+    const header = Buffer.alloc(10);
+    header.write(id, 0, 'latin1');
+    header.writeUInt32BE(text.length, 4);
+    return Buffer.concat([header, text]);
+  }));
+  const size = body.length;
+  const header = Buffer.from([0x49, 0x44, 0x33, 3, 0, 0, (size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f]);
+  return Buffer.concat([header, body, stripId3(buffer)]);
+};
+
+module.exports = {
+  mp3Duration,
+  silentMp3,
+  stripId3,
+  tagMp3
+};
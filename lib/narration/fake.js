@@ -0,0 +1,24 @@
+const { silentMp3 } = require('../mp3');
+
+// Offline stand-in for tests and local development: silence lasting as
+// long as reading the text aloud would take. Any voice name is accepted.
+const WORDS_PER_MINUTE = 150;
+
+const createFakeNarrator = () => ({
+  name: 'fake',
+  voices: null,
+  maxCharacters: 4096,
+
+  async speak({ text, speed = 1 }) {
+    const words = String(text).split(/\s+/).filter(Boolean).length;
+    return {
+      audio: silentMp3((words / WORDS_PER_MINUTE) * 60 / speed),
+      contentType: 'audio/mpeg',
+      model: 'fake-tts'
+    };
+  }
+});
+
+module.exports = {
+  createFakeNarrator
+};
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const { createOpenAINarrator } = require('./openai');
+const { createFakeNarrator } = require('./fake');
+const { mp3Duration, stripId3 } = require('../mp3');
+
+// Every narration (text-to-speech) provider implements:
+//   speak({ text, voice, speed }) -> { audio: Buffer (MP3), contentType, model }
+// and lists its `voices` (null when any name goes) and the `maxCharacters`
+// it reads per call. Longer text is split here and the MP3s joined.
+
+const factories = {
+  openai: createOpenAINarrator,
+  fake: createFakeNarrator
+};
+
+const registerNarrationProvider = (name, factory) => {
+  factories[name] = factory;
+};
+
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 4;
+
+// NARRATION_PROVIDER=none turns narration off
+const loadNarrationConfig = (env = process.env) => ({
+  provider: env.NARRATION_PROVIDER || (env.AI_PROVIDER === 'fake' ? 'fake' : 'openai'),
+  apiKey: env.AI_API_KEY || env.API_KEY,
+  baseUrl: env.NARRATION_BASE_URL || env.AI_BASE_URL || 'https://api.openai.com/v1',
+  model: env.NARRATION_MODEL || 'tts-1',
+  voice: env.NARRATION_VOICE || 'fable',
+  speed: Number(env.NARRATION_SPEED) || 1
+});
+
+// Splits text into pieces of at most `max` characters between sentences,
+// or between words for a sentence longer than that
+const splitForSpeech = (text, max) => {
+  const pieces = [];
+  let current = '';
+  const flush = () => {
+    if (current.trim()) pieces.push(current.trim());
+    current = '';
+  };
+  const add = (unit) => {
+    if (current.length + unit.length <= max) {
+      current += unit;
+      return;
+    }
+    flush();
+    if (unit.length <= max) {
+      current = unit;
+      return;
+    }
+    const words = unit.match(/\S+\s*/g) || [];
+    if (words.length > 1) {
+      words.forEach(add);
+      return;
+    }
+    // One unbroken run (e.g. Chinese text without spaces) is cut anywhere
+    let rest = unit;
+    while (rest.length > max) {
+      pieces.push(rest.slice(0, max));
+      rest = rest.slice(max);
+    }
+    current = rest;
+  };
+
+  (String(text).match(/[^.!?。！？]+[.!?。！？]*\s*/g) || []).forEach(add);
+  flush();
+  return pieces;
+};
+
+const createNarration = (config = loadNarrationConfig()) => {
+  const enabled = config.provider !== 'none';
+  let provider = null;
+  if (enabled) {
+    const factory = factories[config.provider];
+    if (!factory) {
+      throw new Error(`Unknown narration provider: ${config.provider}`);
+    }
+    provider = factory(config);
+  }
+
+  return {
+    enabled,
+    provider: provider ? provider.name : 'none',
+    voices: provider ? provider.voices : [],
+    defaultVoice: config.voice,
+    defaultSpeed: config.speed,
+
+    // Returns an error message for options the provider cannot honour
+    checkOptions({ voice, speed } = {}) {
+      if (voice && provider && provider.voices && !provider.voices.includes(voice)) {
+        return `Unknown voice: ${voice} (use one of ${provider.voices.join(', ')})`;
+      }
+      if (speed !== undefined && !(Number(speed) >= MIN_SPEED && Number(speed) <= MAX_SPEED)) {
+        return `Speed must be between ${MIN_SPEED} and ${MAX_SPEED}`;
+      }
+      return null;
+    },
+
+    // Identifies what a track was read from, so unchanged chapters are not
+    // narrated again
+    fingerprint(text, { voice = config.voice, speed = config.speed } = {}) {
+      return crypto.createHash('sha256').update(`${voice}\u0000${speed}\u0000${text}`).digest('hex');
+    },
+
+    // Resolves with { audio, contentType, model, voice, speed, characters, duration }
+    async narrate(text, { voice = config.voice, speed = config.speed } = {}) {
+      if (!enabled) {
+        throw new Error('Narration is turned off');
+      }
+      const parts = [];
+      for (const piece of splitForSpeech(text, provider.maxCharacters)) {
+        parts.push(await provider.speak({ text: piece, voice, speed }));
+      }
+      if (parts.length === 0) {
+        throw new Error('There is no text to narrate');
+      }
+
+      const audio = Buffer.concat(parts.map(part => stripId3(part.audio)));
+      return {
+        audio,
+        contentType: 'audio/mpeg',
+        model: parts[0].model,
+        voice,
+        speed,
+        characters: String(text).length,
+        duration: mp3Duration(audio)
+      };
+    }
+  };
+};
+
+module.exports = {
+  createNarration,
+  loadNarrationConfig,
+  registerNarrationProvider,
+  splitForSpeech
+};
@@ -0,0 +1,37 @@
+const axios = require('axios');
+
+// OpenAI's speech endpoint, or any server exposing the same API through
+// baseUrl. It reads at most 4096 characters per call.
+const VOICES = ['alloy', 'ash', 'coral', 'echo', 'fable', 'nova', 'onyx', 'sage', 'shimmer'];
+
+const createOpenAINarrator = ({ apiKey, baseUrl = 'https://api.openai.com/v1', model = 'tts-1' }) => {
+  const client = axios.create({
+    baseURL: baseUrl.replace(/\/+$/, ''),
+    headers: {
+      'Content-Type': 'application/json',
+      ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+    }
+  });
+
+  return {
+    name: 'openai',
+    voices: VOICES,
+    maxCharacters: 4096,
+
+    async speak({ text, voice, speed }) {
+      const response = await client.post('/audio/speech', {
+        model,
+        input: text,
+        voice,
+        response_format: 'mp3',
+        ...(speed ? { speed } : {})
+      }, { responseType: 'arraybuffer' });
+
+      return { audio: Buffer.from(response.data), contentType: 'audio/mpeg', model };
+    }
+  };
+};
+
+module.exports = {
+  createOpenAINarrator
+};
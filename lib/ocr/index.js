@@ -0,0 +1,78 @@
+const fs = require('fs');
+const sharp = require('sharp');
+const { createTesseractEngine } = require('./tesseract');
+const { createFakeEngine } = require('./fake');
+
+// Every OCR engine implements:
+//   recognize(image: Buffer, { language }) -> { text, confidence (0-100) }
+//   close()
+// Pages are straightened and cleaned up here before the engine sees them.
+
+const factories = {
+  tesseract: createTesseractEngine,
+  fake: createFakeEngine
+};
+
+const registerOcrEngine = (name, factory) => {
+  factories[name] = factory;
+};
+
+// Pages read below this confidence are reported so someone checks them
+const LOW_CONFIDENCE = 60;
+
+const loadOcrConfig = (env = process.env) => ({
+  engine: env.OCR_ENGINE || (env.AI_PROVIDER === 'fake' ? 'fake' : 'tesseract'),
+  langPath: env.OCR_LANG_PATH,
+  cachePath: env.OCR_CACHE_DIR
+});
+
+// Phone photos: turn upright from the EXIF orientation, drop colour and
+// stretch the contrast, and keep the size reasonable
+const preparePage = (buffer) => sharp(buffer)
+  .rotate()
+  .resize({ width: 2500, height: 2500, fit: 'inside', withoutEnlargement: true })
+  .grayscale()
+  .normalise()
+  .png()
+  .toBuffer();
+
+const createOcr = (config = loadOcrConfig()) => {
+  const factory = factories[config.engine];
+  if (!factory) {
+    throw new Error(`Unknown OCR engine: ${config.engine}`);
+  }
+  const engine = factory(config);
+
+  return {
+    engine: engine.name,
+
+    // Reads the image files in order. Resolves with the raw text, pages
+    // joined, and { number, confidence, words } for each page.
+    async readPages(filePaths, { language = 'en' } = {}) {
+      const pages = [];
+      const texts = [];
+      for (let i = 0; i < filePaths.length; i++) {
+        const image = await preparePage(await fs.promises.readFile(filePaths[i]));
+        const { text, confidence } = await engine.recognize(image, { language });
+        texts.push(text.trim());
+        pages.push({
+          number: i + 1,
+          confidence: Math.round(confidence),
+          words: text.split(/\s+/).filter(Boolean).length,
+          ...(confidence < LOW_CONFIDENCE ? { lowConfidence: true } : {})
+        });
+      }
+      // A sentence often runs on to the next page, so pages are joined as lines
+      return { text: texts.join('\n'), pages };
+    },
+
+    close: () => engine.close()
+  };
+};
+
+module.exports = {
+  LOW_CONFIDENCE,
+  createOcr,
+  loadOcrConfig,
+  registerOcrEngine
+};
@@ -0,0 +1,76 @@
+const path = require('path');
+const Tesseract = require('tesseract.js');
+
+// Local OCR with tesseract.js. The trained data for each language is fetched
+// from langPath (tesseract.js' CDN by default) on first use and cached in
+// cachePath; point OCR_LANG_PATH at a local copy to run offline. Printed
+// pages read well, neat handwriting passably.
+
+// lib/languages codes -> tesseract's
+const TESSERACT_LANGUAGES = {
+  en: 'eng', es: 'spa', fr: 'fra', de: 'deu', it: 'ita', pt: 'por', nl: 'nld', sv: 'swe',
+  pl: 'pol', cs: 'ces', hu: 'hun', ro: 'ron', tr: 'tur', vi: 'vie', id: 'ind', sw: 'swa',
+  ru: 'rus', uk: 'ukr', el: 'ell', ar: 'ara', fa: 'fas', ur: 'urd', he: 'heb', hi: 'hin',
+  mr: 'mar', ne: 'nep', bn: 'ben', ta: 'tam', te: 'tel', kn: 'kan', ml: 'mal', si: 'sin',
+  th: 'tha', zh: 'chi_sim', ja: 'jpn', ko: 'kor'
+};
+
+const createTesseractEngine = ({ langPath, cachePath = path.join(__dirname, '..', '..', 'data', 'ocr') } = {}) => {
+  // One worker per language, started on first use and kept for later pages
+  const workers = new Map();
+
+  // tesseract.js throws worker errors outside any promise unless given an
+  // errorHandler, and a worker that fails to load its language (no network,
+  // say) never settles createWorker. So the worker starts empty and loads the
+  // language afterwards, where a failure rejects and the thread can be ended.
+  const startWorker = async (language) => {
+    const worker = await Tesseract.createWorker([], Tesseract.OEM.LSTM_ONLY, {
+      cachePath,
+      ...(langPath ? { langPath } : {}),
+      errorHandler: () => {}
+    });
+    try {
+      await worker.reinitialize(language);
+      return worker;
+    } catch (error) {
+      await worker.terminate();
+      throw new Error(`OCR could not load ${language}: ${error.message || error}`);
+    }
+  };
+
+  const workerFor = (language) => {
+    if (!workers.has(language)) {
+      const starting = startWorker(language);
+      // A worker that failed to start is dropped so the next page retries
+      starting.catch(() => workers.delete(language));
+      workers.set(language, starting);
+    }
+    return workers.get(language);
+  };
+
+  return {
+    name: 'tesseract',
+
+    // language: a lib/languages code; resolves with { text, confidence (0-100) }
+    async recognize(image, { language = 'en' } = {}) {
+      const code = TESSERACT_LANGUAGES[language];
+      if (!code) {
+        throw new Error(`OCR does not support ${language}`);
+      }
+      const worker = await workerFor(code);
+      const { data } = await worker.recognize(image);
+      return { text: data.text, confidence: data.confidence };
+    },
+
+    async close() {
+      const running = Array.from(workers.values());
+      workers.clear();
+      await Promise.all(running.map(starting => starting.then(worker => worker.terminate(), () => {})));
+    }
+  };
+};
+
+module.exports = {
+  TESSERACT_LANGUAGES,
+  createTesseractEngine
+};
@@ -0,0 +1,659 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const sizeOf = require('image-size');
+const { loadChapterImages } = require('./exporters/common');
+const { getChapters } = require('./storySchema');
+const { SCRIPT_FONTS, getFontLibrary } = require('./fonts');
+const { detectScript, resolveLanguage, scriptDirection } = require('./languages');
+
+// A theme describes everything about how a story PDF looks. Custom themes
+// only need the parts they change plus `extends` naming the base theme.
+const baseTheme = {
+  name: 'modern',
+  label: 'Modern',
+  page: { size: 'A4', margin: 50 },
+  title: { font: 'Helvetica-Bold', size: 24, color: '#333333', align: 'center', spaceAfter: 2 },
+  chapterTitle: { font: 'Helvetica-Bold', size: 18, color: '#0066cc', align: 'left', format: 'Chapter {number}: {title}', spaceAfter: 1 },
+  body: { font: 'Helvetica', size: 12, color: '#000000', align: 'justify', lineGap: 5 },
+  // position: 'before' the text, 'after' it on the same page, or on its own 'page-after' it
+  image: { position: 'page-after', width: 400, maxHeight: 500, showErrors: true, errorColor: '#ff0000' }
+};
+
+const isPlainObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+const mergeDeep = (base, override) => {
+  const merged = { ...base };
+  Object.keys(override || {}).forEach(key => {
+    merged[key] = isPlainObject(base[key]) && isPlainObject(override[key])
+      ? mergeDeep(base[key], override[key])
+      : override[key];
+  });
+  return merged;
+};
+
+const themes = new Map([['modern', baseTheme]]);
+
+const registerTheme = (theme) => {
+  if (!theme || !theme.name) {
+    throw new Error('A theme needs a name');
+  }
+  const parent = themes.get(theme.extends || 'modern');
+  if (!parent) {
+    throw new Error(`Theme ${theme.name} extends unknown theme ${theme.extends}`);
+  }
+  const { extends: _, ...overrides } = theme;
+  const resolved = { ...mergeDeep(parent, overrides), label: theme.label || theme.name };
+  themes.set(theme.name, resolved);
+  return resolved;
+};
+
+// Loads custom themes from a JSON file holding one theme or an array of them
+const loadThemesFromFile = (filePath) => {
+  const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const list = Array.isArray(content) ? content : (content.themes || [content]);
+  return list.map(registerTheme);
+};
+
+const getTheme = (name) => themes.get(name) || null;
+
+const listThemes = () => Array.from(themes.values()).map(({ name, label }) => ({ name, label: label || name }));
+
+// The looks of the three original PDF routes
+registerTheme({
+  name: 'classic',
+  label: 'Classic',
+  page: { size: 'LETTER', margin: 72 },
+  title: { font: 'Helvetica', size: 28, color: 'red', spaceAfter: 1 },
+  chapterTitle: { font: 'Helvetica', size: 20, color: 'blue', align: 'center' },
+  body: { align: 'left', lineGap: 0 },
+  image: { position: 'before', width: 500, maxHeight: 500, showErrors: false }
+});
+
+registerTheme({
+  name: 'compact',
+  label: 'Compact',
+  image: { position: 'after', showErrors: false }
+});
+
+// Trim sizes in points (72pt = 1in)
+const TRIM_SIZES = {
+  '8x8': [576, 576],
+  '8.5x11': [612, 792],
+  'Letter': [612, 792],
+  'A5': [419.53, 595.28],
+  'A4': [595.28, 841.89]
+};
+
+const LAYOUTS = ['standard', 'facing', 'full-bleed', 'wrap'];
+
+// Crop marks live in a slug outside the bleed; they stop CROP_MARK_GAP short
+// of the bleed edge so they never show on the trimmed page
+const CROP_MARK_SLUG = 18;
+const CROP_MARK_GAP = 3;
+const DEFAULT_BLEED_INCHES = 0.125;
+
+const getTrimSize = (name) => {
+  const key = Object.keys(TRIM_SIZES).find(size => size.toUpperCase() === String(name).toUpperCase());
+  return key ? TRIM_SIZES[key] : null;
+};
+
+// Returns an error message for options the renderer cannot honour
+const validatePdfOptions = ({ theme, layout, trimSize, bleed, bilingual, language } = {}) => {
+  if (theme && !getTheme(theme)) return `Unknown PDF theme: ${theme}`;
+  try {
+    resolveLanguage(language);
+  } catch (error) {
+    return error.message;
+  }
+  if (layout && !LAYOUTS.includes(layout)) return `Unknown layout: ${layout}. Use one of ${LAYOUTS.join(', ')}`;
+  if (bilingual && layout && layout !== 'standard') return 'Bilingual PDFs only support the standard layout';
+  if (trimSize && !getTrimSize(trimSize)) return `Unknown trim size: ${trimSize}. Use one of ${Object.keys(TRIM_SIZES).join(', ')}`;
+  if (bleed !== undefined && bleed !== true && bleed !== false && !(Number(bleed) >= 0 && Number(bleed) <= 1)) {
+    return 'Bleed must be between 0 and 1 inch';
+  }
+  return null;
+};
+
+const bleedInPoints = (bleed) => {
+  if (bleed === true) return DEFAULT_BLEED_INCHES * 72;
+  return (Number(bleed) || 0) * 72;
+};
+
+const applyTextStyle = (doc, style) => doc.font(style.font).fontSize(style.size).fillColor(style.color);
+
+// Characters PDFKit's built-in fonts can draw (WinAnsi: Latin-1 plus a few
+// typographic marks)
+const STANDARD_FONT_TEXT = /^[\u0000-\u00ff\u0152\u0153\u0160\u0161\u0178\u017d\u017e\u0192\u02c6\u02dc\u2013\u2014\u2018-\u201e\u2020-\u2022\u2026\u2030\u2039\u203a\u20ac\u2122]*$/;
+
+// Chapter headings without the English word "Chapter"
+const NEUTRAL_CHAPTER_FORMAT = '{number}. {title}';
+
+// Picks the fonts for text in `language` (or in whatever script the text
+// is written in) and registers them with the document. Latin-1 text keeps
+// the theme's built-in fonts. Returns { script, direction, regular,
+// bold, neutralHeadings } where regular/bold are null without embedded fonts.
+// Throws with code FONT_MISSING when no font for the script is installed,
+// rather than print text the built-in fonts cannot draw.
+const chooseTypeface = (doc, text, language) => {
+  const script = language ? language.script : detectScript(text);
+  const typeface = {
+    script,
+    direction: scriptDirection(script),
+    regular: null,
+    bold: null,
+    neutralHeadings: language ? language.code !== 'en' : script !== 'latin'
+  };
+  if (script === 'latin' && STANDARD_FONT_TEXT.test(text)) {
+    return typeface;
+  }
+
+  const fonts = getFontLibrary().fontsFor(script);
+  if (!fonts) {
+    const wanted = (SCRIPT_FONTS[script] || []).map(candidate => candidate.regular);
+    throw Object.assign(new Error(`No font for ${script} text is installed on this server${wanted.length ? ` (install ${wanted[0]})` : ''}`), { code: 'FONT_MISSING', script });
+  }
+  doc.registerFont(`${script}-regular`, fonts.regular);
+  doc.registerFont(`${script}-bold`, fonts.bold);
+  return { ...typeface, regular: `${script}-regular`, bold: `${script}-bold` };
+};
+
+// The theme with the typeface's fonts swapped in. Right-to-left text is
+// right aligned: PDFKit lays justified lines out word by word from the
+// left, which would reverse the word order.
+const localizeTheme = (theme, typeface) => {
+  const rtl = typeface.direction === 'rtl';
+  const localize = (style) => ({
+    ...style,
+    ...(typeface.regular ? { font: /bold/i.test(style.font) ? typeface.bold : typeface.regular } : {}),
+    ...(rtl && style.align !== 'center' ? { align: 'right' } : {})
+  });
+  return {
+    ...theme,
+    direction: typeface.direction,
+    title: localize(theme.title),
+    chapterTitle: {
+      ...localize(theme.chapterTitle),
+      ...(typeface.neutralHeadings ? { format: NEUTRAL_CHAPTER_FORMAT } : {})
+    },
+    body: localize(theme.body),
+    // Error labels are English, so they keep a built-in font
+    image: { ...theme.image, font: theme.image.font || theme.body.font }
+  };
+};
+
+const formatChapterTitle = (format, number, title) => format
+  .replace('{number}', number)
+  .replace('{title}', title || '');
+
+const contentBox = (doc) => ({
+  x: doc.page.margins.left,
+  y: doc.page.margins.top,
+  width: doc.page.width - doc.page.margins.left - doc.page.margins.right,
+  height: doc.page.height - doc.page.margins.top - doc.page.margins.bottom
+});
+
+const drawCropMarks = (doc, { offset, bleed, trimWidth, trimHeight }) => {
+  const length = CROP_MARK_SLUG - CROP_MARK_GAP;
+  const start = bleed + CROP_MARK_GAP;
+  const left = offset;
+  const right = offset + trimWidth;
+  const top = offset;
+  const bottom = offset + trimHeight;
+
+  doc.save().lineWidth(0.25).strokeColor('#000000');
+  [[left, top, -1, -1], [right, top, 1, -1], [left, bottom, -1, 1], [right, bottom, 1, 1]].forEach(([x, y, dx, dy]) => {
+    doc.moveTo(x + dx * start, y).lineTo(x + dx * (start + length), y).stroke();
+    doc.moveTo(x, y + dy * start).lineTo(x, y + dy * (start + length)).stroke();
+  });
+  doc.restore();
+};
+
+// Marks the trim and bleed boxes so print shops know where to cut
+const decoratePage = (doc, geometry, cropMarks) => {
+  const { offset, bleed, trimWidth, trimHeight } = geometry;
+  const box = (inset, width, height) => [inset, inset, inset + width, inset + height];
+  doc.page.dictionary.data.TrimBox = box(offset, trimWidth, trimHeight);
+  doc.page.dictionary.data.BleedBox = box(offset - bleed, trimWidth + 2 * bleed, trimHeight + 2 * bleed);
+
+  if (cropMarks) {
+    drawCropMarks(doc, geometry);
+  }
+};
+
+// Scales the image to the theme width, capped at maxHeight and the content box
+const imageSize = (doc, imageBuffer, maxWidth, maxHeight) => {
+  const dimensions = sizeOf(imageBuffer);
+  let width = maxWidth;
+  let height = (dimensions.height / dimensions.width) * width;
+
+  if (maxHeight && height > maxHeight) {
+    width = width * (maxHeight / height);
+    height = maxHeight;
+  }
+  return { width, height };
+};
+
+// Draws an image centred in the content box, starting a new page when it
+// does not fit
+const drawImage = (doc, imageBuffer, imageStyle) => {
+  const box = contentBox(doc);
+  const { width, height } = imageSize(doc, imageBuffer, Math.min(imageStyle.width, box.width), Math.min(imageStyle.maxHeight || Infinity, box.height));
+
+  if (doc.y + height > doc.page.maxY()) {
+    doc.addPage();
+  }
+
+  const x = box.x + (box.width - width) / 2;
+  doc.image(imageBuffer, x, doc.y, { width, height });
+  doc.y += height;
+  doc.x = box.x;
+  doc.moveDown();
+};
+
+// PDFKit can only embed these
+const PDF_IMAGE_TYPES = ['png', 'jpg'];
+
+// undefined: the chapter has no image, null: it failed to load
+const pdfImageFor = (chapter) => {
+  if (chapter.image && PDF_IMAGE_TYPES.includes(chapter.image.extension)) {
+    return chapter.image.buffer;
+  }
+  if (chapter.image) {
+    console.error(`Error adding image to PDF: ${chapter.image.extension} is not supported`);
+    return null;
+  }
+  return chapter.imageFailed ? null : undefined;
+};
+
+const renderImageError = (doc, theme) => {
+  if (theme.image.showErrors) {
+    doc.font(theme.image.font || theme.body.font).fontSize(10).fillColor(theme.image.errorColor)
+      .text('Error loading image', { align: 'center' });
+    doc.moveDown();
+  }
+};
+
+const renderImage = (doc, imageBuffer, theme) => {
+  if (imageBuffer) {
+    drawImage(doc, imageBuffer, theme.image);
+  } else {
+    renderImageError(doc, theme);
+  }
+};
+
+const renderParagraphs = (doc, paragraphs, theme) => {
+  applyTextStyle(doc, theme.body);
+  paragraphs.forEach(paragraph => {
+    doc.text(paragraph, { align: theme.body.align, lineGap: theme.body.lineGap });
+    doc.moveDown();
+  });
+};
+
+const renderChapterTitle = (doc, theme, number, title, options = {}) => {
+  applyTextStyle(doc, theme.chapterTitle)
+    .text(formatChapterTitle(theme.chapterTitle.format, number, title), { align: theme.chapterTitle.align, ...options });
+  doc.moveDown(theme.chapterTitle.spaceAfter);
+};
+
+const textOf = (storyName, storyData) => [storyName || '', ...getChapters(storyData).map(chapter => `${chapter.title}\n${chapter.body}`)].join('\n');
+
+const splitParagraphs = (text) => text.split('\n\n').filter(paragraph => paragraph.trim().length > 0);
+
+// Text first, image before/after it as the theme says (the original layout)
+const renderStandardChapter = (doc, { number, title, body, image }, theme) => {
+  renderChapterTitle(doc, theme, number, title);
+
+  if (image !== undefined && theme.image.position === 'before') {
+    renderImage(doc, image, theme);
+  }
+
+  renderParagraphs(doc, splitParagraphs(body), theme);
+
+  if (image !== undefined && theme.image.position === 'after') {
+    renderImage(doc, image, theme);
+  }
+
+  if (image !== undefined && theme.image.position === 'page-after') {
+    doc.addPage();
+    renderImage(doc, image, theme);
+  }
+};
+
+// Illustration alone on the left-hand page, text on the facing right page
+const renderFacingChapter = (doc, { number, title, body, image }, theme) => {
+  const box = contentBox(doc);
+  if (image) {
+    const { width, height } = imageSize(doc, image, box.width, box.height);
+    doc.image(image, box.x + (box.width - width) / 2, box.y + (box.height - height) / 2, { width, height });
+  } else if (image === null) {
+    doc.y = box.y + box.height / 2;
+    renderImageError(doc, theme);
+  }
+
+  doc.addPage();
+  renderChapterTitle(doc, theme, number, title);
+  renderParagraphs(doc, splitParagraphs(body), theme);
+};
+
+// Illustration covers the whole page including bleed; the text sits in a
+// translucent box at the bottom. Text that does not fit continues overleaf.
+const OVERLAY_MAX_SHARE = 0.45;
+const OVERLAY_PADDING = 16;
+
+const renderFullBleedChapter = (doc, { number, title, body, image }, theme, geometry) => {
+  const box = contentBox(doc);
+  const bleedSize = {
+    x: geometry.offset - geometry.bleed,
+    y: geometry.offset - geometry.bleed,
+    width: geometry.trimWidth + 2 * geometry.bleed,
+    height: geometry.trimHeight + 2 * geometry.bleed
+  };
+
+  if (image) {
+    doc.save();
+    doc.rect(bleedSize.x, bleedSize.y, bleedSize.width, bleedSize.height).clip();
+    doc.image(image, bleedSize.x, bleedSize.y, { cover: [bleedSize.width, bleedSize.height], align: 'center', valign: 'center' });
+    doc.restore();
+  }
+
+  const textWidth = box.width - 2 * OVERLAY_PADDING;
+  const maxTextHeight = box.height * OVERLAY_MAX_SHARE - 2 * OVERLAY_PADDING;
+  const heading = formatChapterTitle(theme.chapterTitle.format, number, title);
+
+  applyTextStyle(doc, theme.chapterTitle);
+  const headingHeight = doc.heightOfString(heading, { width: textWidth }) + doc.currentLineHeight(true) * theme.chapterTitle.spaceAfter;
+
+  // Take whole paragraphs while they fit in the overlay
+  applyTextStyle(doc, theme.body);
+  const paragraphs = splitParagraphs(body);
+  const gap = doc.currentLineHeight(true);
+  let textHeight = headingHeight;
+  let fitted = 0;
+  while (fitted < paragraphs.length) {
+    const next = doc.heightOfString(paragraphs[fitted], { width: textWidth, lineGap: theme.body.lineGap }) + gap;
+    if (textHeight + next > maxTextHeight && fitted > 0) break;
+    textHeight += next;
+    fitted++;
+  }
+
+  const overlayHeight = Math.min(textHeight, maxTextHeight) + 2 * OVERLAY_PADDING;
+  const overlayY = box.y + box.height - overlayHeight;
+  doc.save().fillColor('#ffffff').fillOpacity(0.85).roundedRect(box.x, overlayY, box.width, overlayHeight, 8).fill().restore();
+
+  doc.x = box.x + OVERLAY_PADDING;
+  doc.y = overlayY + OVERLAY_PADDING;
+  renderChapterTitle(doc, theme, number, title, { width: textWidth });
+  applyTextStyle(doc, theme.body);
+  paragraphs.slice(0, fitted).forEach(paragraph => {
+    doc.text(paragraph, box.x + OVERLAY_PADDING, doc.y, { width: textWidth, align: theme.body.align, lineGap: theme.body.lineGap });
+    doc.moveDown();
+  });
+
+  doc.x = box.x;
+  if (fitted < paragraphs.length) {
+    doc.addPage();
+    renderParagraphs(doc, paragraphs.slice(fitted), theme);
+  }
+};
+
+// Splits a word wider than the column (text in scripts written without
+// spaces, like Chinese or Thai) into pieces that fit
+const breakWord = (doc, word, width) => {
+  const characters = Array.from(word);
+  let piece = characters[0];
+  let count = 1;
+  while (count < characters.length && doc.widthOfString(piece + characters[count]) <= width) {
+    piece += characters[count];
+    count++;
+  }
+  return count < characters.length ? [piece, characters.slice(count).join('')] : [word];
+};
+
+// Fills one column line by line until `bottom`, returning the words left over
+const fillColumn = (doc, words, { x, width, bottom, lineGap, align }) => {
+  let remaining = words;
+  while (remaining.length && doc.y + doc.currentLineHeight(true) <= bottom) {
+    if (doc.widthOfString(remaining[0]) > width) {
+      remaining = [...breakWord(doc, remaining[0], width), ...remaining.slice(1)];
+    }
+    let line = remaining[0];
+    let count = 1;
+    while (count < remaining.length && doc.widthOfString(`${line} ${remaining[count]}`) <= width) {
+      line += ` ${remaining[count]}`;
+      count++;
+    }
+    // Alignment is done here: PDFKit only aligns text it wraps itself
+    const lineX = align === 'right' ? x + width - doc.widthOfString(line) : x;
+    doc.text(line, lineX, doc.y, { lineBreak: false, lineGap });
+    remaining = remaining.slice(count);
+  }
+  return remaining;
+};
+
+// Half-width illustration at the top left (top right for right-to-left
+// text) with the text running down beside it, then across the full width
+// once past the image
+const WRAP_GUTTER = 14;
+
+const renderWrapChapter = (doc, { number, title, body, image }, theme) => {
+  renderChapterTitle(doc, theme, number, title);
+  const paragraphs = splitParagraphs(body);
+
+  if (!image) {
+    if (image === null) renderImageError(doc, theme);
+    renderParagraphs(doc, paragraphs, theme);
+    return;
+  }
+
+  const box = contentBox(doc);
+  const { width, height } = imageSize(doc, image, box.width / 2 - WRAP_GUTTER / 2, box.height / 2);
+  if (doc.y + height > doc.page.maxY()) {
+    doc.addPage();
+  }
+
+  const top = doc.y;
+  const bottom = top + height;
+  const rtl = theme.direction === 'rtl';
+  doc.image(image, rtl ? box.x + box.width - width : box.x, top, { width, height });
+
+  const column = {
+    x: rtl ? box.x : box.x + width + WRAP_GUTTER,
+    width: box.width - width - WRAP_GUTTER,
+    bottom,
+    lineGap: theme.body.lineGap,
+    align: rtl ? 'right' : 'left'
+  };
+
+  applyTextStyle(doc, theme.body);
+  let index = 0;
+  let leftover = [];
+  while (index < paragraphs.length && doc.y + doc.currentLineHeight(true) <= bottom) {
+    leftover = fillColumn(doc, paragraphs[index].split(/\s+/).filter(Boolean), column);
+    if (leftover.length) break;
+    index++;
+    doc.moveDown();
+  }
+
+  doc.x = box.x;
+  doc.y = Math.max(doc.y, bottom + doc.currentLineHeight(true));
+  const rest = leftover.length
+    ? [leftover.join(' '), ...paragraphs.slice(index + 1)]
+    : paragraphs.slice(index);
+  renderParagraphs(doc, rest, theme);
+};
+
+// Original and translation side by side, each in its own column. Titles
+// and paragraphs are drawn as rows so paragraph n of one language sits
+// next to paragraph n of the other; a row that does not fit starts a new
+// page. Illustrations span both columns as in the standard layout.
+const BILINGUAL_GUTTER = 24;
+
+const renderBilingualChapter = (doc, { number, title, body, image, translation }, theme) => {
+  const box = contentBox(doc);
+  const width = (box.width - BILINGUAL_GUTTER) / 2;
+  const sides = [
+    { x: box.x, theme, title, paragraphs: splitParagraphs(body) },
+    { x: box.x + width + BILINGUAL_GUTTER, theme: translation.theme, title: translation.title, paragraphs: splitParagraphs(translation.body) }
+  ];
+
+  if (image !== undefined && theme.image.position === 'before') {
+    renderImage(doc, image, theme);
+  }
+
+  const drawRow = (cells, spaceAfter) => {
+    const heights = cells.map(({ style, text }) => {
+      applyTextStyle(doc, style);
+      return text ? doc.heightOfString(text, { width, lineGap: style.lineGap }) : 0;
+    });
+    const rowHeight = Math.max(...heights);
+    if (doc.y + rowHeight > doc.page.maxY() && doc.y > box.y) {
+      doc.addPage();
+    }
+
+    const top = doc.y;
+    cells.forEach(({ style, text }, i) => {
+      if (!text) return;
+      applyTextStyle(doc, style).text(text, sides[i].x, top, { width, align: style.align, lineGap: style.lineGap });
+    });
+    doc.x = box.x;
+    doc.y = top + rowHeight;
+    doc.moveDown(spaceAfter);
+  };
+
+  drawRow(sides.map(side => ({
+    style: side.theme.chapterTitle,
+    text: formatChapterTitle(side.theme.chapterTitle.format, number, side.title)
+  })), theme.chapterTitle.spaceAfter);
+
+  const rows = Math.max(...sides.map(side => side.paragraphs.length));
+  for (let row = 0; row < rows; row++) {
+    drawRow(sides.map(side => ({ style: side.theme.body, text: side.paragraphs[row] || '' })), 1);
+  }
+
+  if (image !== undefined && theme.image.position === 'after') {
+    renderImage(doc, image, theme);
+  }
+
+  if (image !== undefined && theme.image.position === 'page-after') {
+    doc.addPage();
+    renderImage(doc, image, theme);
+  }
+};
+
+const chapterRenderers = {
+  standard: renderStandardChapter,
+  facing: renderFacingChapter,
+  'full-bleed': renderFullBleedChapter,
+  wrap: renderWrapChapter
+};
+
+// Renders a story into a PDF and resolves with the file contents.
+// loadImage(url) must resolve with an image buffer.
+//
+// Layout options:
+//   layout          standard | facing | full-bleed | wrap
+//   trimSize        8x8 | 8.5x11 | A5 | Letter | A4 (defaults to the theme page size)
+//   bleed           inches added on every side, or true for 0.125in
+//   cropMarks       draw crop marks outside the bleed
+//   chaptersOnRight insert blank pages so chapters open on right-hand pages
+//
+// Language options:
+//   language        code of the language the story is written in; picks the
+//                   fonts and text direction (detected from the text without it)
+//   bilingual       print `translation` ({ language, storyName, storyData })
+//                   beside the story, standard layout only
+const renderStoryPdf = async (story, { loadImage }) => {
+  const { storyName, storyData, imageUrls = [], theme: themeName } = story;
+  const theme = getTheme(themeName || process.env.PDF_THEME || 'modern');
+  const problem = validatePdfOptions(story);
+  if (!theme || problem) {
+    throw new Error(problem || `Unknown PDF theme: ${themeName}`);
+  }
+  const translation = story.bilingual ? story.translation : null;
+  if (story.bilingual && !(translation && translation.storyData)) {
+    throw new Error('A bilingual PDF needs a translation of the story');
+  }
+
+  const layout = story.layout || theme.layout || 'standard';
+  const cropMarks = Boolean(story.cropMarks);
+  const [trimWidth, trimHeight] = getTrimSize(story.trimSize || theme.page.size) || TRIM_SIZES.A4;
+  const bleed = bleedInPoints(story.bleed);
+  const offset = bleed + (cropMarks ? CROP_MARK_SLUG : 0);
+  const geometry = { offset, bleed, trimWidth, trimHeight };
+
+  const doc = new PDFDocument({
+    size: [trimWidth + 2 * offset, trimHeight + 2 * offset],
+    margin: theme.page.margin + offset
+  });
+  const buffers = [];
+  const finished = new Promise((resolve, reject) => {
+    doc.on('data', chunk => buffers.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(buffers)));
+    doc.on('error', reject);
+  });
+
+  const storyTheme = localizeTheme(theme, chooseTypeface(doc, textOf(storyName, storyData), resolveLanguage(story.language)));
+  const translationTheme = translation
+    ? localizeTheme(theme, chooseTypeface(doc, textOf(translation.storyName, translation.storyData), resolveLanguage(translation.language)))
+    : null;
+
+  let pageNumber = 1;
+  decoratePage(doc, geometry, cropMarks);
+  doc.on('pageAdded', () => {
+    pageNumber++;
+    decoratePage(doc, geometry, cropMarks);
+  });
+
+  // Picture-book layouts get a title page of their own
+  const ownTitlePage = layout !== 'standard' || Boolean(story.chaptersOnRight);
+
+  // Add story name
+  if (storyName) {
+    if (ownTitlePage) {
+      doc.y = doc.page.height / 3;
+    }
+    applyTextStyle(doc, storyTheme.title).text(storyName, { align: storyTheme.title.align });
+    if (translation && translation.storyName) {
+      doc.moveDown(0.5);
+      applyTextStyle(doc, translationTheme.title).text(translation.storyName, { align: translationTheme.title.align });
+    }
+    doc.moveDown(theme.title.spaceAfter);
+  }
+
+  const chapters = await loadChapterImages(storyData, imageUrls, loadImage);
+  const translatedChapters = translation ? getChapters(translation.storyData) : [];
+  const renderChapter = translation ? renderBilingualChapter : chapterRenderers[layout];
+
+  for (let i = 0; i < chapters.length; i++) {
+    const { title, body } = chapters[i];
+
+    if (i > 0 || ownTitlePage) {
+      doc.addPage();
+    }
+    // Facing spreads open on a left-hand (even) page so the text lands on the right
+    if (layout === 'facing' ? pageNumber % 2 === 1 : story.chaptersOnRight && pageNumber % 2 === 0) {
+      doc.addPage();
+    }
+
+    const chapter = { number: i + 1, title, body, image: pdfImageFor(chapters[i]) };
+    if (translation) {
+      const { title: translatedTitle = '', body: translatedBody = '' } = translatedChapters[i] || {};
+      chapter.translation = { title: translatedTitle, body: translatedBody, theme: translationTheme };
+    }
+    renderChapter(doc, chapter, storyTheme, geometry);
+  }
+
+  doc.end();
+  return finished;
+};
+
+module.exports = {
+  LAYOUTS,
+  TRIM_SIZES,
+  getTheme,
+  listThemes,
+  loadThemesFromFile,
+  registerTheme,
+  renderStoryPdf,
+  validatePdfOptions
+};
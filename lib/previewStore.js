@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Rendered PDF previews, kept on disk next to a small JSON record so links
+// survive restarts and work from every instance sharing the directory:
+//   <id>.pdf and <id>.json { id, keyId, storyId, storyName, size, createdAt, expiresAt }
+// Links carry their expiry and an HMAC-SHA256 signature over it, so they
+// can be shared without an API key but cannot be forged or extended.
+// lib/storage owns the directory and runs cleanup() on its schedule.
+
+const ID_PATTERN = /^[a-f0-9-]{36}$/;
+
+// Records and files of previews that died halfway are removed once this old
+const ORPHAN_AGE_MS = 3600000;
+
+const loadPreviewConfig = (env = process.env) => ({
+  dir: env.PREVIEW_DIR || path.join(__dirname, '..', 'data', 'pdf-previews'),
+  // Shared by every instance; without it a key is made once and kept in dir
+  secret: env.PREVIEW_SIGNING_SECRET,
+  ttl: (Number(env.PREVIEW_TTL_SECONDS) || 3600) * 1000,
+  maxTtl: (Number(env.PREVIEW_MAX_TTL_SECONDS) || 7 * 24 * 3600) * 1000
+});
+
+const previewError = (message, code) => Object.assign(new Error(message), { code });
+
+const ignoreMissing = (error) => {
+  if (error.code !== 'ENOENT') throw error;
+};
+
+const createPreviewStore = (config = loadPreviewConfig()) => {
+  fs.mkdirSync(config.dir, { recursive: true });
+
+  const keyPath = path.join(config.dir, '.signing-key');
+  let secret = config.secret;
+  if (!secret) {
+    try {
+      fs.writeFileSync(keyPath, crypto.randomBytes(32).toString('hex'), { mode: 0o600, flag: 'wx' });
+    } catch (error) {
+      // Another instance (or an earlier run) made it first
+      if (error.code !== 'EEXIST') throw error;
+    }
+    secret = fs.readFileSync(keyPath, 'utf8').trim();
+  }
+
+  const filePath = (id, extension) => path.join(config.dir, `${id}.${extension}`);
+
+  const sign = (id, expires) => crypto.createHmac('sha256', secret).update(`${id}.${expires}`).digest('base64url');
+
+  const readRecord = async (id) => {
+    if (!ID_PATTERN.test(id)) return null;
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath(id, 'json'), 'utf8'));
+    } catch (error) {
+      ignoreMissing(error);
+      return null;
+    }
+  };
+
+  const removeFiles = async (id) => {
+    await Promise.all(['pdf', 'json'].map(extension => fs.promises.unlink(filePath(id, extension)).catch(ignoreMissing)));
+  };
+
+  const store = {
+    // Clamps a requested lifetime in seconds to the configured bounds
+    ttlFor(seconds) {
+      const requested = Number(seconds) * 1000;
+      return requested > 0 ? Math.min(requested, config.maxTtl) : config.ttl;
+    },
+
+    async create(pdf, { keyId = null, storyId = null, storyName = null, ttl = config.ttl } = {}) {
+      const id = crypto.randomUUID();
+      const now = Date.now();
+      const record = {
+        id,
+        keyId,
+        storyId,
+        storyName,
+        size: pdf.length,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + ttl).toISOString()
+      };
+      // The PDF goes first: a preview only exists once its record does
+      await fs.promises.writeFile(filePath(id, 'pdf'), pdf);
+      const tempPath = `${filePath(id, 'json')}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify(record, null, 2));
+      await fs.promises.rename(tempPath, filePath(id, 'json'));
+      return record;
+    },
+
+    get: readRecord,
+
+    // Link to the preview at baseUrl, valid until the preview expires
+    signedUrl(record, baseUrl) {
+      const expires = Math.floor(Date.parse(record.expiresAt) / 1000);
+      return `${baseUrl.replace(/\/+$/, '')}/api/pdf-preview/${record.id}?expires=${expires}&signature=${sign(record.id, expires)}`;
+    },
+
+    // Resolves with { record, filePath } for a valid link. Throws with code
+    // BAD_SIGNATURE, EXPIRED or NOT_FOUND (also for revoked previews).
+    async open(id, { expires, signature } = {}) {
+      const expected = Buffer.from(sign(id, String(expires)));
+      const given = Buffer.from(String(signature || ''));
+      if (!ID_PATTERN.test(id) || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        throw previewError('Invalid preview link', 'BAD_SIGNATURE');
+      }
+      if (Number(expires) * 1000 < Date.now()) {
+        throw previewError('This preview link has expired', 'EXPIRED');
+      }
+      const record = await readRecord(id);
+      if (!record || Date.parse(record.expiresAt) < Date.now()) {
+        throw previewError('PDF preview not found', 'NOT_FOUND');
+      }
+      return { record, filePath: filePath(id, 'pdf') };
+    },
+
+    // Deletes the preview now; its links stop working at once
+    async revoke(id) {
+      const record = await readRecord(id);
+      if (!record) return null;
+      await removeFiles(id);
+      return record;
+    },
+
+    // Removes expired previews, and files left behind by renders that never
+    // finished. Safe to run from several instances at once.
+    async cleanup() {
+      const now = Date.now();
+      let removed = 0;
+      const files = await fs.promises.readdir(config.dir);
+      for (const file of files) {
+        const match = file.match(/^([a-f0-9-]{36})\.(pdf|json)$/);
+        if (!match) continue;
+        const [, id, extension] = match;
+        try {
+          if (extension === 'json') {
+            const record = await readRecord(id);
+            if (record && Date.parse(record.expiresAt) < now) {
+              await removeFiles(id);
+              removed++;
+            }
+          } else if (!files.includes(`${id}.json`)) {
+            const { mtimeMs } = await fs.promises.stat(filePath(id, 'pdf'));
+            if (now - mtimeMs > ORPHAN_AGE_MS) {
+              await removeFiles(id);
+              removed++;
+            }
+          }
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            console.error(`Error cleaning up preview ${id}:`, error.message || error);
+          }
+        }
+      }
+      return removed;
+    }
+  };
+
+  return store;
+};
+
+module.exports = {
+  createPreviewStore,
+  loadPreviewConfig
+};
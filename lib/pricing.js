@@ -0,0 +1,65 @@
+const fs = require('fs');
+
+// Prices in USD: chat models per million tokens, image models per picture
+// by size, speech models per million characters read. A model name matches the longest entry it starts with, so
+// dated names such as gpt-4o-2024-08-06 use the gpt-4o price.
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'dall-e-3': { image: { '1024x1024': 0.04, '1024x1792': 0.08, '1792x1024': 0.08 } },
+  'dall-e-2': { image: { '256x256': 0.016, '512x512': 0.018, '1024x1024': 0.02 } },
+  'tts-1-hd': { character: 30 },
+  'tts-1': { character: 15 },
+  'fake-': { input: 0, output: 0, image: { default: 0 }, character: 0 }
+};
+
+// Overrides come from a JSON file in the same format, e.g.
+//   { "llama3": { "input": 0, "output": 0 }, "dall-e-3": { "image": { "1024x1024": 0.05 } } }
+const loadPrices = (file = process.env.AI_PRICES_FILE) => {
+  if (!file) {
+    return { ...DEFAULT_PRICES };
+  }
+  return { ...DEFAULT_PRICES, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+};
+
+const createPriceTable = (prices = loadPrices()) => {
+  const names = Object.keys(prices).sort((a, b) => b.length - a.length);
+
+  const priceFor = (model) => {
+    const name = names.find(candidate => String(model || '').startsWith(candidate));
+    return name ? prices[name] : null;
+  };
+
+  // Cost of one call, or null when the model has no price
+  const estimate = ({ model, promptTokens = 0, completionTokens = 0, images = 0, size, characters = 0 }) => {
+    const price = priceFor(model);
+    if (!price) return null;
+
+    let cost = 0;
+    if (images > 0) {
+      const perImage = price.image && (price.image[size] !== undefined ? price.image[size] : price.image.default);
+      if (perImage === undefined) return null;
+      cost += images * perImage;
+    }
+    if (promptTokens || completionTokens) {
+      if (price.input === undefined) return null;
+      cost += (promptTokens * price.input + completionTokens * (price.output || 0)) / 1000000;
+    }
+    if (characters > 0) {
+      if (price.character === undefined) return null;
+      cost += characters * price.character / 1000000;
+    }
+    return Math.round(cost * 1000000) / 1000000;
+  };
+
+  return { priceFor, estimate };
+};
+
+module.exports = {
+  DEFAULT_PRICES,
+  createPriceTable,
+  loadPrices
+};
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const { encodePng } = require('../png');
+
+// Deterministic stand-in for a real model: same input, same output, no
+// network and no keys. Used in CI and local development.
+
+const CHARACTERS = ['Mila the fox', 'Tobin the turtle', 'Ada the owl', 'Pip the mouse'];
+const PLACES = ['the Whispering Woods', 'a lighthouse by the sea', 'the hill of tall sunflowers', 'a quiet mountain village'];
+
+const hashOf = (text) => crypto.createHash('sha256').update(String(text)).digest();
+
+const pick = (list, hash, offset = 0) => list[hash[offset] % list.length];
+
+const messageText = (message) => (typeof message.content === 'string'
+  ? message.content
+  : message.content.filter(part => part.type === 'text').map(part => part.text).join(' '));
+
+const lastUserMessage = (messages = []) => {
+  const message = [...messages].reverse().find(m => m.role === 'user');
+  return message ? messageText(message) : '';
+};
+
+const chapterText = (hero, place, index, maxWords) => {
+  const sentences = [
+    `${hero} woke early in ${place}, curious about what chapter ${index} would bring.`,
+    'A soft breeze carried the smell of rain and the sound of distant bells.',
+    `Along the way ${hero.split(' ')[0]} met a friend who needed help, and together they found a clever way forward.`,
+    'By evening the sky turned gold, and everyone felt a little braver than before.'
+  ];
+
+  const words = sentences.join(' ').split(' ');
+  return words.slice(0, Math.max(10, Math.min(words.length, maxWords || words.length))).join(' ');
+};
+
+const cannedStory = (prompt, { numChapters = 3, maxWordsPerChapter } = {}) => {
+  const hash = hashOf(prompt);
+  const hero = pick(CHARACTERS, hash, 0);
+  const place = pick(PLACES, hash, 1);
+  const chapters = [];
+
+  for (let i = 1; i <= (Number(numChapters) || 1); i++) {
+    chapters.push({
+      title: `${hero.split(' ')[0]} and the ${['Morning', 'Journey', 'Friend', 'Storm', 'Return'][(i - 1) % 5]}`,
+      body: chapterText(hero, place, i, Number(maxWordsPerChapter))
+    });
+  }
+
+  return JSON.stringify({ chapters });
+};
+
+// "Translates" by tagging the text with the language named in the messages
+const targetLanguage = (messages) => {
+  const match = messages.map(messageText).join('\n').match(/into (?:natural )?(\w+)/);
+  return match ? match[1] : 'Other';
+};
+
+const cannedTranslation = (prompt, language) => {
+  const { chapters } = JSON.parse(prompt.slice(prompt.indexOf('{"chapters"')));
+  return JSON.stringify({
+    chapters: chapters.map(chapter => ({
+      title: `[${language}] ${chapter.title}`,
+      body: chapter.body.split('\n\n').map(paragraph => `[${language}] ${paragraph}`).join('\n\n')
+    }))
+  });
+};
+
+// Titles from the opening words of each chapter
+const cannedTitles = (prompt) => {
+  const { chapters } = JSON.parse(prompt);
+  return JSON.stringify({
+    titles: chapters.map(chapter => chapter.body.split(/\s+/).slice(0, 4).join(' ').replace(/[^\p{L}\p{N} ]/gu, ''))
+  });
+};
+
+const summarize = (text) => {
+  const sentences = String(text).replace(/\s+/g, ' ').split(/(?<=[.!?])\s/);
+  return sentences.slice(0, 2).join(' ').trim();
+};
+
+const cannedBible = (storyText) => {
+  const found = CHARACTERS.filter(character => storyText.includes(character.split(' ')[0]));
+  return JSON.stringify({
+    characters: (found.length ? found : [CHARACTERS[0]]).map(character => ({
+      name: character.split(' ')[0],
+      appearance: `a small ${character.split(' ').pop()} with bright, curious eyes`,
+      clothing: 'a red knitted scarf'
+    })),
+    artStyle: 'soft watercolour with warm pastel colours and gentle morning light'
+  });
+};
+
+const describe = (image) => {
+  const hash = hashOf(image);
+  const hero = pick(CHARACTERS, hash, 0);
+  const place = pick(PLACES, hash, 1);
+  return [
+    `The picture shows ${place}, bathed in gentle afternoon light.`,
+    `In the middle of the scene stands ${hero}, looking out at something just beyond view.`,
+    `Long ago, ${hero.split(' ')[0]} promised to find the lost map that once belonged to a kind old sailor.`,
+    'Every clue so far has pointed here, hidden among the small details of this very place.',
+    'Today, at last, the search is about to begin, and a great adventure waits around the corner.'
+  ].join('\n\n');
+};
+
+// A flat colour tile with a darker band, tinted by the prompt
+const placeholderPng = (prompt, size = 256) => {
+  const [r, g, b] = hashOf(prompt);
+  return encodePng(size, size, (x, y) => {
+    const band = y > size * 0.4 && y < size * 0.6;
+    return band ? [r >> 1, g >> 1, b >> 1] : [r, g, b];
+  });
+};
+
+// Token counts at roughly four characters per token
+const fakeUsage = (prompt, content) => {
+  const promptTokens = Math.ceil(String(prompt).length / 4);
+  const completionTokens = Math.ceil(String(content).length / 4);
+  return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+};
+
+const createFakeProvider = () => ({
+  name: 'fake',
+
+  async chat({ task, messages, context }) {
+    const prompt = lastUserMessage(messages);
+    const responders = {
+      story: () => cannedStory(prompt, context),
+      chapter: () => cannedStory(prompt, { ...context, numChapters: 1 }),
+      bible: () => cannedBible(prompt),
+      translate: () => cannedTranslation(prompt, targetLanguage(messages)),
+      'translate-title': () => `[${targetLanguage(messages)}] ${prompt}`,
+      'chapter-titles': () => cannedTitles(prompt)
+    };
+    const content = responders[task] ? responders[task]() : summarize(prompt);
+
+    return { content, model: 'fake-chat', usage: fakeUsage(messages.map(messageText).join('\n'), content) };
+  },
+
+  async describeImage({ image, prompt }) {
+    const content = describe(image);
+    return { content, model: 'fake-vision', usage: fakeUsage(prompt || '', content) };
+  },
+
+  async generateImage({ prompt, size = '256x256' }) {
+    const png = placeholderPng(prompt);
+    return {
+      url: `data:image/png;base64,${png.toString('base64')}`,
+      model: 'fake-image',
+      size
+    };
+  }
+});
+
+module.exports = {
+  createFakeProvider,
+  placeholderPng
+};
@@ -0,0 +1,64 @@
+const { createOpenAIProvider } = require('./openai');
+const { createFakeProvider } = require('./fake');
+
+// Every provider implements:
+//   chat({ task, messages, model?, temperature?, maxTokens?, context? }) -> { content, model, usage }
+//   describeImage({ image, mimeType, prompt, ... })                       -> { content, model, usage }
+//   generateImage({ prompt, model?, size? })                               -> { url, model, size }
+// `task` names the kind of call ('story', 'summary', ...). Real providers use
+// it to pick a model, the fake provider to pick a canned answer.
+
+const factories = {
+  openai: createOpenAIProvider,
+  fake: createFakeProvider
+};
+
+const registerProvider = (name, factory) => {
+  factories[name] = factory;
+};
+
+const loadProviderConfig = (env = process.env) => ({
+  provider: env.AI_PROVIDER || 'openai',
+  imageProvider: env.AI_IMAGE_PROVIDER || env.AI_PROVIDER || 'openai',
+  apiKey: env.AI_API_KEY || env.API_KEY,
+  baseUrl: env.AI_BASE_URL || 'https://api.openai.com/v1',
+  imageBaseUrl: env.AI_IMAGE_BASE_URL || env.AI_BASE_URL || 'https://api.openai.com/v1',
+  imageSize: env.AI_IMAGE_SIZE || '1024x1024',
+  models: {
+    chat: env.AI_CHAT_MODEL || 'gpt-4',
+    story: env.AI_STORY_MODEL || env.AI_CHAT_MODEL || 'gpt-4',
+    summary: env.AI_SUMMARY_MODEL || 'gpt-4o',
+    vision: env.AI_VISION_MODEL || 'gpt-4o',
+    image: env.AI_IMAGE_MODEL || 'dall-e-3'
+  }
+});
+
+const createProvider = (name, options) => {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown AI provider: ${name}`);
+  }
+  return factory(options);
+};
+
+// Text and images may come from different backends, e.g. a self-hosted LLM
+// for stories and DALL·E for illustrations
+const createProviders = (config = loadProviderConfig()) => {
+  const text = createProvider(config.provider, { ...config });
+  const images = config.imageProvider === config.provider && config.imageBaseUrl === config.baseUrl
+    ? text
+    : createProvider(config.imageProvider, { ...config, baseUrl: config.imageBaseUrl });
+
+  return {
+    chat: (options) => text.chat(options),
+    describeImage: (options) => text.describeImage(options),
+    generateImage: (options) => images.generateImage(options),
+    names: { text: text.name, images: images.name }
+  };
+};
+
+module.exports = {
+  createProviders,
+  loadProviderConfig,
+  registerProvider
+};
@@ -0,0 +1,79 @@
+const axios = require('axios');
+
+// Works against api.openai.com and any server exposing the same REST API
+// (vLLM, LocalAI, Ollama's /v1 endpoint, ...) through baseUrl.
+const createOpenAIProvider = ({ apiKey, baseUrl = 'https://api.openai.com/v1', models = {}, imageSize = '1024x1024' }) => {
+  const client = axios.create({
+    baseURL: baseUrl.replace(/\/+$/, ''),
+    headers: {
+      'Content-Type': 'application/json',
+      ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+    }
+  });
+
+  const modelFor = (task, model) => model || models[task] || models.chat;
+
+  const complete = async ({ task, model, messages, temperature, maxTokens }) => {
+    const response = await client.post('/chat/completions', {
+      model: modelFor(task, model),
+      messages,
+      ...(temperature !== undefined ? { temperature } : {}),
+      ...(maxTokens ? { max_tokens: maxTokens } : {})
+    });
+
+    const choice = response.data.choices && response.data.choices[0];
+    if (!choice || !choice.message || typeof choice.message.content !== 'string') {
+      throw new Error('Unexpected response structure');
+    }
+
+    return {
+      content: choice.message.content,
+      model: response.data.model,
+      usage: response.data.usage || null
+    };
+  };
+
+  return {
+    name: 'openai',
+
+    chat: (options) => complete(options),
+
+    describeImage: ({ image, mimeType, prompt, model, ...options }) => complete({
+      task: 'vision',
+      model,
+      ...options,
+      messages: [
+        {
+          role: 'user',
+          content: [
+            { type: 'image_url', image_url: { url: `data:${mimeType};base64,${image.toString('base64')}` } }
+          ]
+        },
+        {
+          role: 'assistant',
+          content: [{ type: 'text', text: prompt }]
+        }
+      ]
+    }),
+
+    async generateImage({ prompt, model, size = imageSize }) {
+      const response = await client.post('/images/generations', {
+        model: modelFor('image', model),
+        prompt,
+        n: 1,
+        size,
+        response_format: 'url'
+      });
+
+      return {
+        url: response.data.data[0].url,
+        model: modelFor('image', model),
+        size
+      };
+    }
+  };
+};
+
+module.exports = {
+  createOpenAIProvider
+};
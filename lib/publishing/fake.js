@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+
+// Offline stand-in for tests and local development: publications are kept
+// in memory and turn ready on the second status check. A PDF that does not
+// start with %PDF fails, as it would on a real service. Its links lead
+// nowhere (.invalid).
+const createFakePublisher = () => {
+  const publications = new Map();
+
+  const find = (remoteId) => {
+    const publication = publications.get(remoteId);
+    if (!publication) {
+      throw Object.assign(new Error(`Publication ${remoteId} not found`), { response: { status: 404 } });
+    }
+    return publication;
+  };
+
+  const load = (publication, pdf) => {
+    publication.valid = Buffer.from(pdf).subarray(0, 5).toString('latin1') === '%PDF-';
+    publication.checks = 0;
+  };
+
+  return {
+    name: 'fake',
+
+    async create({ pdf, name }) {
+      const remoteId = crypto.randomUUID();
+      const publication = { name, hashId: crypto.randomBytes(6).toString('hex') };
+      load(publication, pdf);
+      publications.set(remoteId, publication);
+      return { remoteId };
+    },
+
+    async status(remoteId) {
+      const publication = find(remoteId);
+      publication.checks++;
+      const remoteState = !publication.valid ? 'Error' : publication.checks >= 2 ? 'Ready' : 'Processing';
+      return {
+        state: remoteState === 'Ready' ? 'ready' : remoteState === 'Error' ? 'failed' : 'processing',
+        remoteState,
+        url: remoteState === 'Ready' ? `https://flipbook.invalid/view/${publication.hashId}/` : null,
+        details: { publication: { name: publication.name, state: remoteState, hashId: publication.hashId } }
+      };
+    },
+
+    async rename(remoteId, name) {
+      find(remoteId).name = name;
+    },
+
+    async replacePdf(remoteId, { pdf }) {
+      load(find(remoteId), pdf);
+    },
+
+    async remove(remoteId) {
+      publications.delete(remoteId);
+    }
+  };
+};
+
+module.exports = {
+  createFakePublisher
+};
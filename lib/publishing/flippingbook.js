@@ -0,0 +1,102 @@
+const axios = require('axios');
+const FormData = require('form-data');
+
+// FlippingBook Online. baseUrl can point at a local mock server that
+// answers the same routes:
+//   POST   /publication/create          multipart file (+ name)  -> { id }
+//   GET    /publication/:id             -> { publication: { state, hashId } }
+//   POST   /publication/:id             { name }
+//   POST   /publication/:id/source      multipart file
+//   DELETE /publication/:id
+const DEFAULT_BASE_URL = 'https://api-tc.is.flippingbook.com/api/v1/fbonline';
+const VIEWER_URL = 'https://online.flippingbook.com/view';
+
+// Reads are retried on network errors and 5xx answers, waiting longer each time
+const RETRIES = 3;
+const RETRY_DELAY_MS = 2000;
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const pdfForm = (pdf, filename, fields = {}) => {
+  const form = new FormData();
+  form.append('file', pdf, { filename: filename || 'story.pdf', contentType: 'application/pdf' });
+  Object.entries(fields).filter(([, value]) => value).forEach(([key, value]) => form.append(key, value));
+  return form;
+};
+
+// FlippingBook says 'Ready' when done and e.g. 'Error' or 'ConversionFailed'
+// when not; anything else is still being worked on
+const stateOf = (remoteState) => {
+  if (remoteState === 'Ready') return 'ready';
+  if (/error|fail/i.test(remoteState || '')) return 'failed';
+  return 'processing';
+};
+
+const createFlippingBookPublisher = ({ apiKey, baseUrl = DEFAULT_BASE_URL, viewerUrl = VIEWER_URL }) => {
+  const client = axios.create({
+    baseURL: baseUrl.replace(/\/+$/, ''),
+    headers: {
+      'Accept': 'application/json',
+      ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+    }
+  });
+
+  const get = async (url, retries = RETRIES) => {
+    try {
+      return await client.get(url);
+    } catch (error) {
+      const status = error.response && error.response.status;
+      if (retries > 0 && (!status || status >= 500)) {
+        await delay(RETRY_DELAY_MS * (RETRIES + 1 - retries));
+        return get(url, retries - 1);
+      }
+      throw error;
+    }
+  };
+
+  return {
+    name: 'flippingbook',
+
+    async create({ pdf, filename, name }) {
+      const form = pdfForm(pdf, filename, { name });
+      const response = await client.post('/publication/create', form, { headers: form.getHeaders() });
+      if (!response.data || !response.data.id) {
+        throw new Error('Invalid or unexpected response from FlippingBook API');
+      }
+      return { remoteId: String(response.data.id) };
+    },
+
+    async status(remoteId) {
+      const response = await get(`/publication/${encodeURIComponent(remoteId)}`);
+      const publication = (response.data && response.data.publication) || {};
+      return {
+        state: stateOf(publication.state),
+        remoteState: publication.state || 'Unknown',
+        url: publication.hashId ? `${viewerUrl}/${publication.hashId}/` : null,
+        details: response.data
+      };
+    },
+
+    async rename(remoteId, name) {
+      await client.post(`/publication/${encodeURIComponent(remoteId)}`, { name });
+    },
+
+    async replacePdf(remoteId, { pdf, filename }) {
+      const form = pdfForm(pdf, filename);
+      await client.post(`/publication/${encodeURIComponent(remoteId)}/source`, form, { headers: form.getHeaders() });
+    },
+
+    async remove(remoteId) {
+      try {
+        await client.delete(`/publication/${encodeURIComponent(remoteId)}`);
+      } catch (error) {
+        // Already gone there is as good as deleted
+        if (!error.response || error.response.status !== 404) throw error;
+      }
+    }
+  };
+};
+
+module.exports = {
+  createFlippingBookPublisher
+};
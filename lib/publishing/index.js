@@ -0,0 +1,332 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { createFlippingBookPublisher } = require('./flippingbook');
+const { createFakePublisher } = require('./fake');
+
+// Every flipbook publisher implements:
+//   create({ pdf: Buffer, filename, name }) -> { remoteId }
+//   status(remoteId) -> { state: 'processing' | 'ready' | 'failed', remoteState, url, details }
+//   rename(remoteId, name)
+//   replacePdf(remoteId, { pdf, filename })   (the publication processes again)
+//   remove(remoteId)
+//
+// A publication is stored here as soon as it is asked for and moves through
+//   pending -> processing -> ready | failed
+// pending while the PDF is uploaded, processing while the publisher converts
+// it (a background poller asks until it is done), ready with a url, or
+// failed with an error. A new PDF sends a ready or failed publication back
+// to processing.
+//   { id, publisher, remoteId, name, storyId, keyId, state, remoteState, url,
+//     error, checks, history: [{ state, at }], createdAt, updatedAt, readyAt }
+
+const factories = {
+  flippingbook: createFlippingBookPublisher,
+  fake: createFakePublisher
+};
+
+const registerPublisher = (name, factory) => {
+  factories[name] = factory;
+};
+
+const TRANSITIONS = {
+  pending: ['processing', 'failed'],
+  processing: ['processing', 'ready', 'failed'],
+  ready: ['processing'],
+  failed: ['pending', 'processing']
+};
+
+// Transitions kept per publication
+const MAX_HISTORY = 20;
+
+// Publishing is an optional extra next to the built-in viewer (/view/:storyId):
+// it is off unless PUBLISHER is set or FLIPBOOK_API holds a FlippingBook key
+const defaultPublisher = (env) => {
+  if (env.AI_PROVIDER === 'fake') return 'fake';
+  return env.FLIPBOOK_API ? 'flippingbook' : 'none';
+};
+
+const loadPublishingConfig = (env = process.env) => ({
+  publisher: env.PUBLISHER || defaultPublisher(env),
+  apiKey: env.FLIPBOOK_API,
+  baseUrl: env.FLIPBOOK_API_URL || undefined,
+  file: env.PUBLICATIONS_FILE || path.join(__dirname, '..', '..', 'data', 'publications.json'),
+  // First checks this far apart, then slower and slower up to the maximum
+  pollInterval: Number(env.PUBLISH_POLL_INTERVAL_MS) || 5000,
+  maxPollInterval: Number(env.PUBLISH_MAX_POLL_INTERVAL_MS) || 60000,
+  // A publication still processing after this long is failed
+  timeout: Number(env.PUBLISH_TIMEOUT_MS) || 30 * 60000
+});
+
+const stateError = (publication, action) => Object.assign(
+  new Error(`Cannot ${action} a publication that is ${publication.state}`),
+  { code: 'INVALID_STATE' }
+);
+
+const createPublishing = (config = loadPublishingConfig()) => {
+  const enabled = config.publisher !== 'none';
+  let publisher = null;
+  if (enabled) {
+    const factory = factories[config.publisher];
+    if (!factory) {
+      throw new Error(`Unknown publisher: ${config.publisher}`);
+    }
+    publisher = factory(config);
+  }
+
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  let publications = [];
+  if (fs.existsSync(config.file)) {
+    publications = JSON.parse(fs.readFileSync(config.file, 'utf8')).publications || [];
+  }
+
+  // Writes are chained so two saves never interleave on disk
+  let writing = Promise.resolve();
+  const persist = () => {
+    writing = writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(config.file), { recursive: true });
+      const tempPath = `${config.file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify({ publications }, null, 2));
+      await fs.promises.rename(tempPath, config.file);
+    }).catch(error => {
+      console.error('Error saving publications:', error.message || error);
+    });
+    return writing;
+  };
+
+  const find = (id) => publications.find(publication => publication.id === id) || null;
+  const view = (publication) => publication && { ...publication, history: [...publication.history] };
+
+  // Publications made by another publisher (before PUBLISHER changed) are
+  // kept, but nothing is asked of a service we are no longer set up for
+  const publisherFor = (publication) => (publisher && publication.publisher === publisher.name ? publisher : null);
+
+  const update = async (publication, changes) => {
+    Object.assign(publication, changes, { updatedAt: new Date().toISOString() });
+    await persist();
+    events.emit('update', view(publication));
+    return view(publication);
+  };
+
+  const transition = (publication, state, changes = {}) => {
+    if (!TRANSITIONS[publication.state].includes(state)) {
+      throw stateError(publication, `move to ${state}`);
+    }
+    const now = new Date().toISOString();
+    const entered = publication.state !== state;
+    return update(publication, {
+      ...changes,
+      state,
+      ...(state === 'processing' ? { checks: 0, nextCheckAt: Date.now() + config.pollInterval } : {}),
+      ...(state === 'processing' && entered ? { processingSince: now } : {}),
+      ...(state === 'ready' ? { readyAt: now, error: null } : {}),
+      history: [...publication.history, { state, at: now }].slice(-MAX_HISTORY)
+    });
+  };
+
+  const fail = (publication, error) => {
+    console.error(`Publication ${publication.id} failed:`, error.message || error);
+    return transition(publication, 'failed', { error: error.message || String(error) });
+  };
+
+  // Hands the PDF over to the publisher; the poller takes it from there
+  const upload = async (publication, { pdf, filename }) => {
+    try {
+      const { remoteId } = await publisher.create({ pdf, filename, name: publication.name });
+      await transition(publication, 'processing', { remoteId });
+    } catch (error) {
+      await fail(publication, error);
+    }
+  };
+
+  const check = async (publication) => {
+    try {
+      const status = await publisher.status(publication.remoteId);
+      if (status.state === 'ready') {
+        return transition(publication, 'ready', { remoteState: status.remoteState, url: status.url });
+      }
+      if (status.state === 'failed') {
+        return fail(publication, new Error(`The publisher could not process the PDF (${status.remoteState})`));
+      }
+      await update(publication, { remoteState: status.remoteState });
+    } catch (error) {
+      // Network trouble is retried until the publication times out
+      console.error(`Error checking publication ${publication.id}:`, error.message || error);
+    }
+
+    if (Date.now() - Date.parse(publication.processingSince) > config.timeout) {
+      return fail(publication, new Error('Processing timed out'));
+    }
+    const checks = publication.checks + 1;
+    return update(publication, {
+      checks,
+      nextCheckAt: Date.now() + Math.min(config.pollInterval * 2 ** Math.floor(checks / 5), config.maxPollInterval)
+    });
+  };
+
+  // One pass at a time: due publications are checked one after the other
+  let timer = null;
+  let closed = false;
+  const poll = async () => {
+    const due = publications.filter(publication => publication.state === 'processing' &&
+      publisherFor(publication) && publication.nextCheckAt <= Date.now());
+    for (const publication of due) {
+      // Deleted or changed while earlier ones were checked
+      if (find(publication.id) && publication.state === 'processing') {
+        await check(publication);
+      }
+    }
+  };
+  const schedule = () => {
+    if (closed) return;
+    timer = setTimeout(() => poll().catch(error => {
+      console.error('Error polling publications:', error.message || error);
+    }).finally(schedule), config.pollInterval);
+    timer.unref();
+  };
+
+  // An upload cut short by a restart cannot be resumed (the PDF is gone);
+  // publications that were processing are simply checked again
+  publications.forEach(publication => {
+    if (publication.state === 'pending') {
+      transition(publication, 'failed', { error: 'The server restarted before the upload finished' });
+    } else if (publication.state === 'processing') {
+      publication.nextCheckAt = Date.now();
+    }
+  });
+  if (enabled) schedule();
+
+  const requireEnabled = () => {
+    if (!enabled) {
+      throw Object.assign(new Error('Publishing is turned off'), { code: 'PUBLISHING_DISABLED' });
+    }
+  };
+
+  return {
+    enabled,
+    publisher: publisher ? publisher.name : 'none',
+
+    // filter: { keyId, storyId, state }; newest first
+    list({ keyId, storyId, state } = {}) {
+      return publications
+        .filter(publication => (keyId === undefined || publication.keyId === keyId) &&
+          (!storyId || publication.storyId === storyId) &&
+          (!state || publication.state === state))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(view);
+    },
+
+    get: (id) => view(find(id)),
+
+    // Resolves with the pending publication at once; the upload carries on
+    // in the background
+    async publish({ pdf, filename, name, storyId = null, keyId = null }) {
+      requireEnabled();
+      const now = new Date().toISOString();
+      const publication = {
+        id: crypto.randomUUID(),
+        publisher: publisher.name,
+        remoteId: null,
+        name: name || path.basename(filename || 'story.pdf', '.pdf'),
+        storyId,
+        keyId,
+        state: 'pending',
+        remoteState: null,
+        url: null,
+        error: null,
+        checks: 0,
+        history: [{ state: 'pending', at: now }],
+        createdAt: now,
+        updatedAt: now,
+        readyAt: null
+      };
+      publications.push(publication);
+      await persist();
+      upload(publication, { pdf, filename });
+      return view(publication);
+    },
+
+    async rename(id, name) {
+      const publication = find(id);
+      if (publication.state === 'pending') {
+        throw stateError(publication, 'rename');
+      }
+      const remote = publisherFor(publication);
+      if (remote && publication.remoteId) {
+        await remote.rename(publication.remoteId, name);
+      }
+      return update(publication, { name });
+    },
+
+    // A publication whose first upload failed is uploaded afresh
+    async replacePdf(id, { pdf, filename }) {
+      requireEnabled();
+      const publication = find(id);
+      if (publication.state === 'pending' || !publisherFor(publication)) {
+        throw stateError(publication, 'update the PDF of');
+      }
+      if (!publication.remoteId) {
+        const pending = await transition(publication, 'pending', { error: null });
+        upload(publication, { pdf, filename });
+        return pending;
+      }
+      await publisher.replacePdf(publication.remoteId, { pdf, filename });
+      return transition(publication, 'processing', { error: null, url: null, readyAt: null });
+    },
+
+    async remove(id) {
+      const publication = find(id);
+      const remote = publisherFor(publication);
+      if (remote && publication.remoteId) {
+        await remote.remove(publication.remoteId);
+      }
+      publications = publications.filter(candidate => candidate !== publication);
+      await persist();
+      return view(publication);
+    },
+
+    // Resolves with the publication once it is ready or failed, or as it
+    // stands after timeoutMs
+    waitFor(id, timeoutMs) {
+      const current = view(find(id));
+      if (!current || ['ready', 'failed'].includes(current.state)) {
+        return Promise.resolve(current);
+      }
+      return new Promise(resolve => {
+        const onUpdate = (publication) => {
+          if (publication.id === id && ['ready', 'failed'].includes(publication.state)) {
+            done(publication);
+          }
+        };
+        const done = (publication) => {
+          clearTimeout(timeout);
+          events.off('update', onUpdate);
+          resolve(publication);
+        };
+        const timeout = setTimeout(() => done(view(find(id))), timeoutMs);
+        events.on('update', onUpdate);
+      });
+    },
+
+    // Asks the publisher directly about a publication it knows by its own id
+    status(remoteId) {
+      requireEnabled();
+      return publisher.status(remoteId);
+    },
+
+    // Stops the poller, also after a pass that is running now
+    close() {
+      closed = true;
+      clearTimeout(timer);
+    }
+  };
+};
+
+module.exports = {
+  createPublishing,
+  loadPublishingConfig,
+  registerPublisher
+};
@@ -0,0 +1,273 @@
+const { getChapters } = require('./storySchema');
+
+// Readability metrics for English text and the reading targets stories are
+// written for. Metrics per text:
+//   words, sentences, averageSentenceLength, syllablesPerWord,
+//   fleschKincaidGrade, rareWordRatio (share of words outside COMMON_WORDS)
+
+// Everyday words a young reader meets first (Dolch sight words, the most
+// frequent words of English and picture-book staples). Plurals and simple
+// verb endings are folded onto these before the lookup.
+const COMMON_WORDS = new Set(`
+a about above across after again against all almost alone along already also always am an and animal another answer any
+anything are around as ask asked at ate away baby back bad bag ball be bear beautiful because bed been before began begin
+behind being bell below best better between big bird birthday black blue boat body book both box boy bread break breakfast
+bright bring brother brown bug build but by cake call came can car care carry cat catch change child children city clean
+close cloud cold color come could country cow cry cut dad dance dark day dear deep did different dinner do does dog done door
+down draw dream dress drink drop duck during each ear early earth eat egg end enough even evening ever every everyone
+everything eye face fall family far farm fast father feel feet felt few field find fine fire first fish five floor flower fly
+follow food foot for forest forget found four fox friend frog from front full fun funny game garden gave get girl give glad go
+goes going gold gone good got grass great green grew ground group grow had hair half hand happy hard has hat have he head hear
+heard help her here high hill him his hold hole home hop horse hot house how hug hungry hurry i ice idea if in inside into is
+it its jump just keep kind king kitten knew know lake land large last late laugh learn leave left leg let letter light like
+line lion list listen little live long look lost lot loud love low lunch made make man many may me mean men might mind miss
+mom moon more morning most mother mountain mouse mouth move much must my name near need nest never new next nice night no
+noise none north nose not nothing now number of off often oh old on once one only open or other our out outside over own paper
+park part party people pick picture pig place plant play please point pond pretty pull puppy put queen question quick quiet
+quite rabbit rain ran read ready real red remember rest ride right river road rock room round run sad said same sat saw say
+school sea see seem seen sell send set seven shall she sheep shoe short should show shut side sing sister sit six sky sleep
+slow small smell smile snow so some something song soon sorry sound south space stand star start stay step still stone stop
+story street strong such summer sun sure surprise swim table tail take talk tall teacher tell ten than thank that the their
+them then there these they thing think this those though thought three through time tiny to today together told too took top
+town toy tree tried truck try turn turtle two under until up upon us use very visit voice wait walk wall want warm was wash
+watch water way we wear weather well went were wet what when where which while white who whole why wide will wind window
+wing winter wish with without woke woman wonder wood word work world would write year yellow yes yet you young your
+`.trim().split(/\s+/));
+
+// Target reading profiles. Each gives the prompt guidance and the limits a
+// chapter is measured against: Flesch-Kincaid grade, average sentence
+// length and rare-word ratio.
+const AGE_BANDS = {
+  '0-5': {
+    label: 'ages 0-5 (read aloud)',
+    readingLevel: 'pre-reader',
+    maxWordsPerChapter: 150,
+    guidance: 'Use very short sentences made of simple, familiar words, gentle repetition and a warm, reassuring tone. Avoid abstract ideas.'
+  },
+  '6-8': {
+    label: 'ages 6-8 (early readers)',
+    readingLevel: 'early-reader',
+    maxWordsPerChapter: 300,
+    guidance: 'Use short, clear sentences and everyday words, with simple dialogue. Explain any unusual word through the story.'
+  },
+  '9-12': {
+    label: 'ages 9-12 (independent readers)',
+    readingLevel: 'independent',
+    maxWordsPerChapter: 600,
+    guidance: 'Use varied sentences and a richer vocabulary, but keep the plot easy to follow.'
+  },
+  '13+': {
+    label: 'ages 13 and up (young adults)',
+    readingLevel: 'fluent',
+    maxWordsPerChapter: 1000,
+    guidance: 'Write for confident readers with a full vocabulary and more complex sentences.'
+  }
+};
+
+const READING_LEVELS = {
+  'pre-reader': { maxGrade: 1, maxSentenceLength: 8, maxRareWordRatio: 0.1 },
+  'early-reader': { maxGrade: 3, maxSentenceLength: 12, maxRareWordRatio: 0.2 },
+  independent: { maxGrade: 6, maxSentenceLength: 18, maxRareWordRatio: 0.35 },
+  fluent: { maxGrade: 9, maxSentenceLength: 24, maxRareWordRatio: 0.5 }
+};
+
+// Grades are estimates, so a chapter only counts as too hard past this margin
+const GRADE_TOLERANCE = 0.5;
+
+const tokenizeWords = (text) => (String(text || '').toLowerCase().match(/[a-z]+(?:'[a-z]+)?/g) || []);
+
+const splitSentences = (text) => String(text || '')
+  .split(/(?<=[.!?])["'”’)]*\s+|\n+/)
+  .map(sentence => sentence.trim())
+  .filter(sentence => tokenizeWords(sentence).length > 0);
+
+// Vowel-group heuristic; close enough for grade-level estimates
+const countSyllables = (word) => {
+  const cleaned = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (cleaned.length <= 3) return 1;
+  const trimmed = cleaned
+    .replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, '')
+    .replace(/^y/, '');
+  const groups = trimmed.match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 1);
+};
+
+const baseForms = (word) => {
+  const plain = word.replace(/'s$/, '');
+  return [
+    plain,
+    plain.replace(/s$/, ''),
+    plain.replace(/es$/, ''),
+    plain.replace(/ies$/, 'y'),
+    plain.replace(/ed$/, ''),
+    plain.replace(/ed$/, 'e'),
+    plain.replace(/d$/, ''),
+    plain.replace(/ing$/, ''),
+    plain.replace(/ing$/, 'e'),
+    plain.replace(/ly$/, ''),
+    plain.replace(/er$/, ''),
+    plain.replace(/est$/, '')
+  ];
+};
+
+const isCommonWord = (word) => baseForms(word).some(form => COMMON_WORDS.has(form));
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const analyzeText = (text) => {
+  const words = tokenizeWords(text);
+  const sentences = Math.max(1, splitSentences(text).length);
+  if (words.length === 0) {
+    return { words: 0, sentences: 0, averageSentenceLength: 0, syllablesPerWord: 0, fleschKincaidGrade: 0, rareWordRatio: 0 };
+  }
+
+  const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+  const rare = words.filter(word => !isCommonWord(word)).length;
+  const averageSentenceLength = words.length / sentences;
+  const syllablesPerWord = syllables / words.length;
+
+  return {
+    words: words.length,
+    sentences,
+    averageSentenceLength: round(averageSentenceLength, 1),
+    syllablesPerWord: round(syllablesPerWord),
+    fleschKincaidGrade: round(Math.max(0, 0.39 * averageSentenceLength + 11.8 * syllablesPerWord - 15.59), 1),
+    rareWordRatio: round(rare / words.length)
+  };
+};
+
+// Works out the target from the request options. readingLevel is a name
+// from READING_LEVELS or a Flesch-Kincaid grade and overrides the band's
+// level. Resolves to null when neither is given; throws on unknown values.
+const resolveReadingTarget = ({ ageBand, readingLevel } = {}) => {
+  if (!ageBand && (readingLevel === undefined || readingLevel === null || readingLevel === '')) {
+    return null;
+  }
+  if (ageBand && !AGE_BANDS[ageBand]) {
+    throw new Error(`Unknown age band: ${ageBand} (use ${Object.keys(AGE_BANDS).join(', ')})`);
+  }
+
+  const band = ageBand ? AGE_BANDS[ageBand] : null;
+  const levelName = readingLevel !== undefined && readingLevel !== null && readingLevel !== '' ? String(readingLevel) : band.readingLevel;
+  let limits = READING_LEVELS[levelName];
+  if (!limits) {
+    const grade = Number(levelName);
+    if (!Number.isFinite(grade) || grade < 0 || grade > 16) {
+      throw new Error(`Unknown reading level: ${levelName} (use ${Object.keys(READING_LEVELS).join(', ')} or a grade from 0 to 16)`);
+    }
+    // A numeric grade borrows the sentence and vocabulary limits of the nearest named level
+    const nearest = Object.values(READING_LEVELS).find(level => level.maxGrade >= grade) || READING_LEVELS.fluent;
+    limits = { ...nearest, maxGrade: grade };
+  }
+
+  return {
+    ageBand: ageBand || null,
+    readingLevel: levelName,
+    ...limits
+  };
+};
+
+// Why a chapter misses the target; empty when it is within it
+const targetProblems = (metrics, target) => {
+  if (!target || metrics.words === 0) return [];
+  const problems = [];
+  if (metrics.fleschKincaidGrade > target.maxGrade + GRADE_TOLERANCE) {
+    problems.push(`it reads at grade ${metrics.fleschKincaidGrade}, the target is grade ${target.maxGrade} or lower`);
+  }
+  if (metrics.averageSentenceLength > target.maxSentenceLength) {
+    problems.push(`sentences average ${metrics.averageSentenceLength} words, keep them under ${target.maxSentenceLength}`);
+  }
+  if (metrics.rareWordRatio > target.maxRareWordRatio) {
+    problems.push(`${Math.round(metrics.rareWordRatio * 100)}% of the words are uncommon, keep it under ${Math.round(target.maxRareWordRatio * 100)}%`);
+  }
+  return problems;
+};
+
+// Prompt text describing the audience, or '' without a target
+const readingGuidance = (target) => {
+  if (!target) return '';
+  const band = target.ageBand ? AGE_BANDS[target.ageBand] : null;
+  return [
+    band ? `The story is for children ${band.label}. ${band.guidance}` : '',
+    `Aim for a Flesch-Kincaid grade of ${target.maxGrade} or lower, sentences of at most ${target.maxSentenceLength} words on average, and mostly common, everyday words.`
+  ].filter(Boolean).join(' ');
+};
+
+// Metrics for every chapter and the whole story, measured against the target
+const analyzeStory = (storyData, target = null) => {
+  const chapters = getChapters(storyData).map((chapter, i) => {
+    const metrics = analyzeText(chapter.body);
+    const problems = targetProblems(metrics, target);
+    return {
+      number: i + 1,
+      ...metrics,
+      ...(target ? { withinTarget: problems.length === 0, problems } : {})
+    };
+  });
+
+  return {
+    target,
+    overall: analyzeText(getChapters(storyData).map(chapter => chapter.body).join('\n\n')),
+    chapters
+  };
+};
+
+const MAX_SIMPLIFY_PASSES = 2;
+
+// Rewrites chapters (all, or only the given 1-based numbers) that read above
+// the target, up to maxPasses times each, keeping the easiest version.
+// rewrite({ chapters, index, instructions }) resolves with the new chapter.
+// The metrics only understand English, so stories in other languages are
+// left alone.
+// Resolves with { storyData, simplified: [{ number, passes, gradeBefore, gradeAfter }] }.
+const simplifyChapters = async (storyData, readingTarget, { rewrite, numbers, language, maxPasses = MAX_SIMPLIFY_PASSES } = {}) => {
+  const chapters = getChapters(storyData);
+  const simplified = [];
+  if (!readingTarget || (language && language.code !== 'en')) {
+    return { storyData: { ...storyData, chapters }, simplified };
+  }
+
+  for (let i = 0; i < chapters.length; i++) {
+    if (numbers && !numbers.includes(i + 1)) continue;
+
+    const before = analyzeText(chapters[i].body);
+    let best = { chapter: chapters[i], metrics: before };
+    let problems = targetProblems(before, readingTarget);
+    let passes = 0;
+
+    while (problems.length > 0 && passes < maxPasses) {
+      passes++;
+      const candidate = await rewrite({
+        chapters,
+        index: i,
+        instructions: `Make this chapter easier to read: ${problems.join('; ')}. Keep the same events, characters and names.`
+      });
+      const metrics = analyzeText(candidate.body);
+      if (metrics.fleschKincaidGrade < best.metrics.fleschKincaidGrade) {
+        best = { chapter: candidate, metrics };
+      }
+      problems = targetProblems(best.metrics, readingTarget);
+    }
+
+    if (best.chapter !== chapters[i]) {
+      chapters[i] = best.chapter;
+    }
+    if (passes > 0) {
+      simplified.push({ number: i + 1, passes, gradeBefore: before.fleschKincaidGrade, gradeAfter: best.metrics.fleschKincaidGrade });
+    }
+  }
+
+  return { storyData: { ...storyData, chapters }, simplified };
+};
+
+module.exports = {
+  AGE_BANDS,
+  READING_LEVELS,
+  analyzeStory,
+  analyzeText,
+  countSyllables,
+  readingGuidance,
+  resolveReadingTarget,
+  simplifyChapters,
+  targetProblems
+};
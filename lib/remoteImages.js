@@ -0,0 +1,111 @@
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+
+// Downloads pictures from URLs a client sent (a story's imageUrls). Only
+// https URLs on the image providers' hosts are fetched, and only when the
+// host resolves to a public address: the lookup that vets the address is
+// the one the connection uses, and redirects are not followed. Data URLs
+// are decoded here without any request.
+
+const MB = 1024 * 1024;
+
+// Where OpenAI's generated images are served from
+const DEFAULT_HOSTS = 'oaidalleapiprodscus.blob.core.windows.net';
+
+// IMAGE_URL_HOSTS: comma separated; '.example.com' also allows subdomains
+const loadRemoteImageConfig = (env = process.env) => ({
+  hosts: (env.IMAGE_URL_HOSTS || DEFAULT_HOSTS).split(',').map(host => host.trim().toLowerCase()).filter(Boolean),
+  maxBytes: (Number(env.IMAGE_URL_MAX_MB) || 20) * MB,
+  timeoutMs: (Number(env.IMAGE_URL_TIMEOUT_SECONDS) || 30) * 1000
+});
+
+const refused = (message) => Object.assign(new Error(message), { code: 'IMAGE_URL_REFUSED' });
+
+// Private, loopback, link-local, carrier-grade NAT, multicast and reserved ranges
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv6'));
+
+const isPublicAddress = (address) => {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPublicAddress(mapped[1]);
+  const family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+  return Boolean(family) && !blocked.check(address, family);
+};
+
+// dns.lookup that fails for hosts resolving to a non-public address
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const unsafe = addresses.find(({ address }) => !isPublicAddress(address));
+    if (unsafe) return callback(refused(`${hostname} resolves to a private address`));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const DATA_URL = /^data:(image\/[a-z0-9.+-]+);base64,([a-z0-9+/=\s]*)$/i;
+
+const createRemoteImages = (config = loadRemoteImageConfig()) => {
+  const agent = new https.Agent({ lookup: publicLookup });
+
+  const allowedHost = (hostname) => config.hosts.some(host => (host.startsWith('.')
+    ? hostname.endsWith(host) || hostname === host.slice(1)
+    : hostname === host));
+
+  // Why the URL would be refused, or null when it may be fetched
+  const check = (url) => {
+    if (DATA_URL.test(String(url))) return null;
+    let parsed;
+    try {
+      parsed = new URL(String(url));
+    } catch (error) {
+      return 'Not a valid URL';
+    }
+    if (parsed.protocol !== 'https:') return 'Only https image URLs are accepted';
+    if (parsed.username || parsed.password) return 'Image URLs may not carry credentials';
+    const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname)) return 'Image URLs must name a host, not an address';
+    if (!allowedHost(hostname)) return `Images are not fetched from ${hostname}`;
+    return null;
+  };
+
+  return {
+    check,
+
+    // Resolves with the image's bytes. Throws with code IMAGE_URL_REFUSED
+    // for URLs check() refuses and hosts with a private address.
+    async fetch(url) {
+      const reason = check(url);
+      if (reason) throw refused(reason);
+      const data = String(url).match(DATA_URL);
+      if (data) {
+        const buffer = Buffer.from(data[2], 'base64');
+        if (buffer.length > config.maxBytes) throw refused('The image is too large');
+        return buffer;
+      }
+      const response = await axios.get(String(url), {
+        responseType: 'arraybuffer',
+        httpsAgent: agent,
+        proxy: false,
+        maxRedirects: 0,
+        maxContentLength: config.maxBytes,
+        timeout: config.timeoutMs
+      });
+      return Buffer.from(response.data);
+    }
+  };
+};
+
+module.exports = {
+  createRemoteImages,
+  isPublicAddress,
+  loadRemoteImageConfig
+};
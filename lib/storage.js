@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+
+// Owns the scratch and generated files on local disk, in named areas:
+//   uploads   multipart uploads (multer writes here)
+//   previews  rendered PDF previews (see lib/previewStore)
+// Each area has a size quota and a garbage collector that removes files
+// older than maxAge and, when the area is over its quota, the oldest files
+// first. Stories, revisions and assets are not scratch and live elsewhere.
+
+const MB = 1024 * 1024;
+const HOUR = 3600000;
+
+const ROOT = path.join(__dirname, '..');
+
+// maxAge null: files stay until the area's own collector removes them.
+// evict false: the quota refuses new files instead of removing old ones.
+const loadStorageConfig = (env = process.env) => ({
+  gcInterval: (Number(env.STORAGE_GC_INTERVAL_SECONDS) || 10 * 60) * 1000,
+  areas: {
+    uploads: {
+      dir: env.UPLOADS_DIR || path.join(ROOT, 'uploads'),
+      // Only leftovers get this old: uploads a job took over stay until the
+      // job releases them, and files still being written are never evicted
+      maxAge: (Number(env.STORAGE_UPLOADS_MAX_AGE_HOURS) || 24) * HOUR,
+      maxBytes: (Number(env.STORAGE_UPLOADS_MAX_MB) || 1024) * MB,
+      evict: false
+    },
+    previews: {
+      dir: env.PREVIEW_DIR || path.join(ROOT, 'data', 'pdf-previews'),
+      maxAge: null,
+      maxBytes: (Number(env.STORAGE_PREVIEWS_MAX_MB) || 2048) * MB,
+      evict: false
+    }
+  }
+});
+
+const storageFullError = (name, needed, maxBytes) => Object.assign(
+  new Error(`Not enough storage space for ${name} (quota ${Math.round((maxBytes / MB) * 10) / 10} MB)`),
+  { code: 'STORAGE_FULL', area: name, needed }
+);
+
+const createStorage = (config = loadStorageConfig()) => {
+  const areas = {};
+  Object.entries(config.areas).forEach(([name, area]) => {
+    fs.mkdirSync(area.dir, { recursive: true });
+    areas[name] = { name, evict: true, ...area, collector: null, lastCollection: null };
+  });
+
+  // Files a request or job is working on; the collector leaves them alone
+  const inUse = new Set();
+
+  const areaOf = (name) => {
+    const area = areas[name];
+    if (!area) {
+      throw new Error(`Unknown storage area: ${name}`);
+    }
+    return area;
+  };
+
+  // Files directly in the area, oldest first. Dot files (e.g. the preview
+  // signing key) are not scratch and are left out.
+  const listFiles = async (area) => {
+    const entries = await fs.promises.readdir(area.dir, { withFileTypes: true });
+    const files = await Promise.all(entries
+      .filter(entry => entry.isFile() && !entry.name.startsWith('.'))
+      .map(async (entry) => {
+        const filePath = path.join(area.dir, entry.name);
+        try {
+          const { size, mtimeMs } = await fs.promises.stat(filePath);
+          return { path: filePath, size, mtimeMs };
+        } catch (error) {
+          if (error.code === 'ENOENT') return null;
+          throw error;
+        }
+      }));
+    return files.filter(Boolean).sort((a, b) => a.mtimeMs - b.mtimeMs);
+  };
+
+  const usageOf = async (area) => {
+    const files = await listFiles(area);
+    return {
+      files: files.length,
+      bytes: files.reduce((total, file) => total + file.size, 0),
+      oldestAt: files.length ? new Date(files[0].mtimeMs).toISOString() : null,
+      newestAt: files.length ? new Date(files[files.length - 1].mtimeMs).toISOString() : null
+    };
+  };
+
+  const removeFile = async (filePath) => {
+    try {
+      await fs.promises.unlink(filePath);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  };
+
+  // The area's own collector first, then the age and size policies
+  const collectArea = async (area) => {
+    let removed = area.collector ? await area.collector() : 0;
+    let freedBytes = 0;
+    const now = Date.now();
+    let files = (await listFiles(area)).filter(file => !inUse.has(file.path));
+
+    if (area.maxAge) {
+      const expired = files.filter(file => now - file.mtimeMs > area.maxAge);
+      for (const file of expired) {
+        if (await removeFile(file.path)) {
+          removed++;
+          freedBytes += file.size;
+        }
+      }
+      files = files.filter(file => !expired.includes(file));
+    }
+
+    if (area.evict) {
+      let bytes = (await usageOf(area)).bytes;
+      for (const file of files) {
+        if (bytes <= area.maxBytes) break;
+        if (await removeFile(file.path)) {
+          removed++;
+          freedBytes += file.size;
+          bytes -= file.size;
+        }
+      }
+    }
+
+    area.lastCollection = { at: new Date().toISOString(), removed, freedBytes };
+    return area.lastCollection;
+  };
+
+  const storage = {
+    dir: (name) => areaOf(name).dir,
+
+    // fn() removes whatever the area's own bookkeeping says is done with
+    // and resolves with how many files it removed
+    setCollector(name, fn) {
+      areaOf(name).collector = fn;
+    },
+
+    usage: (name) => usageOf(areaOf(name)),
+
+    // Makes sure `bytes` more fit in the area, collecting garbage first when
+    // they do not. Throws with code STORAGE_FULL otherwise.
+    async reserve(name, bytes) {
+      const area = areaOf(name);
+      if ((await usageOf(area)).bytes + bytes <= area.maxBytes) return;
+      await collectArea(area);
+      if ((await usageOf(area)).bytes + bytes > area.maxBytes) {
+        throw storageFullError(name, bytes, area.maxBytes);
+      }
+    },
+
+    // Middleware for multipart requests: refuses uploads that would not fit
+    // (507) and removes the request's uploads once the response is done,
+    // unless a job took them over with keepUpload()
+    scopeUploads(name = 'uploads') {
+      return async (req, res, next) => {
+        if (!req.is('multipart/form-data')) return next();
+        try {
+          await storage.reserve(name, Number(req.get('Content-Length')) || 0);
+        } catch (error) {
+          if (error.code !== 'STORAGE_FULL') return next(error);
+          return res.status(507).json({ error: error.message });
+        }
+        res.on('close', () => {
+          const files = [req.file, ...(Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat())];
+          files.filter(file => file && !file.kept).forEach(file => removeFile(file.path).catch(() => {}));
+        });
+        next();
+      };
+    },
+
+    // Hands an upload over to whoever deletes it later (a job), with
+    // releaseUpload(). Until then the collector leaves it alone.
+    keepUpload(file) {
+      file.kept = true;
+      inUse.add(file.path);
+      return file.path;
+    },
+
+    async releaseUpload(filePath) {
+      inUse.delete(filePath);
+      await removeFile(filePath);
+    },
+
+    // Collects every area; resolves with { [area]: { at, removed, freedBytes } }
+    async collect() {
+      const results = {};
+      for (const area of Object.values(areas)) {
+        try {
+          results[area.name] = await collectArea(area);
+        } catch (error) {
+          console.error(`Error collecting ${area.name} storage:`, error.message || error);
+          results[area.name] = { at: new Date().toISOString(), error: error.message };
+        }
+      }
+      return results;
+    },
+
+    // Collects now and every gcInterval; returns a function that stops it
+    start() {
+      const run = () => storage.collect().catch(error => {
+        console.error('Error collecting storage:', error.message || error);
+      });
+      run();
+      const timer = setInterval(run, config.gcInterval);
+      timer.unref();
+      return () => clearInterval(timer);
+    },
+
+    // Usage per area plus the free space on each area's disk
+    async report() {
+      const report = await Promise.all(Object.values(areas).map(async (area) => {
+        const usage = await usageOf(area);
+        const disk = await fs.promises.statfs(area.dir);
+        return {
+          name: area.name,
+          dir: path.relative(ROOT, area.dir) || '.',
+          ...usage,
+          maxBytes: area.maxBytes,
+          usedPercent: Math.round((usage.bytes / area.maxBytes) * 1000) / 10,
+          maxAgeHours: area.maxAge ? area.maxAge / HOUR : null,
+          evict: area.evict,
+          lastCollection: area.lastCollection,
+          disk: { freeBytes: disk.bavail * disk.bsize, totalBytes: disk.blocks * disk.bsize }
+        };
+      }));
+      return { areas: report, gcIntervalSeconds: config.gcInterval / 1000 };
+    }
+  };
+
+  return storage;
+};
+
+module.exports = {
+  createStorage,
+  loadStorageConfig
+};
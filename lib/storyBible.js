@@ -0,0 +1,63 @@
+// The story bible keeps illustrations consistent: one character sheet and one
+// art style per story, added to every image prompt.
+//   { characters: [{ name, appearance, clothing }], artStyle }
+
+// DALL·E 3 rejects prompts over 4000 characters
+const MAX_IMAGE_PROMPT_LENGTH = 4000;
+
+const BIBLE_PROMPT = 'You are an illustration art director for a children\'s picture book. Read the story and describe every recurring character so an illustrator can draw them the same way in every picture, and choose one art style for the whole book. Respond with JSON only: {"characters": [{"name": "...", "appearance": "species or build, age, hair/fur, colours, distinctive features", "clothing": "..."}], "artStyle": "medium, palette, lighting and mood"}.';
+
+const cleanText = (value) => String(value || '').replace(/\s+/g, ' ').trim();
+
+const normalizeBible = (input) => {
+  const bible = input && typeof input === 'object' ? input : {};
+  const characters = Array.isArray(bible.characters) ? bible.characters : [];
+
+  return {
+    characters: characters
+      .map(character => ({
+        name: cleanText(character && character.name),
+        appearance: cleanText(character && character.appearance),
+        clothing: cleanText(character && character.clothing)
+      }))
+      .filter(character => character.name),
+    artStyle: cleanText(bible.artStyle)
+  };
+};
+
+const isEmptyBible = (bible) => !bible || (!bible.artStyle && (!bible.characters || bible.characters.length === 0));
+
+const describeCharacter = ({ name, appearance, clothing }) => [
+  name,
+  appearance && `looks like ${appearance}`,
+  clothing && `wears ${clothing}`
+].filter(Boolean).join(', ');
+
+// Adds the art style and the sheets of the characters named in the scene
+// (or all of them when none is named) to an image prompt
+const buildImagePrompt = (scene, bible) => {
+  if (isEmptyBible(bible)) {
+    return scene;
+  }
+
+  const sceneText = String(scene || '').toLowerCase();
+  const named = bible.characters.filter(character => sceneText.includes(character.name.toLowerCase().split(' ')[0]));
+  const characters = named.length > 0 ? named : bible.characters;
+
+  const parts = [scene];
+  if (bible.artStyle) {
+    parts.push(`Art style: ${bible.artStyle}.`);
+  }
+  if (characters.length > 0) {
+    parts.push(`Characters (keep them exactly like this): ${characters.map(describeCharacter).join('; ')}.`);
+  }
+
+  return parts.join('\n\n').slice(0, MAX_IMAGE_PROMPT_LENGTH);
+};
+
+module.exports = {
+  BIBLE_PROMPT,
+  buildImagePrompt,
+  isEmptyBible,
+  normalizeBible
+};
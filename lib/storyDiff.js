@@ -0,0 +1,99 @@
+const { getChapters } = require('./storySchema');
+
+// Word-level diff (longest common subsequence). Whitespace is kept with the
+// word before it so joining the parts gives back the original text.
+const tokenize = (text) => String(text || '').match(/\S+\s*|\s+/g) || [];
+
+// Above this many table cells a changed text is shown as one replacement
+const MAX_DIFF_CELLS = 4000000;
+
+const diffWords = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const key = (token) => token.trim();
+
+  if ((a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS) {
+    return [
+      ...(a.length ? [{ type: 'delete', text: a.join('') }] : []),
+      ...(b.length ? [{ type: 'insert', text: b.join('') }] : [])
+    ];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..], stored flat
+  const width = b.length + 1;
+  const lengths = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = key(a[i]) === key(b[j])
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (key(a[i]) === key(b[j])) {
+      push('equal', b[j]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      push('delete', a[i++]);
+    } else {
+      push('insert', b[j++]);
+    }
+  }
+  while (i < a.length) push('delete', a[i++]);
+  while (j < b.length) push('insert', b[j++]);
+
+  return parts;
+};
+
+// Compares two revisions chapter by chapter: title and text changes as word
+// diffs, and whether the picture changed
+const diffRevisions = (from, to) => {
+  const before = getChapters(from.storyData);
+  const after = getChapters(to.storyData);
+  const count = Math.max(before.length, after.length);
+  const chapters = [];
+
+  for (let i = 0; i < count; i++) {
+    const old = before[i];
+    const current = after[i];
+    const status = !old ? 'added' : !current ? 'removed' : 'kept';
+    const titleChanged = !old || !current || old.title !== current.title;
+    const bodyChanged = !old || !current || old.body !== current.body;
+    const imageChanged = ((from.imageUrls || [])[i] || null) !== ((to.imageUrls || [])[i] || null);
+
+    chapters.push({
+      number: i + 1,
+      status,
+      changed: titleChanged || bodyChanged || imageChanged,
+      title: titleChanged ? diffWords(old && old.title, current && current.title) : null,
+      body: bodyChanged ? diffWords(old && old.body, current && current.body) : null,
+      imageChanged
+    });
+  }
+
+  return {
+    from: from.number,
+    to: to.number,
+    storyName: from.storyName !== to.storyName ? diffWords(from.storyName, to.storyName) : null,
+    chapters
+  };
+};
+
+module.exports = {
+  diffRevisions,
+  diffWords
+};
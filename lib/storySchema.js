@@ -0,0 +1,218 @@
+// Canonical story shape: { chapters: [{ title, body }] } in reading order.
+// The old flat shape ({ chapter1, chapter1Name, chapter2, ... }) is still
+// accepted everywhere and can be produced again for older clients.
+
+const FLAT_KEY = /^chapter(\d+)(Name)?$/;
+
+const countWords = (text) => String(text || '').trim().split(/\s+/).filter(Boolean).length;
+
+// Pulls flat chapterN / chapterNName keys into an array ordered by N, so
+// chapter10 comes after chapter9 and unrelated keys are ignored
+const chaptersFromFlatKeys = (data) => {
+  const byNumber = new Map();
+
+  Object.keys(data).forEach(key => {
+    const match = key.match(FLAT_KEY);
+    if (!match) return;
+
+    const number = Number(match[1]);
+    const chapter = byNumber.get(number) || { title: '', body: '' };
+    if (match[2]) {
+      chapter.title = String(data[key] || '');
+    } else {
+      chapter.body = String(data[key] || '');
+    }
+    byNumber.set(number, chapter);
+  });
+
+  return Array.from(byNumber.keys())
+    .sort((a, b) => a - b)
+    .map(number => byNumber.get(number));
+};
+
+const normalizeChapter = (chapter) => ({
+  ...chapter,
+  title: String(chapter.title || chapter.name || chapter.chapterName || '').trim(),
+  body: String(chapter.body || chapter.text || chapter.content || '').trim()
+});
+
+// Returns the ordered chapter list from either story shape
+const getChapters = (storyData) => {
+  if (!storyData || typeof storyData !== 'object') return [];
+  if (Array.isArray(storyData)) return storyData.map(normalizeChapter);
+  if (Array.isArray(storyData.chapters)) return storyData.chapters.map(normalizeChapter);
+  return chaptersFromFlatKeys(storyData);
+};
+
+const normalizeStoryData = (storyData) => ({ chapters: getChapters(storyData) });
+
+const toFlatKeys = (storyData) => {
+  const flat = {};
+  getChapters(storyData).forEach((chapter, i) => {
+    flat[`chapter${i + 1}`] = chapter.body;
+    flat[`chapter${i + 1}Name`] = chapter.title;
+  });
+  return flat;
+};
+
+// What API responses return: the chapters array plus the legacy keys
+const toResponseStoryData = (storyData) => {
+  const { chapters } = normalizeStoryData(storyData);
+  return { ...toFlatKeys({ chapters }), chapters };
+};
+
+const getStoryText = (storyData) => getChapters(storyData)
+  .map(chapter => `${chapter.title}\n\n${chapter.body}`)
+  .join('\n\n');
+
+// Word limits get 10% slack; models rarely land exactly on a number
+const WORD_LIMIT_SLACK = 1.1;
+
+// Returns a list of human-readable problems, empty when the story is valid.
+// `limit` problems are soft: they are worth a re-prompt but not a failure.
+const validateStory = (storyData, { numChapters, maxWordsPerChapter } = {}) => {
+  const problems = [];
+  const chapters = getChapters(storyData);
+  const expected = Number(numChapters);
+  const maxWords = Number(maxWordsPerChapter);
+
+  if (chapters.length === 0) {
+    problems.push({ type: 'structure', message: 'The story has no chapters.' });
+  } else if (expected && chapters.length !== expected) {
+    problems.push({ type: 'structure', message: `Expected ${expected} chapters but got ${chapters.length}.` });
+  }
+
+  chapters.forEach((chapter, i) => {
+    if (!chapter.title) {
+      problems.push({ type: 'structure', message: `Chapter ${i + 1} has no title.` });
+    }
+    if (!chapter.body) {
+      problems.push({ type: 'structure', message: `Chapter ${i + 1} has no text.` });
+      return;
+    }
+
+    const words = countWords(chapter.body);
+    if (maxWords && words > maxWords * WORD_LIMIT_SLACK) {
+      problems.push({ type: 'limit', message: `Chapter ${i + 1} has ${words} words; the limit is ${maxWords}.` });
+    }
+  });
+
+  return problems;
+};
+
+// Finds the outermost JSON object in model output, skipping prose and code
+// fences around it. Braces inside strings are not counted.
+const findJsonObject = (text) => {
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') inString = true;
+    else if (char === '{') depth++;
+    else if (char === '}') {
+      depth--;
+      if (depth === 0) return text.slice(start, i + 1);
+    }
+  }
+
+  // Truncated output: hand back what there is (without a closing code
+  // fence) and let repair close it
+  return text.slice(start).replace(/\s*```\s*$/, '');
+};
+
+// Fixes the mistakes models usually make in JSON: smart quotes around keys
+// and values, raw newlines inside strings, trailing commas and unclosed
+// brackets. Text inside strings is left as it is, smart quotes included.
+const repairJson = (json) => {
+  let repaired = '';
+  let inString = false;
+  // The string was opened with a smart quote, so a closing one ends it too
+  let smartString = false;
+  let escaped = false;
+  const closers = [];
+
+  const dropTrailingComma = () => {
+    const trimmed = repaired.trimEnd();
+    if (trimmed.endsWith(',')) repaired = trimmed.slice(0, -1);
+  };
+
+  for (const char of json) {
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"' || (smartString && char === '”')) {
+        inString = false;
+        repaired += '"';
+        continue;
+      } else if (char === '\n') {
+        repaired += '\\n';
+        continue;
+      } else if (char === '\r' || char === '\t') {
+        repaired += char === '\t' ? '\\t' : '';
+        continue;
+      }
+      repaired += char;
+      continue;
+    }
+
+    if (char === '"' || char === '“' || char === '”') {
+      inString = true;
+      smartString = char !== '"';
+      repaired += '"';
+      continue;
+    }
+    if (char === '{') closers.push('}');
+    else if (char === '[') closers.push(']');
+    else if (char === '}' || char === ']') {
+      closers.pop();
+      dropTrailingComma();
+    }
+    repaired += char;
+  }
+
+  if (inString) repaired += '"';
+  dropTrailingComma();
+  return repaired + closers.reverse().join('');
+};
+
+// Parses the JSON object out of raw model output, repairing it if needed
+const extractJson = (text) => {
+  const cleaned = String(text || '')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F-\u009F]/g, '');
+
+  const candidate = findJsonObject(cleaned);
+  if (!candidate) {
+    throw new Error('No JSON object found in response');
+  }
+
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    return JSON.parse(repairJson(candidate));
+  }
+};
+
+module.exports = {
+  countWords,
+  extractJson,
+  getChapters,
+  getStoryText,
+  normalizeStoryData,
+  repairJson,
+  toFlatKeys,
+  toResponseStoryData,
+  validateStory
+};
@@ -0,0 +1,269 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { normalizeStoryData } = require('./storySchema');
+const { normalizeBible } = require('./storyBible');
+
+// Fields that can be set on a story project. `moderation` (the moderation
+// report) and `narration` (the read-aloud tracks, see lib/narration) are
+// only ever written by the server; the routes refuse them.
+// `readingTarget` is the age band / reading level the story is written for,
+// `language` the code of the language it is written in and `translations`
+// its translated versions by language code:
+//   { [code]: { language, storyName, storyData, sourceRevision, translatedAt } }
+// `keyId`, the API key that created the story, comes from create()'s meta
+// and never changes.
+const STORY_FIELDS = ['storyName', 'storyData', 'imageUrls', 'summary', 'bible', 'readingTarget', 'moderation', 'language', 'translations', 'narration'];
+
+const pickStoryFields = (input = {}) => {
+  const fields = {};
+  STORY_FIELDS.forEach(key => {
+    if (input[key] !== undefined) {
+      fields[key] = input[key];
+    }
+  });
+  // Stories are always stored as an ordered chapters array
+  if (fields.storyData) {
+    fields.storyData = normalizeStoryData(fields.storyData);
+  }
+  if (fields.bible) {
+    fields.bible = normalizeBible(fields.bible);
+  }
+  if (fields.translations) {
+    fields.translations = Object.entries(fields.translations).reduce((all, [code, translation]) => ({
+      ...all,
+      [code]: { ...translation, storyData: normalizeStoryData(translation.storyData) }
+    }), {});
+  }
+  return fields;
+};
+
+// A chapter summary describes the text it was made from; when the text
+// changes but the summary was carried over unchanged it is dropped, so the
+// next illustration pass makes a fresh one
+const dropStaleSummaries = (previous, next) => {
+  const before = (previous && previous.chapters) || [];
+  return {
+    ...next,
+    chapters: next.chapters.map((chapter, i) => {
+      const old = before[i];
+      if (!chapter.summary || !old || old.body === chapter.body || old.summary !== chapter.summary) {
+        return chapter;
+      }
+      const { summary, ...rest } = chapter;
+      return rest;
+    })
+  };
+};
+
+// Keeps every story in memory, lost on restart (handy for tests and local dev)
+const createMemoryStore = () => {
+  const stories = new Map();
+
+  return {
+    async list() {
+      return Array.from(stories.values());
+    },
+    async get(id) {
+      return stories.get(id) || null;
+    },
+    async save(story) {
+      stories.set(story.id, story);
+      return story;
+    },
+    async remove(id) {
+      return stories.delete(id);
+    }
+  };
+};
+
+// Writes one JSON document per story into dataDir
+const createFileStore = ({ dataDir }) => {
+  const storyPath = (id) => path.join(dataDir, `${path.basename(id)}.json`);
+
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+
+  return {
+    async list() {
+      const files = await fs.promises.readdir(dataDir);
+      const stories = await Promise.all(
+        files
+          .filter(file => file.endsWith('.json'))
+          .map(file => this.get(path.basename(file, '.json')))
+      );
+      return stories.filter(Boolean);
+    },
+    async get(id) {
+      try {
+        const content = await fs.promises.readFile(storyPath(id), 'utf8');
+        return JSON.parse(content);
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async save(story) {
+      // Write to a temp file first so a crash never leaves half a story on disk
+      const target = storyPath(story.id);
+      const tempPath = `${target}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempPath, JSON.stringify(story, null, 2));
+      await fs.promises.rename(tempPath, target);
+      return story;
+    },
+    async remove(id) {
+      try {
+        await fs.promises.unlink(storyPath(id));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    }
+  };
+};
+
+const drivers = {
+  memory: createMemoryStore,
+  file: createFileStore
+};
+
+// Other backends (SQLite, Postgres, ...) plug in here with the same
+// list/get/save/remove interface
+const registerStoreDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+// Fields that make up a revision: the text, chapter names, pictures and translations
+const REVISION_FIELDS = ['storyName', 'storyData', 'imageUrls', 'translations'];
+const MAX_REVISIONS = Number(process.env.STORY_MAX_REVISIONS) || 100;
+
+const snapshotOf = (story) => {
+  const snapshot = {};
+  REVISION_FIELDS.forEach(key => {
+    snapshot[key] = story[key];
+  });
+  return snapshot;
+};
+
+const createStoryStore = (options = {}) => {
+  const driverName = options.driver || process.env.STORY_STORE || 'file';
+  const factory = drivers[driverName];
+  if (!factory) {
+    throw new Error(`Unknown story store driver: ${driverName}`);
+  }
+
+  const dataDir = options.dataDir || process.env.STORY_DATA_DIR || path.join(__dirname, '..', 'data', 'stories');
+  const backend = factory({ ...options, dataDir });
+  // Revisions live in their own documents ({ id, revisions }) so loading a
+  // story does not drag its whole history along
+  const revisionBackend = factory({
+    ...options,
+    dataDir: options.revisionsDir || process.env.STORY_REVISIONS_DIR || path.join(dataDir, '..', 'revisions')
+  });
+
+  // meta: { author, cause } where cause is e.g. create, edit, regenerate, translate, restore
+  const recordRevision = async (story, { author = 'system', cause = 'edit', restoredFrom } = {}) => {
+    const history = (await revisionBackend.get(story.id)) || { id: story.id, revisions: [] };
+    const last = history.revisions[history.revisions.length - 1];
+    const snapshot = snapshotOf(story);
+
+    if (last && JSON.stringify(snapshotOf(last)) === JSON.stringify(snapshot)) {
+      return last.number;
+    }
+
+    const number = last ? last.number + 1 : 1;
+    history.revisions.push({
+      number,
+      author,
+      cause,
+      ...(restoredFrom ? { restoredFrom } : {}),
+      createdAt: story.updatedAt,
+      ...snapshot
+    });
+    history.revisions = history.revisions.slice(-MAX_REVISIONS);
+    await revisionBackend.save(history);
+    return number;
+  };
+
+  const store = {
+    async list() {
+      const stories = await backend.list();
+      return stories.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    },
+
+    get: (id) => backend.get(id),
+
+    async create(input, meta = {}) {
+      const now = new Date().toISOString();
+      const story = {
+        id: uuidv4(),
+        storyName: '',
+        storyData: { chapters: [] },
+        imageUrls: [],
+        summary: '',
+        bible: normalizeBible(null),
+        ...pickStoryFields(input),
+        keyId: meta.keyId || null,
+        createdAt: now,
+        updatedAt: now
+      };
+      story.revision = await recordRevision(story, { cause: 'create', ...meta });
+      return backend.save(story);
+    },
+
+    async update(id, changes, meta = {}) {
+      const story = await backend.get(id);
+      if (!story) return null;
+
+      const fields = pickStoryFields(changes);
+      if (fields.storyData) {
+        fields.storyData = dropStaleSummaries(story.storyData, fields.storyData);
+      }
+
+      const updated = {
+        ...story,
+        ...fields,
+        updatedAt: new Date().toISOString()
+      };
+      updated.revision = await recordRevision(updated, meta);
+      return backend.save(updated);
+    },
+
+    async remove(id) {
+      await revisionBackend.remove(id);
+      return backend.remove(id);
+    },
+
+    // Revision summaries, oldest first, without their content
+    async listRevisions(id) {
+      const history = await revisionBackend.get(id);
+      if (!history) return null;
+      return history.revisions.map(({ number, author, cause, restoredFrom, createdAt }) => ({
+        number, author, cause, createdAt, ...(restoredFrom ? { restoredFrom } : {})
+      }));
+    },
+
+    async getRevision(id, number) {
+      const history = await revisionBackend.get(id);
+      if (!history) return null;
+      return history.revisions.find(revision => revision.number === Number(number)) || null;
+    },
+
+    // Puts an old revision's content back; this is itself a new revision
+    async restore(id, number, meta = {}) {
+      const revision = await store.getRevision(id, number);
+      if (!revision) return null;
+      return store.update(id, snapshotOf(revision), { ...meta, cause: 'restore', restoredFrom: revision.number });
+    }
+  };
+
+  return store;
+};
+
+module.exports = {
+  createStoryStore,
+  registerStoreDriver,
+  pickStoryFields
+};
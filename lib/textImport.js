@@ -0,0 +1,209 @@
+// Turns text that came from outside (scanned pages, manuscripts, see
+// lib/importers) into the storyData shape the generators produce:
+//   { chapters: [{ title, body }] }
+// Titles are left empty where the text has none, for the caller to fill in.
+
+// Chapters the import is split into when the text has no headings of its own
+const WORDS_PER_CHAPTER = 250;
+const MAX_CHAPTERS = 12;
+
+const NUMBER_WORDS = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen', 'twenty'];
+
+// "Chapter 3", "CHAPTER THREE: The Storm", "Chapitre 2 - La forêt"
+const CHAPTER_HEADING = new RegExp(
+  `^(?:chapter|chapitre|cap[ií]tulo|capitolo|kapitel|hoofdstuk)\\s+(?:\\d+|[ivxlc]+|${NUMBER_WORDS.join('|')})\\b\\s*[:.\\-\\u2013\\u2014]?\\s*(.*)$`,
+  'i'
+);
+
+const countWords = (text) => String(text || '').split(/\s+/).filter(Boolean).length;
+
+// Headings are short lines; a sentence that merely starts with "Chapter" is not one
+const parseHeading = (line) => {
+  const match = String(line).trim().match(CHAPTER_HEADING);
+  return match && countWords(line) <= 12 ? { title: match[1].replace(/[.:]+$/, '').trim() } : null;
+};
+
+// Undoes what scanning and hard-wrapped files do to text: ligatures, words
+// hyphenated across lines, lines broken mid-sentence and stray marks.
+// Paragraphs come back separated by blank lines; chapter headings always
+// stand alone.
+const cleanText = (text) => {
+  const lines = String(text || '')
+    .normalize('NFKC')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[^\S\n]+/g, ' ')
+    .replace(/[\u0000-\u0008\u000b-\u001f\u007f]/g, '')
+    .replace(/(\p{L})[-\u00ad]\n\s*(\p{Ll})/gu, '$1$2')
+    .split('\n')
+    .map(line => line.trim())
+    // Page numbers, smudges and rules have no letters in them
+    .filter(line => line === '' || /\p{L}/u.test(line));
+
+  const paragraphs = [];
+  let current = [];
+  const flush = () => {
+    if (current.length) paragraphs.push(current.join(' '));
+    current = [];
+  };
+  lines.forEach(line => {
+    if (!line) {
+      flush();
+    } else if (parseHeading(line)) {
+      flush();
+      paragraphs.push(line);
+    } else {
+      current.push(line);
+    }
+  });
+  flush();
+
+  return paragraphs
+    .map(paragraph => paragraph.replace(/ +([,.;:!?])/g, '$1').replace(/ {2,}/g, ' '))
+    .join('\n\n');
+};
+
+// Groups units (paragraphs or sentences) into `count` runs of about the same
+// number of words, never splitting a unit
+const groupEvenly = (units, count, wordsOf = countWords) => {
+  const total = units.reduce((sum, unit) => sum + wordsOf(unit), 0);
+  const groups = [];
+  let current = [];
+  let seen = 0;
+  units.forEach((unit, i) => {
+    current.push(unit);
+    seen += wordsOf(unit);
+    const unitsLeft = units.length - i - 1;
+    const groupsLeft = count - groups.length - 1;
+    if (groupsLeft > 0 && (seen >= (total * (groups.length + 1)) / count || unitsLeft === groupsLeft)) {
+      groups.push(current);
+      current = [];
+    }
+  });
+  if (current.length) groups.push(current);
+  return groups;
+};
+
+// A file with more headings than MAX_CHAPTERS has its neighbouring chapters
+// joined, about evenly by length. The joined ones keep their titles as a
+// line of text.
+const capChapters = (chapters) => {
+  if (chapters.length <= MAX_CHAPTERS) return chapters;
+  return groupEvenly(chapters, MAX_CHAPTERS, chapter => countWords(chapter.body)).map(group => ({
+    title: group[0].title,
+    body: group.map((chapter, i) => (i > 0 && chapter.title ? `${chapter.title}\n\n${chapter.body}` : chapter.body)).join('\n\n')
+  }));
+};
+
+// Splits cleaned text into chapters. Headings in the text ("Chapter 2: The
+// Storm") win, up to MAX_CHAPTERS; otherwise it is cut into `numChapters`
+// parts (by default one per WORDS_PER_CHAPTER words) at paragraph breaks,
+// or between sentences when there are too few paragraphs. A short first
+// line before the first heading is taken as the book's title.
+// Returns { storyName, storyData }.
+const splitChapters = (text, { numChapters } = {}) => {
+  const paragraphs = String(text || '').split(/\n{2,}/).map(paragraph => paragraph.trim()).filter(Boolean);
+  let storyName = null;
+
+  if (paragraphs.some(parseHeading)) {
+    const chapters = [];
+    paragraphs.forEach((paragraph, i) => {
+      const heading = parseHeading(paragraph);
+      if (heading) {
+        chapters.push({ title: heading.title, body: [] });
+      } else if (chapters.length) {
+        chapters[chapters.length - 1].body.push(paragraph);
+      } else if (i === 0 && countWords(paragraph) <= 12 && !/[.!?]$/.test(paragraph)) {
+        storyName = paragraph;
+      } else {
+        // Text before the first heading opens the book as a chapter of its own
+        chapters.push({ title: '', body: [paragraph] });
+      }
+    });
+    return {
+      storyName,
+      storyData: {
+        chapters: capChapters(chapters
+          .filter(chapter => chapter.body.length)
+          .map(chapter => ({ title: chapter.title, body: chapter.body.join('\n\n') })))
+      }
+    };
+  }
+
+  const words = countWords(text);
+  const count = Math.max(1, Math.min(MAX_CHAPTERS, Number(numChapters) || Math.round(words / WORDS_PER_CHAPTER) || 1));
+  if (paragraphs.length >= count) {
+    return {
+      storyName,
+      storyData: { chapters: groupEvenly(paragraphs, count).map(group => ({ title: '', body: group.join('\n\n') })) }
+    };
+  }
+
+  const sentences = paragraphs.flatMap(paragraph => paragraph.match(/[^.!?]+[.!?]+["'”’)]*|[^.!?]+$/g) || [])
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+  return {
+    storyName,
+    storyData: { chapters: groupEvenly(sentences, Math.min(count, sentences.length)).map(group => ({ title: '', body: group.join(' ') })) }
+  };
+};
+
+// Chapters from a document that marks its headings (Markdown, DOCX):
+//   blocks: [{ type: 'title' | 'heading' | 'paragraph', text, level }]
+// A heading level used once at the top above a deeper, repeated one is the
+// book's title; the shallowest remaining level starts chapters (at most
+// MAX_CHAPTERS) and deeper headings stay in the text. Without headings it
+// falls back to splitChapters. Returns { storyName, storyData }.
+const chaptersFromBlocks = (blocks, { numChapters } = {}) => {
+  let titleBlock = blocks.find(block => block.type === 'title') || null;
+  let headings = blocks.filter(block => block.type === 'heading' && block.text);
+
+  const levels = Array.from(new Set(headings.map(heading => heading.level))).sort((a, b) => a - b);
+  if (!titleBlock && levels.length > 1 && headings.filter(heading => heading.level === levels[0]).length === 1 &&
+      blocks.find(block => block.text) === headings[0]) {
+    titleBlock = headings[0];
+    headings = headings.slice(1);
+  }
+  const storyName = titleBlock ? titleBlock.text : null;
+  const chapterLevel = Math.min(...headings.map(heading => heading.level));
+
+  if (headings.length === 0) {
+    const text = blocks.filter(block => block.type === 'paragraph').map(block => block.text).join('\n\n');
+    const split = splitChapters(cleanText(text), { numChapters });
+    return { storyName: storyName || split.storyName, storyData: split.storyData };
+  }
+
+  const chapters = [];
+  blocks.forEach(block => {
+    if (block === titleBlock || block.type === 'title' || !block.text) return;
+    if (block.type === 'heading' && block.level === chapterLevel) {
+      // "Chapter 2: The Storm" and "2. The Storm" keep just the name
+      const heading = parseHeading(block.text);
+      chapters.push({ title: heading ? heading.title : block.text.replace(/^\d+[.:)]\s+/, ''), body: [] });
+      return;
+    }
+    if (!chapters.length) {
+      // Text before the first heading opens the book as a chapter of its own
+      chapters.push({ title: '', body: [] });
+    }
+    chapters[chapters.length - 1].body.push(block.text);
+  });
+
+  return {
+    storyName,
+    storyData: {
+      chapters: capChapters(chapters
+        .map(chapter => ({ title: chapter.title, body: cleanText(chapter.body.join('\n\n')) }))
+        .filter(chapter => chapter.body))
+    }
+  };
+};
+
+module.exports = {
+  MAX_CHAPTERS,
+  chaptersFromBlocks,
+  cleanText,
+  countWords,
+  parseHeading,
+  splitChapters
+};
@@ -0,0 +1,211 @@
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createPriceTable } = require('./pricing');
+
+// Records every model call (tokens, images, characters read, estimated cost) as one JSON line
+// in <dir>/<day>.jsonl. Calls are attributed to whatever is running them
+// (a request or a job) through track(context, fn):
+//   context: { keyId, user, endpoint, jobId, totals }
+// where totals, when given, is an object that adds up the calls made inside.
+
+const GROUP_FIELDS = ['day', 'user', 'endpoint', 'model', 'task', 'kind'];
+
+const emptyTotals = () => ({ calls: 0, promptTokens: 0, completionTokens: 0, images: 0, characters: 0, cost: 0 });
+
+const addTo = (totals, record) => {
+  totals.calls++;
+  totals.promptTokens += record.promptTokens || 0;
+  totals.completionTokens += record.completionTokens || 0;
+  totals.images += record.images || 0;
+  totals.characters += record.characters || 0;
+  totals.cost = Math.round((totals.cost + (record.cost || 0)) * 1000000) / 1000000;
+};
+
+// Rough token count for providers that do not report usage
+const approximateTokens = (value) => {
+  if (Array.isArray(value)) {
+    return value.reduce((sum, part) => sum + approximateTokens(part && (part.content || part.text)), 0);
+  }
+  return Math.ceil(String(value || '').length / 4);
+};
+
+const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value || ''));
+
+const createUsageLedger = (options = {}) => {
+  const dir = options.dir || process.env.USAGE_DIR || path.join(__dirname, '..', 'data', 'usage');
+  const prices = options.prices || createPriceTable();
+  const storage = new AsyncLocalStorage();
+
+  // Appends are chained so lines never interleave
+  let writing = Promise.resolve();
+  const append = (record) => {
+    writing = writing.then(async () => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.appendFile(path.join(dir, `${record.day}.jsonl`), `${JSON.stringify(record)}\n`);
+    }).catch(error => {
+      console.error('Error saving usage record:', error.message || error);
+    });
+    return writing;
+  };
+
+  const readDay = async (day) => {
+    try {
+      const content = await fs.promises.readFile(path.join(dir, `${day}.jsonl`), 'utf8');
+      return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  };
+
+  const ledger = {
+    track: (context, fn) => storage.run({ ...context }, fn),
+
+    // Totals of the request or job currently running, if it keeps any
+    currentTotals: () => {
+      const context = storage.getStore();
+      return (context && context.totals) || null;
+    },
+
+    // call: { kind: 'chat' | 'vision' | 'image' | 'speech', task, model,
+    //         promptTokens, completionTokens, images, size, characters, estimated }
+    record(call) {
+      const context = storage.getStore() || {};
+      const at = new Date().toISOString();
+      const record = {
+        at,
+        day: at.slice(0, 10),
+        ...call,
+        cost: prices.estimate(call),
+        keyId: context.keyId || null,
+        user: context.user || 'anonymous',
+        endpoint: context.endpoint || 'internal',
+        jobId: context.jobId || null
+      };
+      if (context.totals) {
+        addTo(context.totals, record);
+      }
+      append(record);
+      return record;
+    },
+
+    // Sums the records between two days (inclusive) into groups.
+    // options: { from, to, keyId, groupBy: ['day', 'user', 'endpoint'] }
+    async report({ from, to, keyId, groupBy = ['day', 'user', 'endpoint'] } = {}) {
+      const today = new Date().toISOString().slice(0, 10);
+      const end = isDay(to) ? to : today;
+      const start = isDay(from) ? from : new Date(Date.parse(end) - 29 * 86400000).toISOString().slice(0, 10);
+      const fields = groupBy.filter(field => GROUP_FIELDS.includes(field));
+
+      await writing;
+      const days = (await fs.promises.readdir(dir).catch(() => []))
+        .map(file => path.basename(file, '.jsonl'))
+        .filter(day => isDay(day) && day >= start && day <= end);
+
+      const totals = emptyTotals();
+      const groups = new Map();
+      const unpriced = new Set();
+
+      for (const day of days.sort()) {
+        (await readDay(day))
+          .filter(record => !keyId || record.keyId === keyId)
+          .forEach(record => {
+            const key = fields.map(field => (field === 'user' ? record.keyId || record.user : record[field])).join('\u0000');
+            if (!groups.has(key)) {
+              const group = {};
+              fields.forEach(field => {
+                group[field] = record[field];
+              });
+              groups.set(key, Object.assign(group, emptyTotals()));
+            }
+            addTo(groups.get(key), record);
+            addTo(totals, record);
+            if (record.cost === null) {
+              unpriced.add(record.model);
+            }
+          });
+      }
+
+      return {
+        from: start,
+        to: end,
+        groupBy: fields,
+        currency: 'USD',
+        totals,
+        groups: Array.from(groups.values()).sort((a, b) => (b.day || '').localeCompare(a.day || '') || b.cost - a.cost),
+        // Models without a price count as free in the totals above
+        unpricedModels: Array.from(unpriced)
+      };
+    }
+  };
+
+  return ledger;
+};
+
+// Wraps the providers from lib/providers so every call lands in the ledger
+const meterProviders = (providers, ledger) => {
+  const recordChat = (kind, options, response) => {
+    const usage = response.usage || {};
+    const reported = usage.prompt_tokens !== undefined || usage.completion_tokens !== undefined;
+    ledger.record({
+      kind,
+      task: options.task || kind,
+      model: response.model || options.model || null,
+      promptTokens: reported ? usage.prompt_tokens || 0 : approximateTokens(options.messages || options.prompt),
+      completionTokens: reported ? usage.completion_tokens || 0 : approximateTokens(response.content),
+      images: 0,
+      ...(reported ? {} : { estimated: true })
+    });
+    return response;
+  };
+
+  return {
+    ...providers,
+
+    chat: async (options) => recordChat('chat', options, await providers.chat(options)),
+
+    describeImage: async (options) => recordChat('vision', { task: 'vision', ...options }, await providers.describeImage(options)),
+
+    async generateImage(options) {
+      const response = await providers.generateImage(options);
+      ledger.record({
+        kind: 'image',
+        task: 'image',
+        model: response.model || options.model || null,
+        promptTokens: 0,
+        completionTokens: 0,
+        images: 1,
+        size: response.size || options.size || null
+      });
+      return response;
+    }
+  };
+};
+
+// Same for the narrator from lib/narration: speech is billed by characters
+const meterNarration = (narration, ledger) => ({
+  ...narration,
+
+  async narrate(text, options) {
+    const result = await narration.narrate(text, options);
+    ledger.record({
+      kind: 'speech',
+      task: 'narration',
+      model: result.model || null,
+      promptTokens: 0,
+      completionTokens: 0,
+      images: 0,
+      characters: result.characters
+    });
+    return result;
+  }
+});
+
+module.exports = {
+  GROUP_FIELDS,
+  createUsageLedger,
+  emptyTotals,
+  meterNarration,
+  meterProviders
+};
@@ -0,0 +1,256 @@
+const { escapeXml, splitParagraphs } = require('./exporters/common');
+const { getChapters } = require('./storySchema');
+
+// The self-hosted flipbook: one HTML page with its styles and script inline
+// that pages through the story like a book. The cover comes first, then
+// each chapter as a picture page and a text page. Wide screens show two
+// pages side by side, narrow ones a page at a time.
+//   Arrow keys, Page Up/Down, Home/End or swiping turn the pages; F toggles
+//   fullscreen. #page=N opens (and follows) a page.
+// With embed (inside an iframe) it leaves out its own Embed button.
+
+const STYLES = `* { box-sizing: border-box; }
+html, body { height: 100%; margin: 0; }
+body { display: flex; flex-direction: column; background: #2b2d33; color: #222; font-family: Georgia, serif; overflow: hidden; }
+header { display: flex; align-items: center; gap: 1em; padding: .5em 1em; background: #1e1f24; color: #eee; font-family: system-ui, sans-serif; }
+header h1 { flex: 1; margin: 0; font-size: 1.1em; font-weight: 600; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+button { font: inherit; cursor: pointer; border: 0; border-radius: 4px; padding: .35em .8em; background: #3b3e46; color: #eee; }
+button:hover, button:focus-visible { background: #50545e; }
+button:disabled { opacity: .35; cursor: default; }
+.stage { flex: 1; display: flex; align-items: center; justify-content: center; gap: .5em; padding: 1em; min-height: 0; }
+.book { position: relative; display: flex; height: 100%; max-width: 100%; aspect-ratio: 3 / 4; perspective: 2400px; touch-action: pan-y; }
+.book.spread { aspect-ratio: 3 / 2; }
+.page { display: none; position: relative; flex: 1; height: 100%; background: #fdfbf6; overflow: hidden; box-shadow: 0 4px 18px rgba(0, 0, 0, .45); backface-visibility: hidden; }
+.page.shown { display: flex; flex-direction: column; }
+.spread .page.shown + .page.shown { border-left: 1px solid #e4ded0; }
+[dir="rtl"] .spread .page.shown + .page.shown { border-left: 0; border-right: 1px solid #e4ded0; }
+.page.turn-forward { animation: turn-forward .45s ease-in both; transform-origin: left center; }
+.page.turn-back { animation: turn-back .45s ease-in both; transform-origin: right center; }
+[dir="rtl"] .page.turn-forward { transform-origin: right center; animation-name: turn-back; }
+[dir="rtl"] .page.turn-back { transform-origin: left center; animation-name: turn-forward; }
+@keyframes turn-forward { to { transform: rotateY(-90deg); } }
+@keyframes turn-back { to { transform: rotateY(90deg); } }
+.cover { justify-content: center; align-items: center; text-align: center; padding: 2em; background: linear-gradient(160deg, #fdfbf6, #efe6d2); }
+.cover h2 { font-size: 2em; margin: .5em 0; color: #333; }
+.cover img { max-width: 80%; max-height: 50%; object-fit: contain; border-radius: 6px; }
+.cover .summary { font-style: italic; color: #555; max-width: 30em; }
+.picture { justify-content: center; align-items: center; background: #f4efe3; }
+.picture img { width: 100%; height: 100%; object-fit: contain; }
+.text { padding: 2em 2.2em; overflow-y: auto; line-height: 1.6; }
+.text h3 { margin-top: 0; color: #0066cc; }
+.text audio { width: 100%; margin-bottom: 1em; }
+.folio { position: absolute; bottom: .4em; left: 0; right: 0; text-align: center; font-size: .8em; color: #999; pointer-events: none; }
+.turn { font-size: 1.6em; padding: .2em .5em; }
+.thumbs { display: flex; gap: .4em; overflow-x: auto; padding: .5em 1em; background: #1e1f24; }
+.thumbs button { flex: none; width: 3.6em; height: 4.8em; padding: 0; overflow: hidden; background: #fdfbf6; color: #555; font-size: .75em; border: 2px solid transparent; }
+.thumbs button[aria-current="true"] { border-color: #4da3ff; }
+.thumbs img { width: 100%; height: 100%; object-fit: cover; display: block; }
+.embed { position: absolute; right: 1em; top: 3em; z-index: 2; width: min(32em, 90vw); padding: 1em; border-radius: 6px; background: #1e1f24; color: #eee; font-family: system-ui, sans-serif; box-shadow: 0 4px 18px rgba(0, 0, 0, .5); }
+.embed textarea { width: 100%; height: 6em; font-family: monospace; }
+.embedded [data-embed] { display: none; }`;
+
+// Page turning. Pages are laid out from `pages` (cover alone on the right
+// in a spread, as in a printed book).
+const SCRIPT = `(() => {
+  const book = document.querySelector('.book');
+  const pages = Array.from(book.querySelectorAll('.page'));
+  const thumbs = Array.from(document.querySelectorAll('.thumbs button'));
+  const prev = document.querySelector('[data-turn="back"]');
+  const next = document.querySelector('[data-turn="forward"]');
+  const rtl = document.documentElement.dir === 'rtl';
+  let current = 0;
+
+  const isSpread = () => window.innerWidth >= 900 && window.innerWidth > window.innerHeight * 1.1;
+  // Indexes of the pages shown together with page i
+  const spreadOf = (i) => {
+    if (!isSpread() || i === 0) return [i];
+    const first = i % 2 === 1 ? i : i - 1;
+    return [first, first + 1].filter(index => index < pages.length);
+  };
+
+  const show = (i, direction) => {
+    const target = Math.max(0, Math.min(pages.length - 1, i));
+    const leaving = spreadOf(current);
+    const coming = spreadOf(target);
+    const render = () => {
+      current = coming[0];
+      book.classList.toggle('spread', isSpread());
+      pages.forEach((page, index) => {
+        page.classList.remove('turn-forward', 'turn-back');
+        page.classList.toggle('shown', coming.includes(index));
+      });
+      thumbs.forEach((thumb, index) => thumb.setAttribute('aria-current', String(coming.includes(index))));
+      const thumb = thumbs[current];
+      if (thumb) thumb.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+      prev.disabled = current === 0;
+      next.disabled = coming[coming.length - 1] >= pages.length - 1;
+      history.replaceState(null, '', '#page=' + (current + 1));
+    };
+    const reduced = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    if (!direction || reduced || coming[0] === leaving[0]) return render();
+    const turning = pages[direction === 'forward' ? leaving[leaving.length - 1] : leaving[0]];
+    // The timer covers browsers that skip the animation
+    let done = false;
+    const finish = () => {
+      if (!done) render();
+      done = true;
+    };
+    turning.classList.add(direction === 'forward' ? 'turn-forward' : 'turn-back');
+    turning.addEventListener('animationend', finish, { once: true });
+    setTimeout(finish, 600);
+  };
+
+  const forward = () => {
+    const shown = spreadOf(current);
+    if (shown[shown.length - 1] < pages.length - 1) show(shown[shown.length - 1] + 1, 'forward');
+  };
+  const back = () => {
+    if (current > 0) show(spreadOf(current - 1)[0], 'back');
+  };
+
+  prev.addEventListener('click', back);
+  next.addEventListener('click', forward);
+  thumbs.forEach((thumb, index) => thumb.addEventListener('click', () => show(index, index > current ? 'forward' : 'back')));
+
+  document.addEventListener('keydown', (event) => {
+    if (event.target.closest('textarea, input, audio')) return;
+    const keys = {
+      ArrowRight: rtl ? back : forward,
+      ArrowLeft: rtl ? forward : back,
+      PageDown: forward,
+      PageUp: back,
+      ' ': forward,
+      Home: () => show(0, 'back'),
+      End: () => show(pages.length - 1, 'forward'),
+      f: toggleFullscreen
+    };
+    if (keys[event.key]) {
+      event.preventDefault();
+      keys[event.key]();
+    }
+  });
+
+  let touchStart = null;
+  book.addEventListener('pointerdown', (event) => { touchStart = event.pointerType === 'mouse' ? null : event.clientX; });
+  book.addEventListener('pointerup', (event) => {
+    if (touchStart === null) return;
+    const distance = event.clientX - touchStart;
+    touchStart = null;
+    if (Math.abs(distance) < 40) return;
+    (distance < 0) !== rtl ? forward() : back();
+  });
+
+  function toggleFullscreen() {
+    if (document.fullscreenElement) {
+      document.exitFullscreen();
+    } else if (document.documentElement.requestFullscreen) {
+      document.documentElement.requestFullscreen().catch(() => {});
+    }
+  }
+  document.querySelectorAll('[data-fullscreen]').forEach(button => button.addEventListener('click', toggleFullscreen));
+
+  const embed = document.querySelector('.embed');
+  document.querySelectorAll('[data-embed]').forEach(button => button.addEventListener('click', () => { embed.hidden = !embed.hidden; }));
+  const copy = document.querySelector('[data-copy]');
+  if (copy) {
+    copy.addEventListener('click', () => {
+      const snippet = embed.querySelector('textarea');
+      snippet.select();
+      if (navigator.clipboard) navigator.clipboard.writeText(snippet.value).catch(() => {});
+    });
+  }
+
+  window.addEventListener('resize', () => show(current));
+  window.addEventListener('hashchange', () => {
+    const match = location.hash.match(/page=(\\d+)/);
+    if (match && Number(match[1]) - 1 !== current) show(Number(match[1]) - 1);
+  });
+  const match = location.hash.match(/page=(\\d+)/);
+  show(match ? Number(match[1]) - 1 : 0);
+})();`;
+
+// The <iframe> other sites paste in to show the book
+const embedSnippet = (embedUrl, title) => `<iframe src="${escapeXml(embedUrl)}" title="${escapeXml(title)}" width="800" height="600" style="border:0;max-width:100%" allow="fullscreen" allowfullscreen loading="lazy"></iframe>`;
+
+// story: { storyName, storyData, summary }; imageFor(i) gives chapter i's
+// picture as { src, thumb } or null; trackFor(number) a narration track or null
+const buildViewerPage = ({ story, language = 'en', direction = 'ltr', imageFor, trackFor = () => null, embedUrl, embed = false }) => {
+  const title = story.storyName || 'Untitled story';
+  const chapters = getChapters(story.storyData);
+  const cover = chapters.map((chapter, i) => imageFor(i)).find(Boolean);
+
+  const pages = [{
+    thumb: cover ? `<img src="${escapeXml(cover.thumb)}" alt="">` : escapeXml(title),
+    label: 'Cover',
+    html: `<article class="page cover">
+${cover ? `<img src="${escapeXml(cover.src)}" alt="">\n` : ''}<h2>${escapeXml(title)}</h2>
+${story.summary ? `<p class="summary">${escapeXml(story.summary)}</p>\n` : ''}</article>`
+  }];
+
+  chapters.forEach((chapter, i) => {
+    const number = i + 1;
+    const heading = chapter.title ? `Chapter ${number}: ${chapter.title}` : `Chapter ${number}`;
+    const image = imageFor(i);
+    if (image) {
+      pages.push({
+        thumb: `<img src="${escapeXml(image.thumb)}" alt="" loading="lazy">`,
+        label: `Picture for ${heading}`,
+        html: `<article class="page picture"><img src="${escapeXml(image.src)}" alt="${escapeXml(`Illustration for ${heading}`)}" loading="lazy"></article>`
+      });
+    }
+    const track = trackFor(number);
+    pages.push({
+      thumb: String(number),
+      label: heading,
+      html: `<article class="page text" lang="${escapeXml(language)}">
+<h3>${escapeXml(heading)}</h3>
+${track ? `<audio controls preload="none" src="${escapeXml(track.url)}" title="${escapeXml(`Listen to ${heading}`)}"></audio>\n` : ''}${splitParagraphs(chapter.body).map(paragraph => `<p>${escapeXml(paragraph)}</p>`).join('\n')}
+</article>`
+    });
+  });
+
+  const numbered = pages.map((page, i) => page.html.replace(/<\/article>$/, `<span class="folio">${i + 1}</span></article>`));
+
+  return `<!DOCTYPE html>
+<html lang="${escapeXml(language)}" dir="${direction === 'rtl' ? 'rtl' : 'ltr'}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeXml(title)}</title>
+<style>
+${STYLES}
+</style>
+</head>
+<body${embed ? ' class="embedded"' : ''}>
+<header>
+<h1>${escapeXml(title)}</h1>
+<button type="button" data-embed aria-haspopup="dialog">Embed</button>
+<button type="button" data-fullscreen>Fullscreen</button>
+</header>
+<div class="embed" role="dialog" aria-label="Embed this book" hidden>
+<p>Paste this where the book should appear:</p>
+<textarea readonly>${escapeXml(embedSnippet(embedUrl, title))}</textarea>
+<button type="button" data-copy>Copy</button>
+</div>
+<main class="stage">
+<button type="button" class="turn" data-turn="back" aria-label="Previous page">&#8249;</button>
+<div class="book">
+${numbered.join('\n')}
+</div>
+<button type="button" class="turn" data-turn="forward" aria-label="Next page">&#8250;</button>
+</main>
+<nav class="thumbs" aria-label="Pages">
+${pages.map((page, i) => `<button type="button" aria-label="${escapeXml(`Page ${i + 1}: ${page.label}`)}">${page.thumb}</button>`).join('\n')}
+</nav>
+<script>
+${SCRIPT}
+</script>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  buildViewerPage,
+  embedSnippet
+};
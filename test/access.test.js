@@ -0,0 +1,71 @@
+const assert = require('node:assert');
+const { after, before, test } = require('node:test');
+const { startServer } = require('./helpers/server');
+
+// Stories and jobs belong to the API key that made them
+
+let server;
+let owner;
+let other;
+let admin;
+let story;
+let jobId;
+
+before(async () => {
+  server = await startServer({ AUTH_DISABLED: 'false', ADMIN_API_KEY: 'test-admin-token' });
+  admin = { Authorization: 'Bearer test-admin-token' };
+  const issue = async (name) => {
+    const key = await (await server.request('/api/admin/keys', { body: { name }, headers: admin })).json();
+    return { Authorization: `Bearer ${key.token}` };
+  };
+  owner = await issue('owner');
+  other = await issue('other');
+
+  const started = await (await server.request('/api/chat', { body: { message: 'A fox at sea', numChapters: 1 }, headers: owner })).json();
+  jobId = started.jobId;
+  let job = { status: 'queued' };
+  while (job.status !== 'completed' && job.status !== 'failed') {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    job = await (await server.request(`/api/jobs/${jobId}`, { headers: owner })).json();
+  }
+  assert.strictEqual(job.status, 'completed');
+  story = job.result;
+});
+
+after(() => server && server.stop());
+
+test('the owner and admins reach a story', async () => {
+  for (const headers of [owner, admin]) {
+    const response = await server.request(`/api/stories/${story.storyId}`, { headers });
+    assert.strictEqual(response.status, 200);
+  }
+  const listed = await (await server.request('/api/stories', { headers: owner })).json();
+  assert.deepStrictEqual(listed.stories.map(entry => entry.id), [story.storyId]);
+});
+
+test('another key can neither list, read, change nor delete it', async () => {
+  const listed = await (await server.request('/api/stories', { headers: other })).json();
+  assert.deepStrictEqual(listed.stories, []);
+
+  const attempts = [
+    ['GET', `/api/stories/${story.storyId}`],
+    ['PATCH', `/api/stories/${story.storyId}`, { storyName: 'Mine now' }],
+    ['DELETE', `/api/stories/${story.storyId}`],
+    ['GET', `/api/stories/${story.storyId}/revisions`],
+    ['PUT', `/api/stories/${story.storyId}/bible`, { characters: [] }],
+    ['POST', '/api/export/markdown', { storyId: story.storyId }]
+  ];
+  for (const [method, route, body] of attempts) {
+    const response = await server.request(route, { method, body, headers: other });
+    assert.strictEqual(response.status, 404, `${method} ${route}`);
+  }
+  const stored = await (await server.request(`/api/stories/${story.storyId}`, { headers: owner })).json();
+  assert.notStrictEqual(stored.storyName, 'Mine now');
+});
+
+test('another key cannot see or retry the job', async () => {
+  for (const [method, route] of [['GET', `/api/jobs/${jobId}`], ['POST', `/api/jobs/${jobId}/retry`], ['GET', `/api/jobs/${jobId}/events`]]) {
+    const response = await server.request(route, { method, headers: other });
+    assert.strictEqual(response.status, 404, `${method} ${route}`);
+  }
+});
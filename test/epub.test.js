@@ -0,0 +1,116 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const path = require('path');
+const JSZip = require('jszip');
+const { buildEpub } = require('../lib/exporters/epub');
+const { encodePng } = require('../lib/png');
+
+// Structural checks in the spirit of epubcheck: the OCF container, the
+// package document and the navigation document
+
+const IMAGE = encodePng(4, 4, (x, y) => [x * 60, y * 60, 128]);
+
+const story = {
+  storyId: '5f0c1a7e-0000-4000-8000-000000000001',
+  storyName: 'Mila & the Storm',
+  storyData: {
+    chapters: [
+      { title: 'The Morning', body: 'Mila woke early.\n\nThe sky was grey.' },
+      { title: 'The Journey', body: 'She walked to the sea.' },
+      { title: 'The Return', body: 'Home again, <safe> and sound.' }
+    ]
+  },
+  imageUrls: ['image-1', null, 'image-3'],
+  summary: 'A fox finds her courage.'
+};
+
+const build = (overrides = {}) => buildEpub({ ...story, ...overrides }, { loadImage: async () => IMAGE });
+
+const attributes = (tag) => Object.fromEntries([...tag.matchAll(/([\w:-]+)="([^"]*)"/g)].map(([, name, value]) => [name, value]));
+const tags = (xml, name) => [...xml.matchAll(new RegExp(`<${name}\\b[^>]*>`, 'g'))].map(([tag]) => attributes(tag));
+
+const readPackage = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const container = await zip.file('META-INF/container.xml').async('string');
+  const [rootfile] = tags(container, 'rootfile');
+  const opfPath = rootfile['full-path'];
+  const opf = await zip.file(opfPath).async('string');
+  return { zip, container, rootfile, opfPath, opf, base: path.posix.dirname(opfPath) };
+};
+
+test('mimetype is the first entry, stored uncompressed and without extra fields', async () => {
+  const buffer = await build();
+  assert.strictEqual(buffer.readUInt32LE(0), 0x04034b50, 'local file header');
+  assert.strictEqual(buffer.readUInt16LE(8), 0, 'compression method STORE');
+  const nameLength = buffer.readUInt16LE(26);
+  const extraLength = buffer.readUInt16LE(28);
+  assert.strictEqual(buffer.toString('ascii', 30, 30 + nameLength), 'mimetype');
+  assert.strictEqual(extraLength, 0);
+  const size = buffer.readUInt32LE(18);
+  assert.strictEqual(buffer.toString('ascii', 30 + nameLength, 30 + nameLength + size), 'application/epub+zip');
+});
+
+test('container.xml points to the package document', async () => {
+  const { zip, rootfile, opfPath, opf } = await readPackage(await build());
+  assert.strictEqual(rootfile['media-type'], 'application/oebps-package+xml');
+  assert.ok(zip.file(opfPath), `${opfPath} exists`);
+  assert.match(opf, /<package [^>]*version="3.0"/);
+});
+
+test('the package has the required metadata', async () => {
+  const { opf } = await readPackage(await build());
+  const [pkg] = tags(opf, 'package');
+  const identifier = opf.match(/<dc:identifier id="([^"]+)">([^<]+)</);
+  assert.ok(identifier, 'dc:identifier');
+  assert.strictEqual(pkg['unique-identifier'], identifier[1]);
+  assert.strictEqual(identifier[2], `urn:uuid:${story.storyId}`);
+  assert.match(opf, /<dc:title>Mila &amp; the Storm<\/dc:title>/);
+  assert.match(opf, /<dc:language>en<\/dc:language>/);
+  assert.match(opf, /<meta property="dcterms:modified">\d{4}-\d\d-\d\dT\d\d:\d\d:\d\dZ<\/meta>/);
+});
+
+test('every manifest item exists in the container with a unique id', async () => {
+  const { zip, opf, base } = await readPackage(await build());
+  const items = tags(opf, 'item');
+  assert.strictEqual(new Set(items.map(item => item.id)).size, items.length);
+  for (const item of items) {
+    assert.ok(zip.file(path.posix.join(base, item.href)), `${item.href} is in the container`);
+  }
+  const images = items.filter(item => item['media-type'] === 'image/png');
+  assert.deepStrictEqual(images.map(item => item.href), ['images/chapter-1.png', 'images/chapter-3.png']);
+  assert.strictEqual(items.filter(item => item.properties === 'nav').length, 1);
+  assert.strictEqual(items.filter(item => item.properties === 'cover-image').length, 1);
+});
+
+test('the spine reads the cover, then the chapters in order', async () => {
+  const { opf } = await readPackage(await build());
+  const ids = new Set(tags(opf, 'item').map(item => item.id));
+  const spine = tags(opf, 'itemref');
+  spine.forEach(itemref => assert.ok(ids.has(itemref.idref), `${itemref.idref} is in the manifest`));
+  const linear = spine.filter(itemref => itemref.linear !== 'no').map(itemref => itemref.idref);
+  assert.deepStrictEqual(linear, ['cover', 'chapter-1', 'chapter-2', 'chapter-3']);
+});
+
+test('nav.xhtml has a toc nav linking every chapter', async () => {
+  const { zip, opf, base } = await readPackage(await build());
+  const navItem = tags(opf, 'item').find(item => item.properties === 'nav');
+  const nav = await zip.file(path.posix.join(base, navItem.href)).async('string');
+  const toc = nav.match(/<nav [^>]*epub:type="toc"[^>]*>([\s\S]*?)<\/nav>/);
+  assert.ok(toc, 'toc nav');
+  const links = tags(toc[1], 'a').map(link => link.href);
+  assert.deepStrictEqual(links, ['chapter-1.xhtml', 'chapter-2.xhtml', 'chapter-3.xhtml']);
+  assert.match(toc[1], /Chapter 2: The Journey/);
+});
+
+test('chapter documents carry their language, escaped text and illustration', async () => {
+  const { zip, base } = await readPackage(await build());
+  const chapter = await zip.file(path.posix.join(base, 'chapter-3.xhtml')).async('string');
+  assert.match(chapter, /^<\?xml version="1.0" encoding="UTF-8"\?>/);
+  assert.match(chapter, /xml:lang="en"/);
+  assert.match(chapter, /Home again, &lt;safe&gt; and sound\./);
+  assert.match(chapter, /<img src="images\/chapter-3.png"/);
+});
+
+test('a story without chapters is refused', async () => {
+  await assert.rejects(build({ storyData: { chapters: [] } }), /no chapters/);
+});
@@ -0,0 +1,89 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// Starts index.js on a free port with the offline providers and every data
+// directory in a fresh temp dir, so tests need no network, keys or cleanup
+
+const ROOT = path.join(__dirname, '..', '..');
+
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.once('error', reject);
+  server.listen(0, () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+const startServer = async (env = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storybook-test-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(ROOT, 'index.js')], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      AUTH_DISABLED: 'true',
+      AI_PROVIDER: 'fake',
+      NARRATION_PROVIDER: 'fake',
+      OCR_ENGINE: 'fake',
+      MODERATION_PROVIDER: 'rules',
+      STORY_DATA_DIR: path.join(dir, 'stories'),
+      ASSET_DIR: path.join(dir, 'assets'),
+      USAGE_DIR: path.join(dir, 'usage'),
+      API_KEYS_FILE: path.join(dir, 'api-keys.json'),
+      PUBLICATIONS_FILE: path.join(dir, 'publications.json'),
+      PREVIEW_DIR: path.join(dir, 'pdf-previews'),
+      UPLOADS_DIR: path.join(dir, 'uploads'),
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`The server did not start:\n${output}`)), 15000);
+    child.stdout.on('data', (data) => {
+      output += data;
+      if (output.includes('API listening')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on('data', (data) => { output += data; });
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`The server exited with ${code}:\n${output}`));
+    });
+  });
+
+  const url = `http://localhost:${port}`;
+  return {
+    url,
+    dir,
+    // fetch() against the server; a plain object body is sent as JSON
+    request: (route, { body, headers = {}, ...options } = {}) => fetch(`${url}${route}`, {
+      method: body ? 'POST' : 'GET',
+      ...options,
+      headers: body && !(body instanceof FormData) ? { 'Content-Type': 'application/json', ...headers } : headers,
+      body: body && !(body instanceof FormData) ? JSON.stringify(body) : body
+    }),
+    async stop() {
+      child.removeAllListeners('exit');
+      if (child.exitCode === null) {
+        await new Promise(resolve => {
+          child.once('exit', resolve);
+          child.kill();
+        });
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+};
+
+module.exports = {
+  startServer
+};
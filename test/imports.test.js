@@ -0,0 +1,90 @@
+const assert = require('node:assert');
+const zlib = require('node:zlib');
+const { after, before, test } = require('node:test');
+const { encodePng } = require('../lib/png');
+const { startServer } = require('./helpers/server');
+
+// Scan and manuscript imports refuse bad uploads up front, with a client error
+
+let server;
+
+before(async () => {
+  server = await startServer({ IMAGE_MAX_BYTES: String(64 * 1024), MANUSCRIPT_MAX_BYTES: String(64 * 1024) });
+});
+
+after(() => server && server.stop());
+
+const PAGE = encodePng(8, 8, () => [255, 255, 255]);
+
+const form = (field, files, fields = {}) => {
+  const data = new FormData();
+  files.forEach(({ content, name, type }) => data.append(field, new Blob([content], { type }), name));
+  Object.entries(fields).forEach(([key, value]) => data.append(key, value));
+  return data;
+};
+
+test('a scan page that is not an image is refused whatever its claimed type', async () => {
+  const response = await server.request('/api/import/scan', {
+    body: form('pages', [
+      { content: PAGE, name: 'page-1.png', type: 'image/png' },
+      { content: 'just some text', name: 'page-2.png', type: 'image/png' }
+    ])
+  });
+  assert.strictEqual(response.status, 415);
+  assert.match((await response.json()).error, /page-2\.png is not an image/);
+});
+
+test('a scan page over the size limit is refused', async () => {
+  const response = await server.request('/api/import/scan', {
+    body: form('pages', [{ content: Buffer.concat([PAGE, Buffer.alloc(80 * 1024)]), name: 'huge.png', type: 'image/png' }])
+  });
+  assert.strictEqual(response.status, 413);
+});
+
+test('scanned pages are imported', async () => {
+  const response = await server.request('/api/import/scan?wait=true', {
+    body: form('pages', [{ content: PAGE, name: 'page-1.png', type: 'application/octet-stream' }])
+  });
+  assert.strictEqual(response.status, 200);
+  assert.ok((await response.json()).storyId);
+});
+
+test('a manuscript without text is a client error', async () => {
+  const response = await server.request('/api/import/manuscript', {
+    body: form('file', [{ content: '', name: 'empty.txt', type: 'text/plain' }])
+  });
+  assert.strictEqual(response.status, 422);
+  assert.match((await response.json()).error, /No text/);
+});
+
+test('a manuscript in an old Word format is refused', async () => {
+  const response = await server.request('/api/import/manuscript', {
+    body: form('file', [{ content: Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]), name: 'book.doc', type: 'application/msword' }])
+  });
+  assert.strictEqual(response.status, 415);
+});
+
+test('a PDF that unpacks to far more than the upload limit is refused', async () => {
+  const stream = zlib.deflateSync(Buffer.alloc(2 * 1024 * 1024, ' '));
+  const pdf = Buffer.concat([
+    Buffer.from(`%PDF-1.4\n1 0 obj\n<< /Type /ObjStm /N 0 /First 0 /Filter /FlateDecode /Length ${stream.length} >>\nstream\n`, 'latin1'),
+    stream,
+    Buffer.from('\nendstream\nendobj\n%%EOF\n', 'latin1')
+  ]);
+  const response = await server.request('/api/import/manuscript', {
+    body: form('file', [{ content: pdf, name: 'bomb.pdf', type: 'application/pdf' }])
+  });
+  assert.strictEqual(response.status, 422);
+  assert.match((await response.json()).error, /unpacks/);
+});
+
+test('a manuscript with many headings is imported into at most 12 chapters', async () => {
+  const text = Array.from({ length: 40 }, (_, i) => `Chapter ${i + 1}: Part ${i + 1}\n\nThe fox walked on for another day.`).join('\n\n');
+  const response = await server.request('/api/import/manuscript?wait=true', {
+    body: form('file', [{ content: text, name: 'long.txt', type: 'text/plain' }], { illustrate: 'false' })
+  });
+  assert.strictEqual(response.status, 200);
+  const story = await response.json();
+  assert.strictEqual(Object.keys(story).filter(key => /^chapter\d+Name$/.test(key)).length, 12);
+  assert.strictEqual(story.manuscript.format, 'text');
+});
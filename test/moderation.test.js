@@ -0,0 +1,42 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { AGE_RATINGS, createModeration, loadModerationConfig } = require('../lib/moderation');
+
+// The age band decides how much the keyword rules let through: a mild match
+// (0.4) is only blocked for the youngest band, a severe one (0.9) for all
+
+const moderationFor = (ageRating, env = {}) => createModeration(loadModerationConfig({ MODERATION_PROVIDER: 'rules', MODERATION_AGE_RATING: ageRating, ...env }));
+
+const where = { stage: 'chapter', target: 'chapter 1' };
+
+test('a mild match is blocked only for 0-5', async () => {
+  const flagged = {};
+  for (const ageRating of Object.keys(AGE_RATINGS)) {
+    const check = await moderationFor(ageRating).checkText('The knights had a pillow fight with wooden swords.', where);
+    assert.deepStrictEqual(check.scores, { violence: 0.4, weapons: 0.4 });
+    flagged[ageRating] = check.flagged;
+  }
+  assert.deepStrictEqual(flagged, { '0-5': true, '6-8': false, '9-12': false });
+
+  const young = await moderationFor('0-5').checkText('The knights had a pillow fight with wooden swords.', where);
+  assert.deepStrictEqual(young.categories, ['violence', 'weapons']);
+  assert.deepStrictEqual(young.matches, { violence: ['fight'], weapons: ['swords'] });
+});
+
+test('a severe match is blocked for every age band', async () => {
+  for (const ageRating of Object.keys(AGE_RATINGS)) {
+    const check = await moderationFor(ageRating).checkText('The dragon was killed with a gun.', where);
+    assert.strictEqual(check.flagged, true, ageRating);
+    assert.deepStrictEqual(check.categories, ['violence', 'weapons'], ageRating);
+  }
+});
+
+test('only the blocked categories count', async () => {
+  const check = await moderationFor('0-5', { MODERATION_BLOCKED_CATEGORIES: 'weapons' }).checkText('The bear had a pillow fight.', where);
+  assert.strictEqual(check.flagged, false);
+  assert.deepStrictEqual(check.scores, { violence: 0.4 });
+});
+
+test('unknown age bands are refused', () => {
+  assert.throws(() => loadModerationConfig({ MODERATION_AGE_RATING: '13-17' }), /Unknown age rating: 13-17/);
+});
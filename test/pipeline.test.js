@@ -0,0 +1,113 @@
+const assert = require('node:assert');
+const { after, before, test } = require('node:test');
+const JSZip = require('jszip');
+const { getFontLibrary } = require('../lib/fonts');
+const { startServer } = require('./helpers/server');
+
+// The whole story pipeline on the fake provider (see lib/providers/fake.js):
+// no network, no keys, same prompt, same story
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server && server.stop());
+
+const createStory = async (message, numChapters) => {
+  const response = await server.request('/api/chat?wait=true', { body: { message, numChapters } });
+  assert.strictEqual(response.status, 200);
+  return response.json();
+};
+
+test('a prompt becomes a stored, illustrated story', async () => {
+  const story = await createStory('A fox who is afraid of the dark', 3);
+  assert.ok(story.storyId);
+  assert.deepStrictEqual(Object.keys(story).filter(key => /^chapter\dName$/.test(key)), ['chapter1Name', 'chapter2Name', 'chapter3Name']);
+  assert.strictEqual(story.imageUrls.length, 3);
+
+  const stored = await (await server.request(`/api/stories/${story.storyId}`)).json();
+  assert.deepStrictEqual(stored.imageUrls, story.imageUrls);
+
+  const image = await fetch(story.imageUrls[0]);
+  assert.strictEqual(image.status, 200);
+  assert.strictEqual(image.headers.get('content-type'), 'image/png');
+});
+
+test('the fake provider is deterministic', async () => {
+  const [first, second] = [await createStory('A turtle at sea', 2), await createStory('A turtle at sea', 2)];
+  assert.notStrictEqual(first.storyId, second.storyId);
+  assert.strictEqual(first.chapter1, second.chapter1);
+  assert.strictEqual(first.chapter2Name, second.chapter2Name);
+});
+
+test('a stored story renders to PDF', async () => {
+  const { storyId } = await createStory('An owl learns to read', 2);
+  const response = await server.request('/api/generate-pdf', { body: { storyId } });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get('content-type'), 'application/pdf');
+  const pdf = Buffer.from(await response.arrayBuffer());
+  assert.strictEqual(pdf.toString('latin1', 0, 5), '%PDF-');
+  assert.match(pdf.toString('latin1', pdf.length - 8), /%%EOF/);
+});
+
+test('PDFs in an unknown language are a client error', async () => {
+  const response = await server.request('/api/pdf', {
+    body: { storyName: 'The Owl', storyData: { chapters: [{ title: 'A', body: 'B' }] }, language: 'klingon' }
+  });
+  assert.strictEqual(response.status, 400);
+  assert.match((await response.json()).error, /Unknown language: klingon/);
+});
+
+test('a PDF in a script without an installed font names the font', { skip: getFontLibrary().fontsFor('thai') ? 'a Thai font is installed' : false }, async () => {
+  const response = await server.request('/api/pdf', {
+    body: { storyName: 'นกฮูก', storyData: { chapters: [{ title: 'หนึ่ง', body: 'นกฮูกเรียนอ่านหนังสือ' }] }, language: 'th' }
+  });
+  assert.strictEqual(response.status, 422);
+  assert.match((await response.json()).error, /NotoSansThai-Regular\.ttf/);
+});
+
+test('a stored story without a language exports as English', async () => {
+  const { storyId } = await createStory('A mouse in the village', 2);
+  const epub = await server.request('/api/export/epub', { body: { storyId } });
+  assert.strictEqual(epub.status, 200);
+  const zip = await JSZip.loadAsync(Buffer.from(await epub.arrayBuffer()));
+  const opf = await zip.file('OEBPS/content.opf').async('string');
+  assert.match(opf, /<dc:language>en<\/dc:language>/);
+  assert.match(opf, /xml:lang="en"/);
+
+  const html = await server.request('/api/export/html', { body: { storyId } });
+  assert.strictEqual(html.status, 200);
+  assert.match(await html.text(), /<html lang="en"/);
+});
+
+test('only known export formats are served', async () => {
+  for (const format of ['constructor', 'toString', '__proto__', 'pdfx']) {
+    const response = await server.request(`/api/export/${format}`, { body: { storyData: { chapters: [{ title: 'A', body: 'B' }] } } });
+    assert.strictEqual(response.status, 404, format);
+  }
+});
+
+test('exports only use narration of the current chapter text', async () => {
+  const { storyId } = await createStory('A bear who sings', 2);
+  const narrated = await server.request(`/api/stories/${storyId}/narration?wait=true`, { body: {} });
+  assert.strictEqual(narrated.status, 200);
+
+  const audiobook = await server.request('/api/export/audiobook', { body: { storyId } });
+  assert.strictEqual(audiobook.status, 200);
+  const zip = await JSZip.loadAsync(Buffer.from(await audiobook.arrayBuffer()));
+  assert.strictEqual(Object.keys(zip.files).filter(name => name.endsWith('.mp3')).length, 2);
+  const players = async () => ((await (await server.request('/api/export/html', { body: { storyId } })).text()).match(/<audio /g) || []).length;
+  assert.strictEqual(await players(), 2);
+
+  const { storyData } = await (await server.request(`/api/stories/${storyId}`)).json();
+  storyData.chapters[1].body = 'The bear sang a brand new song.';
+  const edited = await server.request(`/api/stories/${storyId}`, { method: 'PATCH', body: { storyData } });
+  assert.strictEqual(edited.status, 200);
+
+  const stale = await server.request('/api/export/audiobook', { body: { storyId } });
+  assert.strictEqual(stale.status, 409);
+  assert.match((await stale.json()).error, /missing: 2/);
+  assert.strictEqual(await players(), 1);
+});
@@ -0,0 +1,190 @@
+const assert = require('node:assert');
+const { after, afterEach, before, test } = require('node:test');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createPublishing } = require('../lib/publishing');
+
+// The FlippingBook publisher against a mock of its API (the routes listed in
+// lib/publishing/flippingbook.js), driven through the publication store
+
+const PDF = Buffer.from('%PDF-1.4\n% test\n%%EOF\n');
+
+// Publications named "broken ..." fail to convert, "stuck ..." never finish
+// until mock.finish(); everything else is ready on the second check
+const createMockFlippingBook = () => {
+  const publications = new Map();
+  const mock = { publications, requests: [], unavailable: 0 };
+
+  const statesFor = (name) => {
+    if (/^broken/.test(name)) return ['Processing', 'ConversionFailed'];
+    if (/^stuck/.test(name)) return ['Processing'];
+    return ['Processing', 'Ready'];
+  };
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  mock.server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = Buffer.concat(chunks).toString('latin1');
+    mock.requests.push({ method: req.method, url: req.url, authorization: req.headers.authorization, body });
+
+    const [, id, action] = req.url.match(/^\/publication\/([^/]+)(?:\/(\w+))?$/) || [];
+    const publication = publications.get(id);
+    if (req.method === 'POST' && id === 'create') {
+      if (!body.includes('%PDF-')) return send(res, 400, { error: 'No PDF' });
+      const field = body.match(/name="name"\r\n\r\n([^\r]*)/);
+      const newId = String(publications.size + 1000);
+      const name = field ? field[1] : 'Untitled';
+      publications.set(newId, { name, states: statesFor(name), hashId: crypto.randomBytes(4).toString('hex') });
+      return send(res, 200, { id: newId });
+    }
+    if (!publication) return send(res, 404, { error: 'Not found' });
+    if (req.method === 'GET' && !action) {
+      if (mock.unavailable > 0) {
+        mock.unavailable--;
+        return send(res, 503, { error: 'Try again later' });
+      }
+      const state = publication.states.length > 1 ? publication.states.shift() : publication.states[0];
+      return send(res, 200, { publication: { name: publication.name, state, hashId: publication.hashId } });
+    }
+    if (req.method === 'POST' && !action) {
+      publication.name = JSON.parse(body).name;
+      return send(res, 200, {});
+    }
+    if (req.method === 'POST' && action === 'source') {
+      publication.states = statesFor(publication.name);
+      return send(res, 200, {});
+    }
+    if (req.method === 'DELETE' && !action) {
+      publications.delete(id);
+      return send(res, 200, {});
+    }
+    send(res, 404, { error: 'No such route' });
+  });
+
+  mock.finish = (id) => {
+    publications.get(id).states = ['Ready'];
+  };
+  return mock;
+};
+
+let mock;
+let baseUrl;
+let dir;
+const opened = [];
+
+before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'publishing-test-'));
+  mock = createMockFlippingBook();
+  await new Promise(resolve => mock.server.listen(0, resolve));
+  baseUrl = `http://localhost:${mock.server.address().port}`;
+});
+
+afterEach(() => {
+  opened.splice(0).forEach(publishing => publishing.close());
+});
+
+after(async () => {
+  await new Promise(resolve => mock.server.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const open = (config = {}) => {
+  const publishing = createPublishing({
+    publisher: 'flippingbook',
+    apiKey: 'test-key',
+    baseUrl,
+    file: path.join(dir, 'publications.json'),
+    pollInterval: 20,
+    maxPollInterval: 50,
+    timeout: 10000,
+    ...config
+  });
+  opened.push(publishing);
+  return publishing;
+};
+
+const statesOf = (publication) => publication.history.map(entry => entry.state);
+
+test('a publication goes from pending through processing to ready', async () => {
+  const publishing = open();
+  const pending = await publishing.publish({ pdf: PDF, filename: 'fox.pdf', name: 'The Fox', storyId: 'story-1', keyId: 'key-1' });
+  assert.strictEqual(pending.state, 'pending');
+
+  const ready = await publishing.waitFor(pending.id, 5000);
+  assert.strictEqual(ready.state, 'ready');
+  assert.deepStrictEqual(statesOf(ready), ['pending', 'processing', 'ready']);
+  const remote = mock.publications.get(ready.remoteId);
+  assert.strictEqual(remote.name, 'The Fox');
+  assert.strictEqual(ready.url, `https://online.flippingbook.com/view/${remote.hashId}/`);
+  assert.ok(mock.requests.every(request => request.authorization === 'Bearer test-key'));
+
+  assert.deepStrictEqual(publishing.list({ keyId: 'key-1' }).map(publication => publication.id), [ready.id]);
+  assert.deepStrictEqual(publishing.list({ keyId: 'key-2' }), []);
+  const saved = JSON.parse(fs.readFileSync(path.join(dir, 'publications.json'), 'utf8'));
+  assert.strictEqual(saved.publications.find(publication => publication.id === ready.id).state, 'ready');
+});
+
+test('a conversion error fails the publication', async () => {
+  const publishing = open();
+  const { id } = await publishing.publish({ pdf: PDF, name: 'broken book' });
+  const failed = await publishing.waitFor(id, 5000);
+  assert.strictEqual(failed.state, 'failed');
+  assert.match(failed.error, /ConversionFailed/);
+});
+
+test('server errors while checking are retried', async () => {
+  const publishing = open();
+  mock.unavailable = 1;
+  const { id } = await publishing.publish({ pdf: PDF, name: 'Patience' });
+  const ready = await publishing.waitFor(id, 8000);
+  assert.strictEqual(ready.state, 'ready');
+  assert.strictEqual(mock.unavailable, 0);
+});
+
+test('renaming, a new PDF and deleting reach the service', async () => {
+  const publishing = open();
+  const { id } = await publishing.publish({ pdf: PDF, name: 'First name' });
+  const { remoteId } = await publishing.waitFor(id, 5000);
+
+  await publishing.rename(id, 'Second name');
+  assert.strictEqual(mock.publications.get(remoteId).name, 'Second name');
+
+  const replaced = await publishing.replacePdf(id, { pdf: PDF, filename: 'new.pdf' });
+  assert.strictEqual(replaced.state, 'processing');
+  assert.strictEqual(replaced.url, null);
+  assert.strictEqual((await publishing.waitFor(id, 5000)).state, 'ready');
+  assert.ok(mock.requests.some(request => request.url === `/publication/${remoteId}/source`));
+
+  await publishing.remove(id);
+  assert.strictEqual(mock.publications.has(remoteId), false);
+  assert.strictEqual(publishing.get(id), null);
+});
+
+test('a restart picks up publications that were still processing', async () => {
+  const first = open();
+  const { id } = await first.publish({ pdf: PDF, name: 'stuck for now' });
+  const processing = await first.waitFor(id, 200);
+  assert.strictEqual(processing.state, 'processing');
+  first.close();
+
+  mock.finish(processing.remoteId);
+  const second = open();
+  assert.strictEqual(second.get(id).state, 'processing');
+  assert.strictEqual((await second.waitFor(id, 5000)).state, 'ready');
+});
+
+test('a publication that never finishes times out', async () => {
+  const publishing = open({ timeout: 150 });
+  const { id } = await publishing.publish({ pdf: PDF, name: 'stuck forever' });
+  const failed = await publishing.waitFor(id, 5000);
+  assert.strictEqual(failed.state, 'failed');
+  assert.strictEqual(failed.error, 'Processing timed out');
+});
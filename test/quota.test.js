@@ -0,0 +1,70 @@
+const assert = require('node:assert');
+const { after, before, test } = require('node:test');
+const { encodePng } = require('../lib/png');
+const { startServer } = require('./helpers/server');
+
+// Every route that calls a model is charged to the key's quota
+
+let server;
+let admin;
+
+before(async () => {
+  server = await startServer({ AUTH_DISABLED: 'false', ADMIN_API_KEY: 'test-admin-token' });
+  admin = { Authorization: 'Bearer test-admin-token' };
+});
+
+after(() => server && server.stop());
+
+const issue = async (quotas) => {
+  const key = await (await server.request('/api/admin/keys', { body: { name: 'writer', quotas }, headers: admin })).json();
+  return { Authorization: `Bearer ${key.token}` };
+};
+
+const createStory = async (headers) => {
+  const response = await server.request('/api/stories', {
+    headers,
+    body: {
+      storyName: 'The Fox',
+      storyData: { chapters: [{ title: 'One', body: 'The fox woke up.' }, { title: 'Two', body: 'The fox went home.' }] },
+      imageUrls: [`/assets/${'a'.repeat(64)}`, `/assets/${'b'.repeat(64)}`]
+    }
+  });
+  assert.strictEqual(response.status, 201);
+  return (await response.json()).id;
+};
+
+test('narrating a whole story is charged per chapter', async () => {
+  const headers = await issue({ narrations: 1 });
+  const storyId = await createStory(headers);
+
+  const whole = await server.request(`/api/stories/${storyId}/narration`, { headers, body: {} });
+  assert.strictEqual(whole.status, 429);
+  assert.strictEqual((await whole.json()).metric, 'narrations');
+
+  const one = await server.request(`/api/stories/${storyId}/narration?wait=true`, { headers, body: { chapters: [1] } });
+  assert.strictEqual(one.status, 200);
+});
+
+test('rewriting a chapter and extracting the bible use the story quota', async () => {
+  const headers = await issue({ stories: 1 });
+  const storyId = await createStory(headers);
+
+  const extracted = await server.request(`/api/stories/${storyId}/bible/extract`, { headers, body: {} });
+  assert.strictEqual(extracted.status, 200);
+  const quota = await (await server.request('/api/quota', { headers })).json();
+  assert.strictEqual(quota.used.stories, 1);
+
+  for (const route of [`/api/stories/${storyId}/bible/extract`, `/api/stories/${storyId}/chapters/1/regenerate`]) {
+    const refused = await server.request(route, { headers, body: {} });
+    assert.strictEqual(refused.status, 429, route);
+  }
+});
+
+test('describing a picture uses the image quota', async () => {
+  const headers = await issue({ images: 0 });
+  const data = new FormData();
+  data.append('image', new Blob([encodePng(8, 8, () => [255, 255, 255])], { type: 'image/png' }), 'page.png');
+  const response = await server.request('/api/describe-image', { headers, body: data });
+  assert.strictEqual(response.status, 429);
+  assert.strictEqual((await response.json()).metric, 'images');
+});
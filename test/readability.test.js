@@ -0,0 +1,64 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { analyzeText, resolveReadingTarget, simplifyChapters } = require('../lib/readability');
+
+// Chapters above the reading target are rewritten until they fit, at most
+// twice, and the easiest version wins
+
+const HARD = 'The extraordinarily inquisitive hedgehog contemplated the incomprehensible constellations, deliberating philosophically about interplanetary navigation and the approximately immeasurable distances separating civilizations.';
+const HARDER = 'Notwithstanding considerable apprehension, the extraordinarily inquisitive hedgehog contemplated incomprehensibly sophisticated astronomical phenomena, deliberating philosophically and methodologically about interplanetary circumnavigation.';
+const EASY = 'The hedgehog looked up at the stars. He liked them a lot. He went to bed.';
+
+const target = resolveReadingTarget({ ageBand: '6-8' });
+const storyData = { chapters: [{ title: 'Stars', body: HARD }, { title: 'Bed', body: EASY }] };
+
+// rewrite() that hands out the given bodies in turn and remembers its calls
+const scripted = (...bodies) => {
+  const calls = [];
+  const rewrite = async ({ chapters, index, instructions }) => {
+    calls.push({ index, instructions });
+    return { ...chapters[index], body: bodies[calls.length - 1] };
+  };
+  return { calls, rewrite };
+};
+
+test('a chapter above the target is rewritten until it fits', async () => {
+  const { calls, rewrite } = scripted(EASY);
+  const result = await simplifyChapters(storyData, target, { rewrite });
+  assert.strictEqual(result.storyData.chapters[0].body, EASY);
+  assert.strictEqual(result.storyData.chapters[1].body, EASY);
+  assert.deepStrictEqual(calls.map(call => call.index), [0]);
+  assert.match(calls[0].instructions, /^Make this chapter easier to read: it reads at grade/);
+  assert.deepStrictEqual(result.simplified, [{
+    number: 1,
+    passes: 1,
+    gradeBefore: analyzeText(HARD).fleschKincaidGrade,
+    gradeAfter: analyzeText(EASY).fleschKincaidGrade
+  }]);
+});
+
+test('after two passes the easiest version is kept', async () => {
+  // A harder rewrite is thrown away; the slightly easier one is kept although
+  // it still misses the target
+  const EASIER = HARD.replace('extraordinarily ', '');
+  const { calls, rewrite } = scripted(HARDER, EASIER);
+  const result = await simplifyChapters(storyData, target, { rewrite });
+  assert.strictEqual(calls.length, 2);
+  assert.strictEqual(result.storyData.chapters[0].body, EASIER);
+  assert.deepStrictEqual(result.simplified, [{
+    number: 1,
+    passes: 2,
+    gradeBefore: analyzeText(HARD).fleschKincaidGrade,
+    gradeAfter: analyzeText(EASIER).fleschKincaidGrade
+  }]);
+});
+
+test('chapters are left alone without a target, in other languages or when not asked for', async () => {
+  const { calls, rewrite } = scripted(EASY, EASY);
+  for (const [readingTarget, options] of [[null, {}], [target, { language: { code: 'de' } }], [target, { numbers: [2] }]]) {
+    const result = await simplifyChapters(storyData, readingTarget, { rewrite, ...options });
+    assert.strictEqual(result.storyData.chapters[0].body, HARD);
+    assert.deepStrictEqual(result.simplified, []);
+  }
+  assert.strictEqual(calls.length, 0);
+});
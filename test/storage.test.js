@@ -0,0 +1,60 @@
+const assert = require('node:assert');
+const { after, test } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const HOUR = 3600000;
+
+const open = (name) => createStorage({
+  gcInterval: HOUR,
+  areas: {
+    uploads: { dir: path.join(dir, name, 'uploads'), maxAge: HOUR, maxBytes: 100, evict: false },
+    scratch: { dir: path.join(dir, name, 'scratch'), maxAge: HOUR, maxBytes: 100 }
+  }
+});
+
+// Writes a file `hoursOld` hours old into the area
+const put = (storage, area, name, bytes, hoursOld = 0) => {
+  const filePath = path.join(storage.dir(area), name);
+  fs.writeFileSync(filePath, Buffer.alloc(bytes));
+  const time = new Date(Date.now() - hoursOld * HOUR);
+  fs.utimesSync(filePath, time, time);
+  return filePath;
+};
+
+test('old files go and the oldest are evicted when over quota', async () => {
+  const storage = open('evict');
+  const expired = put(storage, 'scratch', 'expired', 10, 2);
+  const older = put(storage, 'scratch', 'older', 60, 0.5);
+  const newer = put(storage, 'scratch', 'newer', 60, 0.1);
+  const result = await storage.collect();
+  assert.strictEqual(result.scratch.removed, 2);
+  assert.deepStrictEqual([expired, older, newer].map(fs.existsSync), [false, false, true]);
+});
+
+test('uploads a job kept survive collection until they are released', async () => {
+  const storage = open('kept');
+  const file = { path: put(storage, 'uploads', 'kept', 10, 30) };
+  const leftover = put(storage, 'uploads', 'leftover', 10, 30);
+  assert.strictEqual(storage.keepUpload(file), file.path);
+  await storage.collect();
+  assert.strictEqual(fs.existsSync(file.path), true);
+  assert.strictEqual(fs.existsSync(leftover), false);
+
+  await storage.releaseUpload(file.path);
+  assert.strictEqual(fs.existsSync(file.path), false);
+});
+
+test('a full uploads area refuses new files instead of evicting ones in use', async () => {
+  const storage = open('full');
+  const writing = put(storage, 'uploads', 'writing', 90);
+  await assert.rejects(storage.reserve('uploads', 20), { code: 'STORAGE_FULL' });
+  assert.strictEqual(fs.existsSync(writing), true);
+  await storage.reserve('uploads', 10);
+});
@@ -0,0 +1,79 @@
+const assert = require('node:assert');
+const { after, test } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { diffRevisions, diffWords } = require('../lib/storyDiff');
+const { createStoryStore } = require('../lib/storyStore');
+
+// Revisions can be compared word by word and put back
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'story-diff-test-'));
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const textOf = (parts, type) => parts.filter(part => part.type !== type).map(part => part.text).join('');
+
+test('a word diff gives back both texts', () => {
+  const before = 'The fox ran  home at night.\nThe end.';
+  const after = 'The red fox walked home at night.\nThe end.';
+  const parts = diffWords(before, after);
+  assert.strictEqual(textOf(parts, 'insert'), before);
+  assert.strictEqual(textOf(parts, 'delete'), after);
+  assert.deepStrictEqual(parts.filter(part => part.type !== 'equal').map(part => [part.type, part.text.trim()]), [
+    ['insert', 'red'],
+    ['delete', 'ran'],
+    ['insert', 'walked']
+  ]);
+  assert.deepStrictEqual(diffWords('', 'New text'), [{ type: 'insert', text: 'New text' }]);
+  assert.deepStrictEqual(diffWords('Same', 'Same'), [{ type: 'equal', text: 'Same' }]);
+});
+
+test('revisions are compared chapter by chapter', () => {
+  const from = {
+    number: 1,
+    storyName: 'The Fox',
+    storyData: { chapters: [{ title: 'One', body: 'The fox woke.' }, { title: 'Two', body: 'The fox slept.' }] },
+    imageUrls: ['a.png', 'b.png']
+  };
+  const to = {
+    number: 2,
+    storyName: 'The Fox',
+    storyData: { chapters: [{ title: 'One', body: 'The fox woke.' }, { title: 'Two', body: 'The fox dreamt.' }, { title: 'Three', body: 'Morning.' }] },
+    imageUrls: ['a.png', 'c.png']
+  };
+  const diff = diffRevisions(from, to);
+  assert.strictEqual(diff.from, 1);
+  assert.strictEqual(diff.to, 2);
+  assert.strictEqual(diff.storyName, null);
+  assert.deepStrictEqual(diff.chapters.map(chapter => [chapter.status, chapter.changed, chapter.imageChanged]), [
+    ['kept', false, false],
+    ['kept', true, true],
+    ['added', true, false]
+  ]);
+  assert.strictEqual(diff.chapters[1].title, null);
+  assert.strictEqual(textOf(diff.chapters[1].body, 'insert'), 'The fox slept.');
+  assert.deepStrictEqual(diff.chapters[2].body, [{ type: 'insert', text: 'Morning.' }]);
+});
+
+test('restoring a revision brings its content back as a new revision', async () => {
+  const store = createStoryStore({ driver: 'file', dataDir: path.join(dir, 'stories'), revisionsDir: path.join(dir, 'revisions') });
+  const story = await store.create({ storyName: 'The Fox', storyData: { chapters: [{ title: 'One', body: 'The fox woke.' }] }, imageUrls: ['a.png'] }, { author: 'ann' });
+  await store.update(story.id, { storyName: 'The Wolf', storyData: { chapters: [{ title: 'One', body: 'The wolf woke.' }] } }, { author: 'bob', cause: 'edit' });
+
+  const restored = await store.restore(story.id, 1, { author: 'ann' });
+  assert.strictEqual(restored.storyName, 'The Fox');
+  assert.strictEqual(restored.storyData.chapters[0].body, 'The fox woke.');
+  assert.deepStrictEqual(restored.imageUrls, ['a.png']);
+
+  const revisions = await store.listRevisions(story.id);
+  assert.deepStrictEqual(revisions.map(({ number, author, cause, restoredFrom }) => ({ number, author, cause, restoredFrom })), [
+    { number: 1, author: 'ann', cause: 'create', restoredFrom: undefined },
+    { number: 2, author: 'bob', cause: 'edit', restoredFrom: undefined },
+    { number: 3, author: 'ann', cause: 'restore', restoredFrom: 1 }
+  ]);
+  const diff = diffRevisions(await store.getRevision(story.id, 2), await store.getRevision(story.id, 3));
+  assert.deepStrictEqual(diff.storyName, [{ type: 'equal', text: 'The ' }, { type: 'delete', text: 'Wolf' }, { type: 'insert', text: 'Fox' }]);
+
+  assert.strictEqual(await store.restore(story.id, 9), null);
+});
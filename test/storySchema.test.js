@@ -0,0 +1,29 @@
+const assert = require('node:assert');
+const { test } = require('node:test');
+const { extractJson, repairJson } = require('../lib/storySchema');
+
+// Model output is parsed leniently, but the story text itself is never changed
+
+test('common model mistakes are repaired', () => {
+  assert.deepStrictEqual(JSON.parse(repairJson('{"a": [1, 2,], "b": {"c": 3,},}')), { a: [1, 2], b: { c: 3 } });
+  assert.deepStrictEqual(JSON.parse(repairJson('{“title”: “The Fox”}')), { title: 'The Fox' });
+  assert.deepStrictEqual(JSON.parse(repairJson('{"body": "Line one\nLine two\tend"}')), { body: 'Line one\nLine two\tend' });
+  assert.deepStrictEqual(JSON.parse(repairJson('{"chapters": [{"title": "One", "body": "The fox ran')), { chapters: [{ title: 'One', body: 'The fox ran' }] });
+  assert.deepStrictEqual(JSON.parse(repairJson('{"chapters": [{"title": "One"},')), { chapters: [{ title: 'One' }] });
+});
+
+test('text inside strings is left alone', () => {
+  const body = 'Lists end like this ,] or this ,} and code like ```js``` stays. She said “hello, }”.';
+  assert.deepStrictEqual(JSON.parse(repairJson(`{"body": "${body}\nNext line", "n": [1,]}`)), { body: `${body}\nNext line`, n: [1] });
+});
+
+test('JSON is found in fenced and chatty output', () => {
+  assert.deepStrictEqual(extractJson('Here you go:\n```json\n{"title": "The Fox"}\n```\nEnjoy!'), { title: 'The Fox' });
+  assert.deepStrictEqual(extractJson('```json\n{"title": "The Fox", "chapters": [\n```'), { title: 'The Fox', chapters: [] });
+});
+
+test('valid output with backticks and bracket-like text is parsed unchanged', () => {
+  const story = { title: 'Code', body: 'She typed ```{"a": [1,]}``` and smiled, ] }' };
+  assert.deepStrictEqual(extractJson(`\`\`\`json\n${JSON.stringify(story)}\n\`\`\``), story);
+  assert.deepStrictEqual(extractJson(JSON.stringify(story).replace('smiled', 'smiled\n')), { ...story, body: story.body.replace('smiled', 'smiled\n') });
+});
@@ -0,0 +1,59 @@
+const assert = require('node:assert');
+const { after, test } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPriceTable } = require('../lib/pricing');
+const { createUsageLedger, emptyTotals, meterProviders } = require('../lib/usage');
+
+// Every model call is priced, added to its request's totals and reported per key
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-test-'));
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const prices = createPriceTable({
+  'gpt-4o': { input: 2.5, output: 10 },
+  'dall-e-3': { image: { '1024x1024': 0.04 } },
+  'tts-1': { character: 15 }
+});
+
+test('each call is priced by its model', () => {
+  const ledger = createUsageLedger({ dir: path.join(dir, 'calls'), prices });
+  assert.strictEqual(ledger.record({ kind: 'chat', model: 'gpt-4o-2024-08-06', promptTokens: 1000, completionTokens: 500 }).cost, 0.0075);
+  assert.strictEqual(ledger.record({ kind: 'image', model: 'dall-e-3', images: 2, size: '1024x1024' }).cost, 0.08);
+  assert.strictEqual(ledger.record({ kind: 'speech', model: 'tts-1', characters: 2000 }).cost, 0.03);
+  assert.strictEqual(ledger.record({ kind: 'chat', model: 'llama3', promptTokens: 10 }).cost, null);
+});
+
+test('calls add up per request and per key', async () => {
+  const ledger = createUsageLedger({ dir: path.join(dir, 'keys'), prices });
+  const metered = meterProviders({
+    chat: async () => ({ content: 'Once upon a time', model: 'gpt-4o', usage: { prompt_tokens: 1000, completion_tokens: 1000 } }),
+    generateImage: async () => ({ url: 'data:', model: 'dall-e-3', size: '1024x1024' })
+  }, ledger);
+
+  const first = emptyTotals();
+  await ledger.track({ keyId: 'key-a', user: 'ann', endpoint: '/api/chat', totals: first }, async () => {
+    await metered.chat({ task: 'story', messages: [] });
+    await metered.generateImage({ prompt: 'A fox' });
+  });
+  const second = emptyTotals();
+  await ledger.track({ keyId: 'key-b', user: 'bob', endpoint: '/api/chat', totals: second }, () => metered.chat({ task: 'story', messages: [] }));
+  await ledger.track({ keyId: 'key-a', user: 'ann', endpoint: '/api/regenerate-image' }, () => metered.generateImage({ prompt: 'An owl' }));
+
+  assert.deepStrictEqual(first, { calls: 2, promptTokens: 1000, completionTokens: 1000, images: 1, characters: 0, cost: 0.0525 });
+  assert.strictEqual(second.cost, 0.0125);
+
+  const report = await ledger.report({ groupBy: ['user'] });
+  assert.strictEqual(report.totals.calls, 4);
+  assert.strictEqual(report.totals.cost, 0.105);
+  assert.deepStrictEqual(report.groups.map(({ user, calls, cost }) => ({ user, calls, cost })).sort((a, b) => a.user.localeCompare(b.user)), [
+    { user: 'ann', calls: 3, cost: 0.0925 },
+    { user: 'bob', calls: 1, cost: 0.0125 }
+  ]);
+
+  const own = await ledger.report({ keyId: 'key-b', groupBy: ['endpoint', 'task'] });
+  assert.deepStrictEqual(own.groups.map(({ endpoint, task, calls }) => ({ endpoint, task, calls })), [{ endpoint: '/api/chat', task: 'story', calls: 1 }]);
+  assert.strictEqual(own.totals.cost, 0.0125);
+});